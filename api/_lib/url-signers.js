@@ -0,0 +1,168 @@
+/**
+ * URL signers for /api/sign-url
+ *
+ * A signer turns a storage object path ("WRC/Model08-03.glb") into a
+ * short-lived read URL. The GCS signer uses a service account; the fake
+ * signer HMAC-signs URLs for the local dev server (see vite.config.js) so
+ * the whole flow, including expiry, works without GCP.
+ *
+ * Environment:
+ *   URL_SIGNER                 gcs (default) | fake
+ *   SIGNED_URL_TTL_SECONDS     lifetime of a signed URL (default 900)
+ *   GCS_BUCKET_NAME            bucket to sign for (gcs)
+ *   GCS_SERVICE_ACCOUNT_JSON   service account key as JSON text (gcs, e.g. on Vercel)
+ *   GCS_SERVICE_ACCOUNT_KEY    path to the key file (gcs, default service-account-key.json)
+ *   FAKE_SIGNER_SECRET         HMAC secret (fake)
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_TTL_SECONDS = 15 * 60;
+const FAKE_STORAGE_PREFIX = '/fake-storage';
+
+/**
+ * @typedef {{ name: string, sign: (objectPath: string) => Promise<{ url: string, expiresAt: number }> }} UrlSigner
+ *   `expiresAt` is a ms timestamp
+ */
+
+/**
+ * Sign with a GCS service account (V4 signatures)
+ * @returns {UrlSigner}
+ */
+function createGcsSigner({ bucket, credentials = null, keyFilename = null, ttlSeconds = DEFAULT_TTL_SECONDS, now = Date.now }) {
+  if (!bucket) throw new Error('GCS_BUCKET_NAME is not set');
+  let gcsBucket = null;
+  function getBucket() {
+    if (!gcsBucket) {
+      // Loaded on first use so the fake signer works without the GCS client installed
+      const { Storage } = require('@google-cloud/storage');
+      const options = credentials ? { credentials } : keyFilename ? { keyFilename } : {};
+      gcsBucket = new Storage(options).bucket(bucket);
+    }
+    return gcsBucket;
+  }
+  return {
+    name: `gcs:${bucket}`,
+    async sign(objectPath) {
+      const expiresAt = now() + ttlSeconds * 1000;
+      const [url] = await getBucket().file(objectPath).getSignedUrl({ version: 'v4', action: 'read', expires: expiresAt });
+      return { url, expiresAt };
+    }
+  };
+}
+
+function fakeSignature(secret, objectPath, expiresAt) {
+  return crypto.createHmac('sha256', secret).update(`${objectPath}\n${expiresAt}`).digest('hex');
+}
+
+/**
+ * Sign URLs under /fake-storage/ that the dev server checks and serves from public/
+ * @returns {UrlSigner}
+ */
+function createFakeSigner({ secret, ttlSeconds = DEFAULT_TTL_SECONDS, now = Date.now }) {
+  return {
+    name: 'fake',
+    async sign(objectPath) {
+      const expiresAt = now() + ttlSeconds * 1000;
+      const encodedPath = objectPath.split('/').map(encodeURIComponent).join('/');
+      const signature = fakeSignature(secret, objectPath, expiresAt);
+      return { url: `${FAKE_STORAGE_PREFIX}/${encodedPath}?expires=${expiresAt}&signature=${signature}`, expiresAt };
+    }
+  };
+}
+
+/**
+ * Check a fake signed URL
+ * @param {string} requestUrl  path and query, e.g. "/fake-storage/WRC/a.glb?expires=…&signature=…"
+ * @returns {{ ok: true, objectPath: string } | { ok: false, reason: string }}
+ */
+function verifyFakeUrl(requestUrl, { secret, now = Date.now }) {
+  const url = new URL(requestUrl, 'http://localhost');
+  if (!url.pathname.startsWith(`${FAKE_STORAGE_PREFIX}/`)) return { ok: false, reason: 'Not a fake storage URL' };
+  const objectPath = decodeURIComponent(url.pathname.slice(FAKE_STORAGE_PREFIX.length + 1));
+  const expiresAt = Number(url.searchParams.get('expires'));
+  const signature = url.searchParams.get('signature') || '';
+  const expected = fakeSignature(secret, objectPath, expiresAt);
+  if (signature.length !== expected.length || !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+    return { ok: false, reason: 'Invalid signature' };
+  }
+  if (!(expiresAt > now())) return { ok: false, reason: 'Request has expired' };
+  return { ok: true, objectPath };
+}
+
+/**
+ * Reuse signed URLs while at least half of their lifetime is left, so
+ * repeated requests for the same file do not each hit the signer
+ * @param {UrlSigner} signer
+ * @returns {UrlSigner}
+ */
+function withCache(signer, { ttlSeconds = DEFAULT_TTL_SECONDS, now = Date.now } = {}) {
+  const cache = new Map();
+  const minRemainingMs = (ttlSeconds * 1000) / 2;
+  return {
+    name: signer.name,
+    async sign(objectPath) {
+      const cached = cache.get(objectPath);
+      if (cached && cached.expiresAt - now() >= minRemainingMs) return cached;
+      const signed = await signer.sign(objectPath);
+      // Drop entries that can no longer be handed out
+      cache.forEach((entry, key) => {
+        if (entry.expiresAt - now() < minRemainingMs) cache.delete(key);
+      });
+      cache.set(objectPath, signed);
+      return signed;
+    }
+  };
+}
+
+function readTtl(env) {
+  const ttl = Number(env.SIGNED_URL_TTL_SECONDS || DEFAULT_TTL_SECONDS);
+  if (!Number.isFinite(ttl) || ttl < 10) throw new Error('SIGNED_URL_TTL_SECONDS must be a number of seconds (at least 10)');
+  return ttl;
+}
+
+/**
+ * Signer configured from the environment, with caching
+ * @returns {UrlSigner}
+ */
+function createSignerFromEnv(env = process.env) {
+  const ttlSeconds = readTtl(env);
+  const kind = env.URL_SIGNER || 'gcs';
+  let signer;
+  if (kind === 'fake') {
+    signer = createFakeSigner({ secret: getFakeSecret(env), ttlSeconds });
+  } else if (kind === 'gcs') {
+    const defaultKey = path.join(__dirname, '..', '..', 'service-account-key.json');
+    const keyFilename = env.GCS_SERVICE_ACCOUNT_KEY || (fs.existsSync(defaultKey) ? defaultKey : null);
+    signer = createGcsSigner({
+      bucket: env.GCS_BUCKET_NAME,
+      credentials: env.GCS_SERVICE_ACCOUNT_JSON ? JSON.parse(env.GCS_SERVICE_ACCOUNT_JSON) : null,
+      keyFilename,
+      ttlSeconds
+    });
+  } else {
+    throw new Error(`Unknown URL_SIGNER "${kind}" (gcs or fake)`);
+  }
+  return withCache(signer, { ttlSeconds });
+}
+
+// One secret per process unless configured, so dev server restarts invalidate old URLs
+let processSecret = null;
+function getFakeSecret(env = process.env) {
+  if (env.FAKE_SIGNER_SECRET) return env.FAKE_SIGNER_SECRET;
+  if (!processSecret) processSecret = crypto.randomBytes(16).toString('hex');
+  return processSecret;
+}
+
+module.exports = {
+  DEFAULT_TTL_SECONDS,
+  FAKE_STORAGE_PREFIX,
+  createGcsSigner,
+  createFakeSigner,
+  verifyFakeUrl,
+  withCache,
+  createSignerFromEnv,
+  getFakeSecret
+};
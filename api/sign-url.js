@@ -0,0 +1,67 @@
+/**
+ * GET /api/sign-url?project=<code>&file=<name.glb>
+ *
+ * Returns { url, expiresAt } with a short-lived read URL for one GLB of a
+ * registered project. Deployed as a Vercel function; `npm run dev` mounts
+ * the same handler (see vite.config.js). Signing is configured through the
+ * environment, see api/_lib/url-signers.js.
+ */
+
+const { normalizeRegistry, findProject } = require('../shared/projects.mjs');
+const registryJson = require('../public/projects.json');
+const { createSignerFromEnv } = require('./_lib/url-signers');
+
+// Plain GLB file names only: no folders, no traversal
+const FILE_NAME = /^[^/\\]+\.glb$/i;
+
+let signer = null;
+let projects = null;
+
+function sendJson(res, status, body, headers = {}) {
+  res.statusCode = status;
+  res.setHeader('Content-Type', 'application/json');
+  Object.entries(headers).forEach(([key, value]) => res.setHeader(key, value));
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * @param {import('http').IncomingMessage} req
+ * @param {import('http').ServerResponse} res
+ * @param {{ signer?: object }} [options]  signer override for the dev server
+ */
+async function handler(req, res, options = {}) {
+  if (req.method !== 'GET') {
+    sendJson(res, 405, { error: 'Use GET' }, { Allow: 'GET' });
+    return;
+  }
+  const query = new URL(req.url, 'http://localhost').searchParams;
+  const code = query.get('project');
+  const file = query.get('file');
+  if (!code || !file) {
+    sendJson(res, 400, { error: 'project and file are required' });
+    return;
+  }
+  if (!FILE_NAME.test(file) || file.includes('..')) {
+    sendJson(res, 400, { error: 'file must be a .glb file name' });
+    return;
+  }
+  if (!projects) projects = normalizeRegistry(registryJson);
+  const project = findProject(projects, code);
+  if (!project) {
+    sendJson(res, 404, { error: `Unknown project "${code}"` });
+    return;
+  }
+
+  try {
+    if (!options.signer && !signer) signer = createSignerFromEnv();
+    const { url, expiresAt } = await (options.signer || signer).sign(`${project.folder}/${file}`);
+    // Browsers may reuse the answer until shortly before the URL expires
+    const maxAge = Math.max(0, Math.floor((expiresAt - Date.now()) / 1000) - 60);
+    sendJson(res, 200, { url, expiresAt: new Date(expiresAt).toISOString() }, { 'Cache-Control': `private, max-age=${maxAge}` });
+  } catch (err) {
+    console.error(`[sign-url] ${project.folder}/${file}:`, err);
+    sendJson(res, 500, { error: 'Could not sign the URL' });
+  }
+}
+
+module.exports = handler;
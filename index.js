@@ -1,37 +1,69 @@
 import * as THREE from 'three';
 import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
 import { DRACOLoader } from 'three/examples/jsm/loaders/DRACOLoader.js';
+import { KTX2Loader } from 'three/examples/jsm/loaders/KTX2Loader.js';
+import { MeshoptDecoder } from 'three/examples/jsm/libs/meshopt_decoder.module.js';
 import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js';
+import { SnapshotCache, disposeObject } from './src/snapshot-cache.js';
+import { normalizeRegistry, findProject } from './shared/projects.mjs';
+import { createAssetResolver } from './shared/asset-resolver.mjs';
+import { parseDate, tryParseDate, formatDate, formatDateValue, setDisplayLocale, today, toIsoDay } from './shared/dates.mjs';
+import {
+  getMemberVariance, getEventVariance, formatVariance, VARIANCE_STATUS, VARIANCE_LABELS, VARIANCE_COLORS
+} from './shared/schedule-variance.mjs';
+import {
+  getElementIndex, pickElement, getElementName, getElementProperties, getElementSize,
+  addSelectionOutline, renderInspectPanel
+} from './src/element-inspector.js';
+import { encodeViewState, decodeViewState, resolveStep } from './src/view-state.js';
+import { createMeasureTools, MEASURE_MODES } from './src/measure-tools.js';
+import { createSectionTools, SECTION_AXES } from './src/section-tools.js';
+import {
+  loadViewpoints, saveViewpoints, mergeViewpoints, exportViewpoints, parseViewpointsFile
+} from './src/viewpoints.js';
+import { downloadText, downloadBlob, isSaveFilePickerSupported, openFileSink } from './src/download.js';
+import { exportPlayback, checkExportLimits, isWebmExportSupported, ExportCancelledError, EXPORT_FORMATS } from './src/playback-export.js';
+import { buildProgressReport } from './src/progress-report.js';
+import { createGanttChart } from './src/gantt-chart.js';
+import { createScheduleEditor } from './src/schedule-editor.js';
+import { createDiagnosticsPanel } from './src/diagnostics-panel.js';
+import { DATA_FILES, lintProjectData } from './shared/data-lint.mjs';
+import { describeCompression } from './shared/gltf-compression.mjs';
+import { formatLength, getModelUnitScale } from './src/units.js';
+import { diffSnapshots, applyDiffStyling, formatDiffSummary, getDiffSummaryParts } from './src/snapshot-diff.js';
+import {
+  computeTimelineRange, positionForTime, buildAxisTicks, defaultTickLabel
+} from './src/timeline-axis.js';
+import {
+  normalizeSchedule, buildScheduleSteps,
+  indexMemberElements, applyScheduleState, applyVarianceColors, STATUS
+} from './src/schedule-4d.js';
 
-// Base URL for static assets stored in Vercel Blob storage.
-// This is hard-coded to avoid any runtime env issues.
-const BLOB_BASE_URL = 'https://phv9f2n767db5svp.public.blob.vercel-storage.com';
-
-// Map project codes to their actual storage folder and display name.
-const PROJECT_CONFIG = {
-  BSGS: { folder: 'BSGS', displayName: 'BSGS' },
-  LORRY: { folder: 'LORRY', displayName: 'LORRY' },
-  WRC: { folder: 'WRC', displayName: 'WRC' },
-  CUP: { folder: 'CUP', displayName: 'CUP' },
-  '1': { folder: '1', displayName: 'Waste Management' }
-};
-
-function getProjectConfig(code) {
-  const key = (code || 'BSGS').toUpperCase();
-  return PROJECT_CONFIG[key] || { folder: key, displayName: key };
+// Project codes resolve to their storage folder, display name and storage backend through public/projects.json
+let projectRegistry = null;
+async function loadProjectRegistry() {
+  if (!projectRegistry) {
+    const res = await fetch('/projects.json', { cache: 'no-cache' });
+    if (!res.ok) throw new Error(`projects.json could not be loaded (HTTP ${res.status})`);
+    projectRegistry = normalizeRegistry(await res.json());
+  }
+  return projectRegistry;
 }
 
-function buildBlobUrl(path) {
-  const normalizedBase = BLOB_BASE_URL.replace(/\/+$/, '');
-  const normalizedPath = String(path || '').replace(/^\/+/, '');
-  return `${normalizedBase}/${normalizedPath}`;
+// GLB URLs come from the project's storage backend (local, Vercel Blob, GCS, signed URLs)
+let assetResolver = null;
+async function fetchJson(url, init = {}) {
+  const res = await fetch(url, { cache: 'no-cache', ...init });
+  if (!res.ok) throw new Error(`${url} could not be loaded (HTTP ${res.status})`);
+  return res.json();
 }
 
 // === Scene, Camera, Renderer ===
 const container = document.getElementById('viewer-container');
 const scene = new THREE.Scene();
 const camera = new THREE.PerspectiveCamera(75, window.innerWidth / window.innerHeight, 0.1, 1000);
-const renderer = new THREE.WebGLRenderer({ antialias: false, powerPreference: 'high-performance' });
+// The stencil buffer is used to cap section cuts
+const renderer = new THREE.WebGLRenderer({ antialias: false, powerPreference: 'high-performance', stencil: true });
 
 // === Optimized Renderer Setup ===
 function setupRenderer() {
@@ -41,6 +73,8 @@ function setupRenderer() {
   renderer.outputColorSpace = THREE.SRGBColorSpace;
   renderer.toneMapping = THREE.ACESFilmicToneMapping;
   renderer.toneMappingExposure = 1.0;
+  // Per-material clipping planes for section planes and the clipping box
+  renderer.localClippingEnabled = true;
   if (container) container.appendChild(renderer.domElement);
 }
 
@@ -55,7 +89,10 @@ function setupControls() {
   controls.maxDistance = 100;
 
   controls.addEventListener('start', () => renderer.setPixelRatio(1));
-  controls.addEventListener('end', () => renderer.setPixelRatio(Math.min(window.devicePixelRatio, 1.5)));
+  controls.addEventListener('end', () => {
+    renderer.setPixelRatio(Math.min(window.devicePixelRatio, 1.5));
+    recordViewState(false);
+  });
 }
 
 
@@ -85,10 +122,26 @@ try {
 } catch {}
 
 // === Loaders ===
+// The decoders are served with the app (see vite.config.js), so no CDN is needed
+const DECODER_BASE = `${import.meta.env.BASE_URL}decoders/`;
 const loader = new GLTFLoader();
 const dracoLoader = new DRACOLoader();
-dracoLoader.setDecoderPath('https://www.gstatic.com/draco/versioned/decoders/1.5.6/');
+dracoLoader.setDecoderPath(`${DECODER_BASE}draco/`);
 loader.setDRACOLoader(dracoLoader);
+const ktx2Loader = new KTX2Loader();
+ktx2Loader.setTranscoderPath(`${DECODER_BASE}basis/`);
+ktx2Loader.detectSupport(renderer);
+loader.setKTX2Loader(ktx2Loader);
+loader.setMeshoptDecoder(MeshoptDecoder);
+// Compression extensions the loader above decodes
+const DECODED_EXTENSIONS = [
+  'KHR_draco_mesh_compression', 'EXT_meshopt_compression', 'KHR_mesh_quantization', 'KHR_texture_basisu', 'EXT_texture_webp'
+];
+// GPU texture formats KTX2 can transcode to, as named by KTX2Loader's detectSupport
+const KTX2_TARGETS = [
+  ['astcSupported', 'ASTC'], ['bptcSupported', 'BC7'], ['dxtSupported', 'S3TC'],
+  ['etc2Supported', 'ETC2'], ['etc1Supported', 'ETC1'], ['pvrtcSupported', 'PVRTC']
+];
 
 // === UI Elements (initialized only when viewer exists) ===
 let slider = null;
@@ -97,15 +150,33 @@ let rotateButton = null;
 let prevButton = null;
 let nextButton = null;
 let modelNameDisplay = null;
+let diffButton = null;
+let statusColorButton = null;
+let statusLegendEl = null;
+let inspectPanelEl = null;
+let inspectBodyEl = null;
+let hoverTooltipEl = null;
+let measureButtons = {};
+let measureClearButton = null;
+let unitsSelect = null;
+let sectionButton = null;
+let sectionPanelEl = null;
+let viewpointSelect = null;
+let diffSummaryEl = null;
 let loadingOverlay = null;
 let loadingText = null;
 let progressTbody = null;
+let ganttChart = null;
+let scheduleEditor = null;
+let diagnosticsPanel = null;
+// Compression note per snapshot file; reloads after eviction replace theirs
+const compressionNotes = new Map();
 
 // === Variables ===
-let loadedModels = [];
 let autoplayTimer = null;
 let currentModelIndex = 0;
 let scheduleData = [];
+let scheduleSource = null; // schedule.json as loaded, so edits keep its shape
 let currentProject = null;
 // Map timeline index -> cell element for highlight updates
 let timelineCells = [];
@@ -118,11 +189,47 @@ let modelManifest = [];
 // Maps for filename-based navigation and highlight sync
 let filenameToModelIndex = new Map();
 let filenameToTimelineIndex = new Map();
-// Model cache for faster repeated loads
-const modelCache = new Map();
-// No remote storage: we load models directly from per-project models.json files
-// Track preloading queue
-const preloadQueue = new Set();
+// Snapshots are fetched on demand and kept in a memory-bounded LRU cache.
+// Evicted snapshots are detached from the scene and their GPU resources released.
+const MODEL_CACHE_BUDGET_BYTES = 768 * 1024 * 1024;
+// How many snapshots around the current one are fetched in the background
+const PRELOAD_BEHIND = 1;
+const PRELOAD_AHEAD = 2;
+const modelRoot = new THREE.Group();
+scene.add(modelRoot);
+const modelCache = new SnapshotCache({
+  maxBytes: MODEL_CACHE_BUDGET_BYTES,
+  onEvict: (key, model) => {
+    modelRoot.remove(model);
+    disposeObject(model);
+  }
+});
+// In-flight loads keyed by cache key, so the same snapshot is never fetched twice
+const pendingLoads = new Map();
+let projectBase = null;
+// Diff mode: compare the current snapshot against the previous one
+let diffMode = false;
+let clearDiffStyling = null;
+let diffRequestId = 0;
+// Colour members by planned-vs-actual status (as of today)
+let statusColorMode = false;
+let clearVarianceColors = null;
+const snapshotMemberElements = new WeakMap();
+// Federated mode: one full model, element states driven by schedule.json.
+// { members, memberElements } while active, null in per-snapshot mode.
+let federatedPlan = null;
+// Measuring tools; lengths are shown in the project's units (projects.json)
+let measureTools = null;
+let displayUnits = 'mm';
+let modelUnitScale = 1; // metres per model unit, detected from the first snapshot
+// Section planes / clipping box, shared by every snapshot so cuts survive scrubbing
+let sectionTools = null;
+
+let exportInProgress = false; // the live render loop pauses while frames are exported
+let exportAbort = null;
+// Named camera bookmarks for the current project (localStorage, per project code)
+let viewpoints = [];
+let currentProjectCode = null;
 
 // Track the current timeline position (bidirectional)
 let currentTimelineIndex = Number.NaN;
@@ -135,7 +242,11 @@ let currentTimelineIndex = Number.NaN;
 //  - "BSGSifc.glb" -> "ifc"
 function normalizeFileKey(name) {
   if (!name || typeof name !== 'string') return null;
-  let base = name.split('/').pop().trim().toLowerCase();
+  let base = name.split('?')[0].split('/').pop().trim().toLowerCase();
+  // Absolute URLs in a manifest are percent-encoded
+  try {
+    base = decodeURIComponent(base);
+  } catch {}
   base = base.replace(/\.glb$/i, '');
   base = base.replace(/^bsgs/, ''); // strip project prefix if present
   return base; // e.g., "ifc-114" or "ifc"
@@ -190,28 +301,136 @@ function optimizeModel(model) {
 }
 
 // === Model Visibility / Autoplay ===
+function getSnapshotCount() {
+  return modelManifest.length;
+}
+function getSnapshotName(index) {
+  return modelManifest[index]?.name || null;
+}
+// Name the snapshot's GLB is stored under (content-addressed after `voyager-storage sync --hashed`)
+function getSnapshotFile(index) {
+  return modelManifest[index]?.storedAs || getSnapshotName(index);
+}
+function getCacheKey(index) {
+  const name = getSnapshotName(index);
+  return name && projectBase ? `${projectBase}/${name}` : null;
+}
+function getLoadedModel(index) {
+  const key = getCacheKey(index);
+  return key && modelCache.has(key) ? modelCache.get(key) : null;
+}
+
+// Fetch snapshot `index` (or reuse the cached copy) and attach it hidden to the scene
+function ensureModelLoaded(index) {
+  const name = getSnapshotName(index);
+  const file = getSnapshotFile(index);
+  const cacheKey = getCacheKey(index);
+  if (!cacheKey) return Promise.resolve(null);
+  if (modelCache.has(cacheKey)) return Promise.resolve(modelCache.get(cacheKey));
+  if (pendingLoads.has(cacheKey)) return pendingLoads.get(cacheKey);
+
+  const base = projectBase;
+  const resolver = assetResolver;
+  const load = (refresh) => resolver.resolve(file, { refresh }).then(url => {
+    if (!url) throw new Error(`${resolver.describe()} has no URL for ${file}`);
+    return loader.loadAsync(url);
+  });
+  const promise = load(false)
+    // A signed URL that expired (or was revoked) answers 403: sign again once
+    .catch(err => {
+      if (!resolver.refreshable || !(err && err.response && err.response.status === 403)) throw err;
+      console.warn(`[Loader] ${name}: signed URL rejected, requesting a new one`);
+      return load(true);
+    })
+    .then(gltf => {
+      pendingLoads.delete(cacheKey);
+      // Project switched while this snapshot was downloading
+      if (base !== projectBase) {
+        disposeObject(gltf.scene);
+        return null;
+      }
+      reportCompression(name, gltf.parser.json);
+      const model = gltf.scene;
+      optimizeModel(model);
+      model.userData.originalName = name;
+      model.visible = false;
+      if (sectionTools) sectionTools.applyTo(model);
+      const box = new THREE.Box3().setFromObject(model);
+      const center = box.getCenter(new THREE.Vector3());
+      model.position.sub(center);
+      // A preload the pinned snapshots leave no room for is dropped, not cached
+      if (!modelCache.set(cacheKey, model)) {
+        disposeObject(model);
+        return null;
+      }
+      // No per-project rotation adjustments; keep models consistent across projects
+      modelRoot.add(model);
+      return model;
+    })
+    .catch(err => {
+      pendingLoads.delete(cacheKey);
+      console.error(`[Loader] Failed to load ${base}/${name} from ${resolver.describe()}:`, err);
+      reportLoadProblem({ file: name, level: 'error', path: '', message: `Could not be loaded: ${err.message}` });
+      return null;
+    });
+  pendingLoads.set(cacheKey, promise);
+  return promise;
+}
+
 function updateModelVisibility(index) {
-  loadedModels.forEach(m => m.visible = false);
-  if (loadedModels[index]) {
-    loadedModels[index].visible = true;
-    if (modelNameDisplay) modelNameDisplay.textContent = loadedModels[index].userData.originalName || `Model ${index + 1}`;
+  modelCache.values().forEach(m => m.visible = false);
+  if (clearVarianceColors) {
+    clearVarianceColors();
+    clearVarianceColors = null;
+  }
+  const model = getLoadedModel(index);
+  if (model) {
+    model.visible = true;
+    if (federatedPlan && federatedPlan.memberElements) {
+      const entry = modelManifest[index];
+      const counts = applyScheduleState(federatedPlan.memberElements, federatedPlan.members, entry.time);
+      if (modelNameDisplay) {
+        modelNameDisplay.textContent = `As of ${formatDate(entry.time)}: ${counts[STATUS.ERECTED]} erected, ${counts[STATUS.FABRICATED]} fabricated, ${counts[STATUS.NOT_STARTED]} not started`;
+      }
+    } else if (modelNameDisplay) {
+      modelNameDisplay.textContent = model.userData.originalName || `Model ${index + 1}`;
+    }
+    updateStatusColors(model);
+    if (sectionTools) {
+      // Schedule tints swap materials, so point the current ones at the planes again
+      sectionTools.applyTo(model);
+      sectionTools.setActiveModel(model);
+    }
+    syncSelectionToModel(model);
+  } else if (modelNameDisplay && getSnapshotName(index)) {
+    modelNameDisplay.textContent = `Loading ${getSnapshotName(index)}...`;
   }
 }
 // Unified helper: always load model at index (even when autoplay paused)
 function showModelAt(rawIndex, fromAutoplay = false) {
-  if (!loadedModels.length) return;
-  const i = Math.max(0, Math.min(parseInt(rawIndex, 10) || 0, loadedModels.length - 1));
+  const count = getSnapshotCount();
+  if (!count) return;
+  const i = Math.max(0, Math.min(parseInt(rawIndex, 10) || 0, count - 1));
   if (!fromAutoplay) stopAutoplay();
   currentModelIndex = i;
   if (slider) slider.value = String(i);
+  modelCache.setPinned([getCacheKey(i)]);
   updateModelVisibility(i);
-  
+  if (!getLoadedModel(i)) {
+    ensureModelLoaded(i).then(model => {
+      // Ignore results for snapshots the user has already scrolled past
+      if (model && currentModelIndex === i) updateModelVisibility(i);
+    });
+  }
+  const diffReady = updateDiffView(i);
+
   // Preload next/prev models in background
   preloadAdjacentModels(i);
-  
+
   try {
-    const name = loadedModels[i]?.userData?.originalName;
-    const tIdx = filenameToTimelineIndex.get(normalizeFileKey(name));
+    const tIdx = federatedPlan
+      ? findTimelineIndexForTime(modelManifest[i].time)
+      : filenameToTimelineIndex.get(normalizeFileKey(getSnapshotName(i)));
     if (Number.isFinite(tIdx)) {
       currentTimelineIndex = tIdx;
       updateTimelineHighlight(tIdx);
@@ -226,33 +445,135 @@ function showModelAt(rawIndex, fromAutoplay = false) {
     }
   }
   updateSliderDatePopup(i);
+  if (ganttChart) ganttChart.setPlayhead(getStepTime(i));
+  // Autoplay steps replace the current history entry instead of flooding it
+  recordViewState(!fromAutoplay);
+  return diffReady;
 }
 
-// Preload adjacent models for smoother navigation
-function preloadAdjacentModels(currentIndex, names, base) {
-  if (!names || !names.length || !base) return;
-  const indicesToPreload = [
-    currentIndex - 1,
-    currentIndex + 1,
-    currentIndex + 2
-  ].filter(idx => idx >= 0 && idx < names.length);
+// Preload adjacent models for smoother navigation.
+// Loads run one after another so the snapshot on screen is never starved of bandwidth.
+let preloadChain = Promise.resolve();
+function preloadAdjacentModels(currentIndex) {
+  // Neighbours are about the size of the current snapshot; skip them when that would not fit
+  if (!modelCache.hasRoomFor(modelCache.bytesOf(getCacheKey(currentIndex)))) return;
+  const count = getSnapshotCount();
+  const indicesToPreload = [];
+  for (let d = 1; d <= PRELOAD_AHEAD; d++) indicesToPreload.push(currentIndex + d);
+  for (let d = 1; d <= PRELOAD_BEHIND; d++) indicesToPreload.push(currentIndex - d);
 
-  indicesToPreload.forEach(idx => {
-    const name = names[idx];
-    if (!name) return;
-    const cacheKey = `${base}/${name}`;
-    const url = buildBlobUrl(`${base}/${encodeURIComponent(name)}`);
-    if (!modelCache.has(cacheKey) && !preloadQueue.has(cacheKey)) {
-      preloadQueue.add(cacheKey);
-      loader.loadAsync(url)
-        .then(gltf => {
-          modelCache.set(cacheKey, gltf);
-          preloadQueue.delete(cacheKey);
-        })
-        .catch(() => preloadQueue.delete(cacheKey));
-    }
+  indicesToPreload
+    .filter(idx => idx >= 0 && idx < count)
+    .forEach(idx => {
+      const cacheKey = getCacheKey(idx);
+      if (!cacheKey || modelCache.has(cacheKey) || pendingLoads.has(cacheKey)) return;
+      preloadChain = preloadChain.then(() => {
+        // Slider moved on before this preload started
+        if (Math.abs(idx - currentModelIndex) > Math.max(PRELOAD_AHEAD, PRELOAD_BEHIND)) return null;
+        return ensureModelLoaded(idx);
+      });
+    });
+}
+// Highlight what changed between snapshot `index - 1` and `index`
+async function updateDiffView(index) {
+  const requestId = ++diffRequestId;
+  if (clearDiffStyling) {
+    clearDiffStyling();
+    clearDiffStyling = null;
+  }
+  if (!diffMode) {
+    if (diffSummaryEl) diffSummaryEl.textContent = '';
+    return;
+  }
+  if (index <= 0) {
+    if (diffSummaryEl) diffSummaryEl.textContent = 'First snapshot';
+    return;
+  }
+  // Keep the previous snapshot resident: the removed-element ghosts share its geometry
+  modelCache.setPinned([getCacheKey(index), getCacheKey(index - 1)]);
+  if (diffSummaryEl) diffSummaryEl.textContent = 'Comparing...';
+  const [previous, current] = await Promise.all([ensureModelLoaded(index - 1), ensureModelLoaded(index)]);
+  if (requestId !== diffRequestId) return;
+  if (!previous || !current) {
+    if (diffSummaryEl) diffSummaryEl.textContent = 'Comparison unavailable';
+    return;
+  }
+  const diff = diffSnapshots(previous, current);
+  clearDiffStyling = applyDiffStyling(diff, current, previous);
+  if (sectionTools) sectionTools.applyTo(current);
+  if (diffSummaryEl) {
+    diffSummaryEl.replaceChildren(...getDiffSummaryParts(diff).flatMap((part, i) => {
+      const span = document.createElement('span');
+      span.className = `diff-${part.kind}`;
+      span.textContent = part.text;
+      return i ? [', ', span] : [span];
+    }));
+    diffSummaryEl.title = `${formatDiffSummary(diff)} vs ${getSnapshotName(index - 1)}`;
+  }
+}
+
+function setDiffMode(enabled) {
+  diffMode = enabled;
+  // Both overlays recolour the model; only one is shown at a time
+  if (enabled && statusColorMode) setStatusColorMode(false);
+  if (diffButton) diffButton.classList.toggle('active', enabled);
+  if (!enabled) modelCache.setPinned([getCacheKey(currentModelIndex)]);
+  updateDiffView(currentModelIndex);
+  recordViewState();
+}
+
+// === Schedule Status Colours ===
+// Members map to meshes through their `elements` selectors, or by member name
+// when they have none (see schedule-4d.js)
+function getMemberElementsFor(model) {
+  if (federatedPlan) return federatedPlan.memberElements;
+  if (!snapshotMemberElements.has(model)) snapshotMemberElements.set(model, indexMemberElements(model, scheduleData));
+  return snapshotMemberElements.get(model);
+}
+
+function updateStatusColors(model) {
+  if (statusLegendEl) statusLegendEl.innerHTML = '';
+  const memberElements = model && statusColorMode ? getMemberElementsFor(model) : null;
+  if (!memberElements) return;
+  const members = federatedPlan ? federatedPlan.members : scheduleData;
+  const { counts, undo } = applyVarianceColors(memberElements, members, today());
+  clearVarianceColors = undo;
+  if (!statusLegendEl) return;
+  Object.values(VARIANCE_STATUS).forEach(status => {
+    const item = document.createElement('span');
+    const swatch = document.createElement('span');
+    swatch.className = 'legend-color';
+    swatch.style.background = `#${VARIANCE_COLORS[status].toString(16).padStart(6, '0')}`;
+    item.appendChild(swatch);
+    item.appendChild(document.createTextNode(`${VARIANCE_LABELS[status]} ${counts[status]}`));
+    statusLegendEl.appendChild(item);
   });
+  // Counts come from the schedule; say so when none of it reaches the model
+  const linked = [...memberElements.values()].some(meshes => meshes.length);
+  if (!linked) {
+    const note = document.createElement('span');
+    note.className = 'legend-note';
+    note.textContent = 'Nothing coloured: no member name or "elements" selector matches this model';
+    statusLegendEl.appendChild(note);
+  }
+}
+
+function setStatusColorMode(enabled) {
+  statusColorMode = enabled;
+  if (enabled && diffMode) setDiffMode(false);
+  if (statusColorButton) statusColorButton.classList.toggle('active', enabled);
+  updateModelVisibility(currentModelIndex);
+  recordViewState();
+}
+
+// Overlay toggles named like the ?filters= parameter ('diff', 'status')
+function applyLayerFilters(filters) {
+  const wantsDiff = filters.includes('diff') && !federatedPlan;
+  if (diffMode !== wantsDiff) setDiffMode(wantsDiff);
+  const wantsStatus = filters.includes('status');
+  if (statusColorMode !== wantsStatus) setStatusColorMode(wantsStatus);
 }
+
 function stopAutoplay() {
   if (autoplayTimer) {
     clearInterval(autoplayTimer);
@@ -262,7 +583,7 @@ function stopAutoplay() {
 }
 function advanceSlider() {
   if (!slider) return;
-  const maxVal = Math.max(0, loadedModels.length - 1);
+  const maxVal = Math.max(0, getSnapshotCount() - 1);
   let nextVal = parseInt(slider.value, 10) + 1;
   if (nextVal > maxVal) nextVal = 0;
   slider.value = String(nextVal);
@@ -282,121 +603,160 @@ window.addEventListener('resize', () => {
   camera.aspect = window.innerWidth / window.innerHeight;
   camera.updateProjectionMatrix();
   renderer.setSize(window.innerWidth, window.innerHeight);
+  if (measureTools) measureTools.setSize(window.innerWidth, window.innerHeight);
   updateSliderDatePopup(currentModelIndex);
 });
 
 // === Load Models ===
+function showProjectNotFound(code) {
+  const page = document.getElementById('project-not-found');
+  const message = document.getElementById('project-not-found-message');
+  if (message) {
+    message.textContent = code
+      ? `There is no project with code "${code}". Check the link or pick a project from the dashboard.`
+      : 'No project was specified. Pick a project from the dashboard.';
+  }
+  if (page) page.classList.add('visible');
+  else if (loadingText) loadingText.textContent = `Project "${code}" not found`;
+}
+
+// Fetch and normalize a project's models.json; returns null (after reporting) when missing
+async function fetchModelManifest(base) {
+  // Load manifest from local repo/public served root (use repo file), prefer local but fall back to Blob if necessary
+  const manifestUrl = `/${base}/models.json`;
+  let res;
+  try {
+    res = await fetch(manifestUrl, { cache: "no-cache" });
+  } catch (e) {
+    res = null;
+  }
+  // If local fetch failed or returned non-OK, try the copy next to the GLBs in the project's storage
+  if (!res || !res.ok) {
+    try {
+      const storageManifestUrl = await assetResolver.resolve('models.json');
+      if (storageManifestUrl && storageManifestUrl !== manifestUrl) {
+        console.warn(`Local manifest ${manifestUrl} unavailable, trying ${storageManifestUrl}`);
+        const resStorage = await fetch(storageManifestUrl, { cache: "no-cache" });
+        if (resStorage && resStorage.ok) res = resStorage;
+      }
+    } catch (e) {
+      // ignore
+    }
+  }
+  if (!res || !res.ok) {
+    const msg = `Missing or invalid models.json in ${base} (tried ${manifestUrl})`;
+    console.error(msg);
+    loadingText.textContent = msg;
+    // show visible error row
+    try {
+      progressTbody.innerHTML = '';
+      const tr = document.createElement('tr');
+      const td = document.createElement('td');
+      td.colSpan = 4;
+      td.style.color = '#b91c1c';
+      td.style.fontWeight = '600';
+      td.textContent = msg;
+      tr.appendChild(td);
+      progressTbody.appendChild(tr);
+    } catch(e){}
+    return null; // stop further processing
+  }
+  const manifestRaw = await res.json();
+  const manifestEntries = Array.isArray(manifestRaw)
+    ? manifestRaw.map(entry => {
+        if (typeof entry === 'string') return { name: entry, date: null };
+        if (entry && typeof entry === 'object' && entry.name) {
+          return { name: entry.name, date: entry.date || null, storedAs: entry.storedAs || null };
+        }
+        return null;
+      }).filter(Boolean)
+    : [];
+  if (!manifestEntries.length) throw new Error(`models.json in ${base} is empty or invalid.`);
+  return manifestEntries;
+}
+
 async function loadAllModels() {
   loadingOverlay.classList.add("visible");
   try {
     const urlParams = new URLSearchParams(window.location.search);
-    const projectParam = (urlParams.get("project") || "BSGS").toUpperCase();
-    const { folder: base, displayName } = getProjectConfig(projectParam);
+    const projectParam = urlParams.get("project");
+    const project = findProject(await loadProjectRegistry(), projectParam);
+    if (!project) {
+      showProjectNotFound(projectParam);
+      return;
+    }
+    const { folder: base, displayName } = project;
+    assetResolver = createAssetResolver(project.storage, { folder: base, project: project.code, fetchJson });
+    displayUnits = project.units;
+    currentProjectCode = project.code;
+    viewpoints = loadViewpoints(project.code);
+    renderViewpointOptions();
+    if (unitsSelect) unitsSelect.value = displayUnits;
+    document.title = `${displayName} | 4D Voyager`;
     currentProject = base; // keep global state aligned to the actual folder we load from
     modelManifest = [];
+    if (diagnosticsPanel) diagnosticsPanel.clear();
+    compressionNotes.clear();
+    reportDecoderSupport();
+    runDataDiagnostics(project);
     
-    // Load manifest from local repo/public served root (use repo file), prefer local but fall back to Blob if necessary
-    const manifestUrl = `/${base}/models.json`;
-    let res;
+    // A schedule that names a federated model replaces the per-snapshot manifest:
+    // every slider step then shows that one model as of a schedule date.
+    let scheduleRaw = null;
+    let schedulePlan = null;
     try {
-      res = await fetch(manifestUrl, { cache: "no-cache" });
+      scheduleRaw = await fetchScheduleJson(base);
+      schedulePlan = normalizeSchedule(scheduleRaw);
     } catch (e) {
-      res = null;
+      console.warn(`[Schedule] ${e.message}`);
     }
-    // If local fetch failed or returned non-OK, try Blob manifest as fallback for debugging
-    if (!res || !res.ok) {
-      try {
-        const blobManifestUrl = buildBlobUrl(`${base}/models.json`);
-        console.warn(`Local manifest ${manifestUrl} unavailable, trying blob manifest ${blobManifestUrl}`);
-        const resBlob = await fetch(blobManifestUrl, { cache: "no-cache" });
-        if (resBlob && resBlob.ok) res = resBlob;
-      } catch (e) {
-        // ignore
-      }
-    }
-    if (!res || !res.ok) {
-      const msg = `Missing or invalid models.json in ${base} (tried ${manifestUrl})`;
-      console.error(msg);
-      loadingText.textContent = msg;
-      // show visible error row
-      try {
-        progressTbody.innerHTML = '';
-        const tr = document.createElement('tr');
-        const td = document.createElement('td');
-        td.colSpan = 3;
-        td.style.color = '#b91c1c';
-        td.style.fontWeight = '600';
-        td.textContent = msg;
-        tr.appendChild(td);
-        progressTbody.appendChild(tr);
-      } catch(e){}
-      return; // stop further processing
+    let manifestEntries;
+    if (schedulePlan && schedulePlan.federatedModel) {
+      const { federatedModel, members } = schedulePlan;
+      federatedPlan = { members, memberElements: null };
+      manifestEntries = buildScheduleSteps(members).map(step => ({ name: federatedModel, date: step.date, time: step.time }));
+      if (!manifestEntries.length) throw new Error(`schedule.json in ${base} has no dated events.`);
+    } else {
+      federatedPlan = null;
+      manifestEntries = await fetchModelManifest(base);
+      if (!manifestEntries) return;
     }
-    const manifestRaw = await res.json();
-    const manifestEntries = Array.isArray(manifestRaw)
-      ? manifestRaw.map(entry => {
-          if (typeof entry === 'string') return { name: entry, date: null };
-          if (entry && typeof entry === 'object' && entry.name) {
-            return { name: entry.name, date: entry.date || null };
-          }
-          return null;
-        }).filter(Boolean)
-      : [];
-    if (!manifestEntries.length) throw new Error(`models.json in ${base} is empty or invalid.`);
     modelManifest = manifestEntries;
-    const names = manifestEntries.map(e => e.name);
-
-    loadedModels = [];
+    projectBase = base;
     currentModelIndex = 0;
+    filenameToModelIndex = new Map();
+    manifestEntries.forEach((entry, i) => {
+      const key = normalizeFileKey(entry.name);
+      if (key) filenameToModelIndex.set(key, i);
+    });
 
-    // Load all models from local per-project manifest
-    for (let i = 0; i < names.length; i++) {
-      const name = names[i];
-      const url = buildBlobUrl(`${base}/${encodeURIComponent(name)}`);
-      const cacheKey = `${base}/${name}`;
-      
-      try {
-        loadingText.textContent = `Loading ${displayName} models... ${Math.round(((i + 1) / names.length) * 100)}%`;
-        
-        let gltf;
-        if (modelCache.has(cacheKey)) {
-          gltf = modelCache.get(cacheKey);
-        } else {
-          gltf = await loader.loadAsync(url);
-          modelCache.set(cacheKey, gltf);
-        }
-        
-        const model = gltf.scene;
-        optimizeModel(model);
-        model.userData.originalName = name;
-        model.visible = false;
-        const box = new THREE.Box3().setFromObject(model);
-        const center = box.getCenter(new THREE.Vector3());
-        model.position.sub(center);
-        
-        // No per-project rotation adjustments; keep models consistent across projects
-        scene.add(model);
-        loadedModels.push(model);
-        
-        const key = normalizeFileKey(name);
-        if (key) filenameToModelIndex.set(key, loadedModels.length - 1);
-        
-        // Optionally preload next model in background
-        if (i < names.length - 1) {
-          preloadAdjacentModels(i, names, base);
-        }
-      } catch (err) {
-        console.error(`[Loader] Failed to load ${url}:`, err);
-      }
+    // Only the first loadable snapshot blocks the viewer; the rest load on demand
+    let firstIndex = -1;
+    let first = null;
+    for (let i = 0; i < manifestEntries.length && !first; i++) {
+      loadingText.textContent = `Loading ${displayName} model ${i + 1} of ${manifestEntries.length}...`;
+      modelCache.setPinned([getCacheKey(i)]);
+      first = await ensureModelLoaded(i);
+      if (first) firstIndex = i;
     }
 
-    if (loadedModels.length > 0) {
-      slider.max = loadedModels.length - 1;
-      updateModelVisibility(0);
-      const first = loadedModels[0];
+    if (first) {
+      slider.max = getSnapshotCount() - 1;
+      if (federatedPlan) {
+        federatedPlan.memberElements = indexMemberElements(first, federatedPlan.members);
+        const unmatched = federatedPlan.members.filter((_, i) => !federatedPlan.memberElements.get(i).length);
+        if (unmatched.length) console.warn(`[Schedule] No elements matched for: ${unmatched.map(m => m.member).join(', ')}`);
+        federatedPlan.members.forEach((member, i) => {
+          if (federatedPlan.memberElements.get(i).length) return;
+          reportLoadProblem({ file: DATA_FILES.SCHEDULE, level: 'warning', path: `members[${i}].elements`, message: `${member.member}: no elements in the model match` });
+        });
+      }
+      if (diffButton) diffButton.disabled = !!federatedPlan;
       const box = new THREE.Box3().setFromObject(first);
       const size = box.getSize(new THREE.Vector3());
       const maxDim = Math.max(size.x, size.y, size.z);
+      modelUnitScale = getModelUnitScale(maxDim);
+      if (sectionTools) sectionTools.setBounds(box.clone().applyMatrix4(modelRoot.matrixWorld.clone().invert()));
       // Default camera for most projects
       camera.position.set(maxDim * 1.5, maxDim, maxDim * 1.5);
       camera.lookAt(0, 0, 0);
@@ -407,12 +767,21 @@ async function loadAllModels() {
       if (rotateButton) rotateButton.disabled = false;
 
       autoplayButton.disabled = false;
-      updateSliderDatePopup(0);
+      showModelAt(firstIndex);
       
       loadingText.textContent = `${displayName} models loaded successfully`;
 
       // === NEW: Load corresponding schedule.json for this project ===
-      await loadScheduleForProject(base);
+      await loadScheduleForProject(base, scheduleRaw);
+
+      // A starred viewpoint replaces the default camera; a shared link still wins
+      const startupViewpoint = viewpoints.find(vp => vp.startup);
+      if (startupViewpoint) applyViewpoint(startupViewpoint);
+
+      // Restore a shared link, then keep the URL in sync from here on
+      applyViewState(decodeViewState(window.location.search));
+      viewStateReady = true;
+      window.history.replaceState(null, '', buildViewStateUrl());
     } else {
       loadingText.textContent = `No models found for ${displayName}`;
     }
@@ -433,32 +802,109 @@ if (container) {
   prevButton = document.getElementById("prev-button");
   nextButton = document.getElementById("next-button");
   modelNameDisplay = document.getElementById("model-name-display");
+  diffButton = document.getElementById("diff-button");
+  statusColorButton = document.getElementById("status-color-button");
+  statusLegendEl = document.getElementById("status-legend");
+  diffSummaryEl = document.getElementById("diff-summary");
   loadingOverlay = document.getElementById("loading-overlay");
   loadingText = document.getElementById("loading-text");
   progressTbody = document.getElementById("progress-tbody");
   bottomBarEl = document.getElementById("bottom-bar");
   timelineDatePopupEl = document.getElementById("timeline-date-popup");
+  inspectPanelEl = document.getElementById("inspect-panel");
+  inspectBodyEl = document.getElementById("inspect-body");
+  hoverTooltipEl = document.getElementById("hover-tooltip");
 
   // Setup renderer, controls, lighting and theme
+  // Optional ?locale=de-DE switches how dates are displayed
+  const localeParam = new URLSearchParams(window.location.search).get('locale');
+  if (localeParam) {
+    try {
+      setDisplayLocale(localeParam);
+    } catch (err) {
+      console.warn(`Ignoring unsupported locale "${localeParam}"`);
+    }
+  }
+
   setupRenderer();
   setupControls();
   setupLighting();
   applySceneBackgroundForTheme();
 
+  // Panels that loading reports into
+  setupDiagnostics();
+
   // Start loading models for this viewer
   loadAllModels();
   
   // Attach UI event listeners now that elements exist
   setupUIEventListeners();
+  setupElementInspection();
+  setupMeasureTools();
+  setupSectionTools();
+  setupPlaybackExport();
+  setupProgressReport();
+  setupViewpoints();
+  setupScheduleViews();
+  setupScheduleEditor();
+}
+
+async function fetchScheduleJson(project) {
+  // Load schedule from local repo/public served root (use repo file), not from Blob
+  const scheduleUrl = `/${project}/schedule.json`;
+  const res = await fetch(scheduleUrl, { cache: "no-cache" });
+  if (!res.ok) throw new Error(`schedule.json missing for ${project}`);
+  return res.json();
 }
 
-async function loadScheduleForProject(project) {
+// Slider index for a schedule event: by file in per-snapshot mode, by date in federated mode
+function findModelIndexForEvent(file, date) {
+  if (federatedPlan) {
+    const time = tryParseDate(date);
+    const idx = modelManifest.findIndex(entry => entry.time === time);
+    return idx >= 0 ? idx : null;
+  }
+  const key = file ? normalizeFileKey(file) : null;
+  return key && filenameToModelIndex.has(key) ? filenameToModelIndex.get(key) : null;
+}
+
+// Latest timeline event falling on the given day (federated mode)
+function findTimelineIndexForTime(time) {
+  let found = Number.NaN;
+  timelineEvents.forEach(ev => {
+    if (tryParseDate(ev.date) === time && !(ev.index < found)) found = ev.index;
+  });
+  return found;
+}
+
+// Show a schedule date in the display locale; unparseable values stay visible and are flagged
+function setDateCellText(td, value) {
   try {
-    // Load schedule from local repo/public served root (use repo file), not from Blob
-    const scheduleUrl = `/${project}/schedule.json`;
-    const res = await fetch(scheduleUrl, { cache: "no-cache" });
-    if (!res.ok) throw new Error(`schedule.json missing for ${project}`);
-    scheduleData = await res.json();
+    td.textContent = formatDate(parseDate(value));
+  } catch (err) {
+    td.textContent = value == null ? '' : String(value);
+    td.classList.add('invalid-date');
+    td.title = err.message;
+    console.warn(`[Schedule] ${err.message}`);
+  }
+}
+
+// Colour an event cell by its variance and explain it in the tooltip
+function setVarianceCellState(td, variance) {
+  if (!Number.isFinite(variance.planned)) return;
+  if (variance.status !== VARIANCE_STATUS.NOT_STARTED) td.classList.add(`variance-${variance.status}`);
+  if (variance.pastDue) td.classList.add('past-due');
+  const lines = [`Planned: ${formatDate(variance.planned)}`];
+  if (Number.isFinite(variance.forecast) && variance.forecast !== variance.planned) lines.push(`Forecast: ${formatDate(variance.forecast)}`);
+  lines.push(variance.complete ? `Actual: ${formatDate(variance.actual)}` : 'Actual: open');
+  if (variance.varianceDays !== null) lines.push(`Variance: ${formatVariance(variance.varianceDays)}${variance.pastDue ? ' (past due)' : ''}`);
+  td.title = lines.join('\n');
+}
+
+async function loadScheduleForProject(project, preloaded = null) {
+  try {
+    scheduleSource = preloaded || await fetchScheduleJson(project);
+    scheduleData = normalizeSchedule(scheduleSource).members;
 
     // Build table from schedule.json
     progressTbody.innerHTML = "";
@@ -481,17 +927,25 @@ async function loadScheduleForProject(project) {
       fabTd.dataset.date = item.fabricationCompletion.date;
       fabTd.dataset.type = 'fab';
       if (fabFile) fabTd.dataset.file = fabFile;
-      fabTd.textContent = item.fabricationCompletion.date;
+      setDateCellText(fabTd, item.fabricationCompletion.date);
       const erecTd = document.createElement('td');
       erecTd.className = 'clickable';
       erecTd.dataset.index = String(ercIdx);
       erecTd.dataset.date = item.erectionCompletion.date;
       erecTd.dataset.type = 'erec';
       if (erecFile) erecTd.dataset.file = erecFile;
-      erecTd.textContent = item.erectionCompletion.date;
+      setDateCellText(erecTd, item.erectionCompletion.date);
+      const variance = getMemberVariance(item);
+      setVarianceCellState(fabTd, variance.fab);
+      setVarianceCellState(erecTd, variance.erec);
+      const varianceTd = document.createElement('td');
+      varianceTd.className = `variance variance-${variance.status}`;
+      varianceTd.textContent = formatVariance(variance.varianceDays);
+      varianceTd.title = VARIANCE_LABELS[variance.status] + (variance.pastDue ? ', past due' : '');
       tr.appendChild(memberTd);
       tr.appendChild(fabTd);
       tr.appendChild(erecTd);
+      tr.appendChild(varianceTd);
       timelineCells.push(fabTd, erecTd);
       // Build event objects (store note if available)
       timelineEvents.push({ index: fabIdx, date: item.fabricationCompletion.date, type: 'fab', note: item.fabricationCompletion.note || null, member: item.member, file: fabFile });
@@ -508,6 +962,7 @@ async function loadScheduleForProject(project) {
     });
 
     buildTimelineFromEvents();
+    updateGanttChart();
 
     // click -> show the exact model by filename (normalized), and sync highlight
     const cells = progressTbody.querySelectorAll(".clickable");
@@ -518,9 +973,8 @@ async function loadScheduleForProject(project) {
         const dateStr = target.dataset.date;
         const file = target.dataset.file;
         const timelineIndex = Number(idxStr);
-        const key = file ? normalizeFileKey(file) : null;
-        if (key && filenameToModelIndex.has(key)) {
-          const modelIndex = filenameToModelIndex.get(key);
+        const modelIndex = findModelIndexForEvent(file, dateStr);
+        if (modelIndex !== null) {
           showModelAt(modelIndex);
           if (Number.isFinite(timelineIndex)) {
             currentTimelineIndex = timelineIndex;
@@ -532,6 +986,7 @@ async function loadScheduleForProject(project) {
           currentTimelineIndex = timelineIndex;
           updateTimelineHighlight(timelineIndex);
         }
+        recordViewState();
       });
     });
 
@@ -542,7 +997,7 @@ async function loadScheduleForProject(project) {
       progressTbody.innerHTML = '';
       const tr = document.createElement('tr');
       const td = document.createElement('td');
-      td.colSpan = 3;
+      td.colSpan = 4;
       td.style.color = '#b91c1c';
       td.style.fontWeight = '600';
       td.textContent = `Error loading schedule for ${project}: ${err.message}`;
@@ -550,6 +1005,9 @@ async function loadScheduleForProject(project) {
       progressTbody.appendChild(tr);
     } catch(e) {}
     // fallback: if schedule fails, leave any existing table alone
+    // but still draw the axis from the snapshot dates
+    timelineEvents = [];
+    buildTimelineFromEvents();
   }
 }
 
@@ -565,7 +1023,7 @@ function setupUIEventListeners() {
     prevButton.addEventListener("click", () => {
       stopAutoplay();
       if (!slider) return;
-      const maxVal = Math.max(0, loadedModels.length - 1);
+      const maxVal = Math.max(0, getSnapshotCount() - 1);
       let prevVal = parseInt(slider.value, 10) - 1;
       if (prevVal < 0) prevVal = maxVal;
       slider.value = String(prevVal);
@@ -595,6 +1053,13 @@ function setupUIEventListeners() {
     });
   }
 
+  if (diffButton) {
+    diffButton.addEventListener("click", () => setDiffMode(!diffMode));
+  }
+  if (statusColorButton) {
+    statusColorButton.addEventListener("click", () => setStatusColorMode(!statusColorMode));
+  }
+
   if (rotateButton) {
     rotateButton.addEventListener("click", () => {
       if (orbitState.running) {
@@ -611,7 +1076,7 @@ function setupUIEventListeners() {
           const delta = now - orbitState.lastTime;
           orbitState.lastTime = now;
           orbitState.currentAngle += orbitState.speed * delta;
-          loadedModels.forEach(m => { if (m) m.rotation.y = orbitState.currentAngle; });
+          modelRoot.rotation.y = orbitState.currentAngle;
           orbitState.rafId = requestAnimationFrame(rotateFrame);
         };
         orbitState.rafId = requestAnimationFrame(rotateFrame);
@@ -625,20 +1090,20 @@ function updateTimelineHighlight(currentIndex) {
   // Get the date of the clicked event
   const currentEvent = timelineEvents.find(e => e.index === currentIndex);
   if (!currentEvent) return;
-  const currentDate = new Date(currentEvent.date);
-  if (isNaN(currentDate.getTime())) return;
+  const currentDate = tryParseDate(currentEvent.date);
+  if (!Number.isFinite(currentDate)) return;
   
   timelineCells.forEach(cell => {
     const idx = parseInt(cell.dataset.index, 10);
     const type = cell.dataset.type;
-    const cellDate = new Date(cell.dataset.date);
+    const cellDate = tryParseDate(cell.dataset.date);
     
     // Ensure old selection styles do not mask red/green states
     cell.classList.remove('fab-done','fab-current','erec-done','erec-current','selected');
     
     if (Number.isFinite(idx) && Number.isFinite(currentIndex)) {
       // Only highlight cells whose date is <= currentDate
-      if (!isNaN(cellDate.getTime()) && cellDate <= currentDate) {
+      if (Number.isFinite(cellDate) && cellDate <= currentDate) {
         if (idx === currentIndex) {
           if (type === 'fab') cell.classList.add('fab-current');
           else if (type === 'erec') cell.classList.add('erec-current');
@@ -662,108 +1127,209 @@ function updateTimelineHighlight(currentIndex) {
       row.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
     }
   } catch {}
+  document.querySelectorAll('.timeline-marker').forEach(marker => {
+    marker.classList.toggle('current', Number(marker.dataset.index) === Number(currentIndex));
+  });
+  if (ganttChart) ganttChart.setCurrentEvent(Number(currentIndex));
   updateTimelinePopup(currentIndex);
 }
 
-// Build ticks/dates from timelineEvents (override any existing generic timeline)
+// Timeline marker / Gantt click: show the event's snapshot and select it
+function jumpToTimelineEvent(ev) {
+  // Prefer exact file mapping, else just update highlight to this event
+  const modelIndex = findModelIndexForEvent(ev.file, ev.date);
+  if (modelIndex !== null) {
+    showModelAt(modelIndex);
+    currentTimelineIndex = ev.index;
+    updateTimelineHighlight(ev.index);
+  } else {
+    currentTimelineIndex = ev.index;
+    updateTimelineHighlight(ev.index);
+  }
+  recordViewState();
+}
+
+// Build a calendar-proportional axis from the dates in schedule.json and models.json
 function buildTimelineFromEvents() {
   const scaleEl = document.getElementById('timeline-scale');
   const datesEl = document.getElementById('timeline-dates');
+  const fabRowEl = document.getElementById('timeline-fab-row');
+  const erecRowEl = document.getElementById('timeline-erec-row');
   if (!scaleEl || !datesEl) return;
   scaleEl.innerHTML = '';
   datesEl.innerHTML = '';
-  
-  // Use hardcoded dates based on project instead of schedule dates
-  const timelineConfigs = {
-    'BSGS': [
-      "10/21/26", "11/07/26", "11/24/26", "12/24/26", "11/11/26", "02/04/27",
-      "02/13/27", "02/22/27", "02/01/27"
-    ],
-    'CUP': [
-      "Aug 2026", "Sep 2026", "Oct 2026", "Nov 2026", "Dec 2026",
-      "Jan 2027", "Feb 2027", "Mar 2027"
-    ],
-    'LORRY': [
-      "Jan 2027", "Feb 2027", "Mar 2027", "Apr 2027", "May 2027", "Jun 2027"
-    ],
-    'WRC': [
-      "Aug 2026", "Sep 2026", "Oct 2026", "Nov 2026", "Dec 2026",
-      "Jan 2027", "Feb 2027", "Mar 2027", "Apr 2027"
-    ],
-    '1': [
-      "Aug 2026", "Sep 2026", "Oct 2026", "Nov 2026", "Dec 2026",
-      "Jan 2027", "Feb 2027", "Mar 2027", "Apr 2027"
-    ]
-  };
-  
-  const dates = timelineConfigs[currentProject] || timelineConfigs['BSGS'];
-  const ordered = [...timelineEvents].sort((a,b)=>a.index-b.index);
-  
-  const handleClick = (ev) => {
-    // Prefer exact file mapping, else just update highlight to this event
-    const key = ev.file ? normalizeFileKey(ev.file) : null;
-    if (key && filenameToModelIndex.has(key)) {
-      const modelIndex = filenameToModelIndex.get(key);
-      showModelAt(modelIndex);
-      currentTimelineIndex = ev.index;
-      updateTimelineHighlight(ev.index);
-    } else {
-      currentTimelineIndex = ev.index;
-      updateTimelineHighlight(ev.index);
-    }
-  };
-  
-  // Generate ticks and dates based on hardcoded date arrays - ensure they match
-  dates.forEach((date, i) => {
-    // Create tick
+  if (fabRowEl) fabRowEl.innerHTML = '';
+  if (erecRowEl) erecRowEl.innerHTML = '';
+
+  const eventTimes = timelineEvents.map(ev => tryParseDate(ev.date));
+  const manifestTimes = modelManifest.map(entry => tryParseDate(entry.date));
+  const range = computeTimelineRange([...eventTimes, ...manifestTimes]);
+  if (!range) return;
+  const toPercent = (time) => `${(positionForTime(time, range) * 100).toFixed(3)}%`;
+
+  // Day/week/month ticks are chosen from the span of the project
+  const { ticks } = buildAxisTicks(range, defaultTickLabel);
+  ticks.forEach(({ time, label }) => {
     const tick = document.createElement('div');
     tick.className = 'tick';
-    // Map to timeline event if it exists, otherwise use index
-    const ev = ordered[i];
-    if (ev) {
-      tick.dataset.index = String(ev.index);
-      tick.style.cursor = 'pointer';
-      tick.addEventListener('click', () => handleClick(ev));
-    }
+    tick.style.left = toPercent(time);
     scaleEl.appendChild(tick);
-    
-    // Create date label
+
     const span = document.createElement('span');
-    span.textContent = date;
-    span.style.cursor = 'pointer';
-    if (ev) {
-      span.addEventListener('click', () => handleClick(ev));
-    }
+    span.textContent = label;
+    span.style.left = toPercent(time);
     datesEl.appendChild(span);
   });
+
+  const now = today();
+  if (now >= range.start && now <= range.end) {
+    const today = document.createElement('div');
+    today.className = 'timeline-today';
+    today.title = 'Today';
+    today.style.left = toPercent(now);
+    scaleEl.appendChild(today);
+  }
+
+  // Fabrication and erection events each get their own marker row
+  timelineEvents.forEach((ev, i) => {
+    const time = eventTimes[i];
+    const row = ev.type === 'fab' ? fabRowEl : erecRowEl;
+    if (!row || !Number.isFinite(time)) return;
+    const marker = document.createElement('div');
+    marker.className = `timeline-marker ${ev.type}`;
+    marker.dataset.index = String(ev.index);
+    marker.style.left = toPercent(time);
+    marker.title = `${ev.type === 'fab' ? 'Fabrication' : 'Erection'} complete: ${ev.member} (${formatDateValue(ev.date)})`;
+    marker.addEventListener('click', () => jumpToTimelineEvent(ev));
+    row.appendChild(marker);
+  });
 }
 
-// Update / position popup for current timeline index with prev/current/next
-function updateTimelinePopup(currentIndex) {
-  if (!timelinePopupEl) return;
+// === Gantt ===
+// Day value of a slider step (federated steps carry it, snapshots have a date)
+function getStepTime(index) {
+  const entry = modelManifest[index];
+  if (!entry) return Number.NaN;
+  return Number.isFinite(entry.time) ? entry.time : tryParseDate(entry.date);
+}
+
+// One row per schedule member, using the same fab/erec event indices as the table
+function updateGanttChart() {
+  if (!ganttChart) return;
+  ganttChart.setRows(scheduleData.map((item, idx) => {
+    const variance = getMemberVariance(item);
+    const milestones = timelineEvents
+      .filter(ev => ev.index === idx * 2 || ev.index === idx * 2 + 1)
+      .map(ev => ({ time: tryParseDate(ev.date), type: ev.type, event: ev }))
+      .filter(m => Number.isFinite(m.time));
+    const planned = [variance.fab.planned, variance.erec.planned].filter(Number.isFinite);
+    return {
+      label: item.member,
+      status: variance.status,
+      milestones,
+      baseline: planned.length ? { start: Math.min(...planned), end: Math.max(...planned) } : null
+    };
+  }));
+  ganttChart.setPlayhead(getStepTime(currentModelIndex));
+  if (Number.isFinite(currentTimelineIndex)) ganttChart.setCurrentEvent(currentTimelineIndex);
+}
+
+function setScheduleView(view) {
+  const panel = document.getElementById('progress-table');
+  if (!panel) return;
+  panel.classList.toggle('gantt-view', view === 'gantt');
+  panel.querySelectorAll('.progress-tab').forEach(tab => tab.classList.toggle('active', tab.dataset.view === view));
+  localStorage.setItem('progressView', view);
+}
+
+function setupScheduleViews() {
+  const ganttEl = document.getElementById('gantt-container');
+  if (ganttEl) ganttChart = createGanttChart(ganttEl, { onSelect: jumpToTimelineEvent });
+  document.querySelectorAll('#progress-table .progress-tab[data-view]').forEach(tab => {
+    tab.addEventListener('click', () => setScheduleView(tab.dataset.view));
+  });
+  setScheduleView(localStorage.getItem('progressView') === 'gantt' ? 'gantt' : 'table');
+}
+
+// === Schedule Editor ===
+// Edits are applied to this session right away; the downloaded schedule.json
+// replaces public/<project>/schedule.json to make them permanent.
+async function applyEditedSchedule(raw) {
+  if (federatedPlan) {
+    // Steps come from the schedule dates; the federated model itself stays loaded
+    const { members } = normalizeSchedule(raw);
+    const name = getSnapshotName(0);
+    const steps = buildScheduleSteps(members);
+    if (steps.length) {
+      const step = getStepTime(currentModelIndex);
+      modelManifest = steps.map(s => ({ name, date: s.date, time: s.time }));
+      slider.max = getSnapshotCount() - 1;
+      const next = modelManifest.findIndex(entry => entry.time >= step);
+      currentModelIndex = next >= 0 ? next : modelManifest.length - 1;
+    }
+    federatedPlan.members = members;
+    const model = getLoadedModel(0);
+    if (model) federatedPlan.memberElements = indexMemberElements(model, members);
+  }
+  await loadScheduleForProject(currentProject, raw);
+  // Element links are cached per snapshot against the old member list
+  if (!federatedPlan) modelCache.values().forEach(model => snapshotMemberElements.delete(model));
+  showModelAt(currentModelIndex);
+}
+
+function setupScheduleEditor() {
+  const editorEl = document.getElementById('schedule-editor');
+  const editButton = document.getElementById('schedule-edit-button');
+  if (!editorEl || !editButton) return;
+  scheduleEditor = createScheduleEditor(editorEl, {
+    onSave: (members) => {
+      const output = Array.isArray(scheduleSource) || !scheduleSource ? members : { ...scheduleSource, members };
+      downloadText('schedule.json', `${JSON.stringify(output, null, 2)}\n`);
+      applyEditedSchedule(output).catch(err => console.error('[Schedule] Could not apply edits:', err));
+    }
+  });
+  editButton.addEventListener('click', () => {
+    // Federated schedules link members by element selectors, not by file
+    const files = federatedPlan ? null : [...new Set(modelManifest.map(entry => entry.name))];
+    scheduleEditor.open(scheduleData, files);
+  });
+}
+
+// Previous / current / next milestone around a timeline index, null when it is not an event
+function getTimelinePopupEvents(currentIndex) {
   const numericIndex = Number(currentIndex);
   const ordered = [...timelineEvents].sort((a, b) => a.index - b.index);
   const currentPos = ordered.findIndex(e => e.index === numericIndex);
-  if (currentPos === -1) {
+  if (currentPos === -1) return null;
+  return {
+    prev: currentPos > 0 ? ordered[currentPos - 1] : null,
+    current: ordered[currentPos],
+    next: currentPos < ordered.length - 1 ? ordered[currentPos + 1] : null
+  };
+}
+
+function describeMilestone(ev) {
+  const title = ev.type === 'fab' ? 'Fabrication Complete' : 'Erection Complete';
+  const note = ev.note ? ` – ${ev.note}` : '';
+  const date = ev.date ? ` (${formatDateValue(ev.date)})` : '';
+  return `${title}: ${ev.member}${date}${note}`;
+}
+
+// Update / position popup for current timeline index with prev/current/next
+function updateTimelinePopup(currentIndex) {
+  if (!timelinePopupEl) return;
+  const events = getTimelinePopupEvents(currentIndex);
+  if (!events) {
     timelinePopupEl.classList.remove('visible');
     return;
   }
 
-  const prev = currentPos > 0 ? ordered[currentPos - 1] : null;
-  const curr = ordered[currentPos];
-  const next = currentPos < ordered.length - 1 ? ordered[currentPos + 1] : null;
-
-  const renderLine = (ev, cls) => {
-    if (!ev) return '';
-    const title = ev.type === 'fab' ? 'Fabrication Complete' : 'Erection Complete';
-    const note = ev.note ? ` – ${ev.note}` : '';
-    return `<div class="milestone ${cls}">${title}: ${ev.member}${note}</div>`;
-  };
+  const renderLine = (ev, cls) => (ev ? `<div class="milestone ${cls}">${describeMilestone(ev)}</div>` : '');
 
   timelinePopupEl.innerHTML =
-    renderLine(prev, 'prev') +
-    renderLine(curr, 'current') +
-    renderLine(next, 'next');
+    renderLine(events.prev, 'prev') +
+    renderLine(events.current, 'current') +
+    renderLine(events.next, 'next');
 
   timelinePopupEl.classList.add('visible');
 }
@@ -771,21 +1337,759 @@ function updateTimelinePopup(currentIndex) {
 
 
 
+// === Element Inspection ===
+// Click selects and outlines an element and opens the properties panel;
+// hovering shows its name. A press that turns into an orbit drag is not a click.
+const CLICK_MOVE_TOLERANCE_PX = 5;
+let selectedElement = null; // { key, element, model }
+let removeSelectionOutline = null;
+// Element key from a shared link, applied once its snapshot is on screen
+let pendingSelectionKey = null;
+let pointerDownAt = null;
+let hoverFramePending = false;
+
+function setRayFromEvent(event) {
+  const rect = renderer.domElement.getBoundingClientRect();
+  pointer.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
+  pointer.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
+  raycaster.setFromCamera(pointer, camera);
+}
+
+function clearSelection() {
+  if (removeSelectionOutline) removeSelectionOutline();
+  removeSelectionOutline = null;
+  const hadSelection = !!selectedElement;
+  selectedElement = null;
+  if (inspectPanelEl) inspectPanelEl.classList.remove('visible');
+  if (hadSelection) recordViewState();
+}
+
+function selectElement(element, model) {
+  if (removeSelectionOutline) removeSelectionOutline();
+  selectedElement = { key: element.key, element, model };
+  removeSelectionOutline = addSelectionOutline(element);
+  // Same member-to-mesh index as the status colours (selectors, else member names)
+  const memberElements = getMemberElementsFor(model);
+  const members = (federatedPlan ? federatedPlan.members : scheduleData)
+    .filter((_, i) => (memberElements.get(i) || []).some(mesh => element.meshes.includes(mesh)));
+  if (inspectBodyEl) {
+    renderInspectPanel(inspectBodyEl, {
+      name: getElementName(element),
+      properties: getElementProperties(element),
+      size: getElementSize(element),
+      formatLength: formatModelLength,
+      members: members.map(m => m.member)
+    });
+  }
+  if (inspectPanelEl) inspectPanelEl.classList.add('visible');
+  recordViewState();
+}
+
+// Carry the selection over to another snapshot (or apply one from a link)
+function syncSelectionToModel(model) {
+  const key = pendingSelectionKey || (selectedElement && selectedElement.key);
+  if (!key || (selectedElement && selectedElement.model === model && !pendingSelectionKey)) return;
+  pendingSelectionKey = null;
+  const element = getElementIndex(model).elements.get(key);
+  if (element) selectElement(element, model);
+  else clearSelection();
+}
+
+function hideHoverTooltip() {
+  if (hoverTooltipEl) hoverTooltipEl.classList.remove('visible');
+}
+
+function updateHoverTooltip(event) {
+  if (!hoverTooltipEl) return;
+  setRayFromEvent(event);
+  const picked = pickElement(raycaster, getLoadedModel(currentModelIndex), getClippingPlanes());
+  if (!picked) {
+    hideHoverTooltip();
+    return;
+  }
+  const mark = picked.element.node.userData.ASSEMBLY_POS || picked.element.node.userData.assemblyMark;
+  hoverTooltipEl.textContent = mark ? `${getElementName(picked.element)} (${mark})` : getElementName(picked.element);
+  hoverTooltipEl.style.left = `${event.clientX + 14}px`;
+  hoverTooltipEl.style.top = `${event.clientY + 14}px`;
+  hoverTooltipEl.classList.add('visible');
+}
+
+function setupElementInspection() {
+  const canvas = renderer.domElement;
+  canvas.addEventListener('pointerdown', (event) => {
+    pointerDownAt = { x: event.clientX, y: event.clientY };
+  });
+  canvas.addEventListener('pointerup', (event) => {
+    if (!pointerDownAt || event.button !== 0) return;
+    const moved = Math.hypot(event.clientX - pointerDownAt.x, event.clientY - pointerDownAt.y);
+    pointerDownAt = null;
+    if (moved > CLICK_MOVE_TOLERANCE_PX) return;
+    setRayFromEvent(event);
+    const model = getLoadedModel(currentModelIndex);
+    const picked = pickElement(raycaster, model, getClippingPlanes());
+    if (handleMeasureClick(picked, model)) return;
+    if (picked) selectElement(picked.element, model);
+    else clearSelection();
+  });
+  canvas.addEventListener('pointermove', (event) => {
+    // Skip hover picking while orbiting and throttle it to one raycast per frame
+    if (event.buttons || hoverFramePending) {
+      if (event.buttons) hideHoverTooltip();
+      return;
+    }
+    hoverFramePending = true;
+    requestAnimationFrame(() => {
+      hoverFramePending = false;
+      updateHoverTooltip(event);
+    });
+  });
+  canvas.addEventListener('pointerleave', hideHoverTooltip);
+  document.getElementById('inspect-close')?.addEventListener('click', clearSelection);
+  window.addEventListener('keydown', (event) => {
+    if (event.key !== 'Escape') return;
+    if (measureTools && measureTools.getMode()) setMeasureMode(null);
+    else clearSelection();
+  });
+}
+
+// === Measurements ===
+// Lengths are stored in model units and converted for display, so switching
+// units relabels existing dimensions without re-measuring.
+function formatModelLength(n) {
+  return formatLength(n * modelUnitScale, displayUnits);
+}
+
+function setMeasureMode(mode) {
+  if (!measureTools) return;
+  const next = measureTools.getMode() === mode ? null : mode;
+  measureTools.setMode(next);
+  Object.entries(measureButtons).forEach(([key, button]) => button.classList.toggle('active', key === next));
+  renderer.domElement.style.cursor = next ? 'crosshair' : '';
+}
+
+// Route a click to the active measuring tool. Returns true when it was used.
+function handleMeasureClick(picked, model) {
+  if (!measureTools || !measureTools.getMode()) return false;
+  if (measureTools.handlePointPick(picked && picked.hit)) return true;
+  if (!measureTools.handleElementPick(picked && picked.element)) return false;
+  // Outline the first element of a clearance pair while the second is picked
+  if (picked && measureTools.hasPendingElement()) selectElement(picked.element, model);
+  return true;
+}
+
+function setupMeasureTools() {
+  measureTools = createMeasureTools({
+    parent: modelRoot,
+    camera,
+    domElement: renderer.domElement,
+    container,
+    formatLength: formatModelLength
+  });
+  Object.values(MEASURE_MODES).forEach(mode => {
+    const button = document.getElementById(`measure-${mode}-button`);
+    if (!button) return;
+    measureButtons[mode] = button;
+    button.addEventListener('click', () => setMeasureMode(mode));
+  });
+  measureClearButton = document.getElementById('measure-clear-button');
+  measureClearButton?.addEventListener('click', () => measureTools.clear());
+  unitsSelect = document.getElementById('units-select');
+  if (unitsSelect) {
+    unitsSelect.value = displayUnits;
+    unitsSelect.addEventListener('change', () => {
+      displayUnits = unitsSelect.value;
+      measureTools.refreshLabels();
+      if (selectedElement) selectElement(selectedElement.element, selectedElement.model);
+    });
+  }
+}
+
+// === Section Planes / Clipping Box ===
+function getClippingPlanes() {
+  return sectionTools ? sectionTools.getClippingPlanes() : [];
+}
+
+function setupSectionTools() {
+  sectionTools = createSectionTools({
+    parent: modelRoot,
+    camera,
+    controls,
+    domElement: renderer.domElement,
+    onChange: () => sectionButton && sectionButton.classList.toggle('active', sectionTools.isActive())
+  });
+  sectionButton = document.getElementById('section-button');
+  sectionPanelEl = document.getElementById('section-panel');
+  sectionButton?.addEventListener('click', () => sectionPanelEl && sectionPanelEl.classList.toggle('visible'));
+  document.getElementById('section-close')?.addEventListener('click', () => sectionPanelEl.classList.remove('visible'));
+
+  SECTION_AXES.forEach(axis => {
+    const row = sectionPanelEl && sectionPanelEl.querySelector(`.section-row[data-axis="${axis}"]`);
+    if (!row) return;
+    const enabledInput = row.querySelector('.section-enabled');
+    const offsetInput = row.querySelector('.section-offset');
+    enabledInput.addEventListener('change', () => sectionTools.setSection(axis, { enabled: enabledInput.checked }));
+    offsetInput.addEventListener('input', () => {
+      sectionTools.setSection(axis, { enabled: true, offset: Number(offsetInput.value) / Number(offsetInput.max) });
+      enabledInput.checked = true;
+    });
+    row.querySelector('.section-flip').addEventListener('click', () => {
+      sectionTools.setSection(axis, { flip: !sectionTools.getSection(axis).flip });
+    });
+  });
+  const boxInput = document.getElementById('clip-box-enabled');
+  boxInput?.addEventListener('change', () => sectionTools.setBoxEnabled(boxInput.checked));
+  document.getElementById('clip-box-reset')?.addEventListener('click', () => sectionTools.resetBox());
+  const capsInput = document.getElementById('section-caps');
+  capsInput?.addEventListener('change', () => sectionTools.setCapsEnabled(capsInput.checked));
+}
+
+// Reflect the clip state (e.g. from a viewpoint) in the panel controls
+function syncSectionPanel() {
+  if (!sectionTools || !sectionPanelEl) return;
+  const state = sectionTools.getState();
+  SECTION_AXES.forEach(axis => {
+    const row = sectionPanelEl.querySelector(`.section-row[data-axis="${axis}"]`);
+    if (!row) return;
+    const offsetInput = row.querySelector('.section-offset');
+    row.querySelector('.section-enabled').checked = state.sections[axis].enabled;
+    offsetInput.value = String(Math.round(state.sections[axis].offset * Number(offsetInput.max)));
+  });
+  const boxInput = document.getElementById('clip-box-enabled');
+  if (boxInput) boxInput.checked = state.box.enabled;
+  const capsInput = document.getElementById('section-caps');
+  if (capsInput) capsInput.checked = state.caps;
+}
+
+// === Playback Export ===
+// Renders every snapshot offline at a fixed size and frame rate (see src/playback-export.js).
+// The live render loop, controls and autoplay are paused until it finishes.
+
+// Milestones completed by a snapshot: by file in per-snapshot mode, by date in federated mode
+function getMilestonesForStep(index) {
+  const entry = modelManifest[index];
+  if (!entry) return [];
+  const key = normalizeFileKey(entry.name);
+  return timelineEvents
+    .filter(ev => (federatedPlan ? tryParseDate(ev.date) === entry.time : ev.file && normalizeFileKey(ev.file) === key))
+    .sort((a, b) => a.index - b.index);
+}
+
+function getExportCaption(index) {
+  const lines = getMilestonesForStep(index).map(ev =>
+    `${ev.type === 'fab' ? 'Fabrication Complete' : 'Erection Complete'}: ${ev.member}${ev.note ? ` – ${ev.note}` : ''}`);
+  return { title: getDateLabelForIndex(index), lines };
+}
+
+function readExportSettings() {
+  const value = (id) => document.getElementById(id).value;
+  const [width, height] = value('export-resolution') === 'window'
+    ? [window.innerWidth, window.innerHeight]
+    : value('export-resolution').split('x').map(Number);
+  const clamp = (n, min, max, fallback) => (Number.isFinite(n) ? Math.min(max, Math.max(min, n)) : fallback);
+  return {
+    format: value('export-format'),
+    width,
+    height,
+    fps: clamp(Math.round(Number(value('export-fps'))), 1, 60, 30),
+    secondsPerStep: clamp(Number(value('export-seconds')), 0.1, 30, 1.5),
+    orbitDegrees: clamp(Number(value('export-orbit')), -1080, 1080, 0),
+    captions: document.getElementById('export-captions').checked
+  };
+}
+
+async function runPlaybackExport(settings, onProgress) {
+  const count = getSnapshotCount();
+  if (!count || exportInProgress) return;
+  const extension = settings.format === EXPORT_FORMATS.WEBM ? 'webm' : 'zip';
+  const filename = `${currentProjectCode || 'project'}-4d-playback.${extension}`;
+  // PNG sequences are written straight to a file where the browser allows it.
+  // The picker is opened before anything is awaited, while the click still counts as a user gesture.
+  let fileSink = null;
+  if (settings.format === EXPORT_FORMATS.PNG) {
+    try {
+      checkExportLimits({ ...settings, stepCount: count });
+    } catch (err) {
+      alert(`Export failed: ${err.message}`);
+      return false;
+    }
+    if (isSaveFilePickerSupported()) {
+      fileSink = openFileSink(filename, { description: 'ZIP archive', accept: { 'application/zip': ['.zip'] } });
+    }
+  }
+  stopAutoplay();
+  const startIndex = currentModelIndex;
+  exportInProgress = true;
+  exportAbort = new AbortController();
+  controls.enabled = false;
+  try {
+    const sink = fileSink && await fileSink.catch(err => {
+      throw err.name === 'AbortError' ? new ExportCancelledError() : err;
+    });
+    const blob = await exportPlayback({
+      renderer,
+      scene,
+      camera,
+      target: controls.target.clone(),
+      stepCount: count,
+      showStep: async (i) => {
+        modelCache.setPinned([getCacheKey(i)]);
+        await ensureModelLoaded(i);
+        await showModelAt(i, true);
+      },
+      getCaption: settings.captions ? getExportCaption : undefined,
+      beforeRender: () => { if (sectionTools) sectionTools.update(); },
+      format: settings.format,
+      width: settings.width,
+      height: settings.height,
+      fps: settings.fps,
+      secondsPerStep: settings.secondsPerStep,
+      orbitDegrees: settings.orbitDegrees,
+      manifest: {
+        project: currentProjectCode,
+        steps: modelManifest.map((entry, i) => {
+          const time = getStepTime(i);
+          return { index: i, snapshot: entry.name, date: Number.isFinite(time) ? toIsoDay(time) : null };
+        })
+      },
+      sink: sink || undefined,
+      onProgress,
+      signal: exportAbort.signal
+    });
+    // Nothing to download when the ZIP went to a file
+    if (blob) downloadBlob(filename, blob);
+    return true;
+  } catch (err) {
+    if (err instanceof ExportCancelledError) return false;
+    console.error('[Export] Failed:', err);
+    alert(`Export failed: ${err.message}`);
+    return false;
+  } finally {
+    exportInProgress = false;
+    exportAbort = null;
+    controls.enabled = true;
+    showModelAt(startIndex);
+  }
+}
+
+function setupPlaybackExport() {
+  const panel = document.getElementById('export-panel');
+  const button = document.getElementById('export-button');
+  if (!panel || !button) return;
+  const startButton = document.getElementById('export-start');
+  const cancelButton = document.getElementById('export-cancel');
+  const progressEl = document.getElementById('export-progress');
+  const formatSelect = document.getElementById('export-format');
+  if (!isWebmExportSupported()) {
+    formatSelect.querySelector('option[value="webm"]').disabled = true;
+    formatSelect.value = EXPORT_FORMATS.PNG;
+  }
+
+  button.addEventListener('click', () => panel.classList.toggle('visible'));
+  document.getElementById('export-close')?.addEventListener('click', () => {
+    if (!exportInProgress) panel.classList.remove('visible');
+  });
+  cancelButton.addEventListener('click', () => exportAbort && exportAbort.abort());
+  startButton.addEventListener('click', async () => {
+    if (!getSnapshotCount()) return;
+    startButton.disabled = true;
+    cancelButton.disabled = false;
+    progressEl.textContent = 'Preparing...';
+    const done = await runPlaybackExport(readExportSettings(), (frame, total) => {
+      progressEl.textContent = `Frame ${frame} / ${total}`;
+    });
+    progressEl.textContent = done ? 'Done' : '';
+    startButton.disabled = false;
+    cancelButton.disabled = true;
+  });
+}
+
+// === Progress Report ===
+// A self-contained HTML snapshot of the project state, meant to be printed to PDF.
+// Milestones count as completed when they have an actual date; schedules that
+// do not record actual dates yet fall back to scheduled dates up to today.
+
+function getReportMilestones(asOf) {
+  const tracksActuals = scheduleData.some(item =>
+    (item.fabricationCompletion && item.fabricationCompletion.actual) || (item.erectionCompletion && item.erectionCompletion.actual));
+  const completed = [];
+  const upcoming = [];
+  scheduleData.forEach(item => {
+    [['fabricationCompletion', 'Fabrication Complete'], ['erectionCompletion', 'Erection Complete']].forEach(([key, label]) => {
+      const variance = getEventVariance(item[key], asOf);
+      if (!Number.isFinite(variance.forecast) && !variance.complete) return;
+      const done = tracksActuals ? variance.complete : variance.forecast <= asOf;
+      const time = variance.complete ? variance.actual : variance.forecast;
+      const entry = {
+        time,
+        date: formatDate(time),
+        label,
+        member: item.member,
+        status: variance.status,
+        variance: formatVariance(variance.varianceDays),
+        pastDue: !done && variance.pastDue
+      };
+      (done ? completed : upcoming).push(entry);
+    });
+  });
+  completed.sort((a, b) => b.time - a.time);
+  upcoming.sort((a, b) => a.time - b.time);
+  return { completed, upcoming };
+}
+
+// Done / current state of an event cell as of the selected milestone, as in the table
+function getReportEventState(eventIndex, date) {
+  const current = timelineEvents.find(e => e.index === currentTimelineIndex);
+  const currentDate = current ? tryParseDate(current.date) : Number.NaN;
+  const cellDate = tryParseDate(date);
+  if (!Number.isFinite(currentDate) || !Number.isFinite(cellDate) || cellDate > currentDate) return null;
+  return eventIndex === currentTimelineIndex ? 'current' : 'done';
+}
+
+function captureViewImage() {
+  // Read back in the same task as the render, before the drawing buffer is cleared
+  renderer.render(scene, camera);
+  try {
+    return renderer.domElement.toDataURL('image/png');
+  } catch (err) {
+    console.warn('[Report] Could not capture the 3D view:', err);
+    return null;
+  }
+}
+
+function generateProgressReport() {
+  const project = projectRegistry && findProject(projectRegistry, currentProjectCode);
+  const asOf = today();
+  const popupEvents = getTimelinePopupEvents(currentTimelineIndex);
+  const popup = popupEvents
+    ? ['prev', 'current', 'next'].filter(cls => popupEvents[cls]).map(cls => ({ cls, text: describeMilestone(popupEvents[cls]) }))
+    : [];
+
+  const counts = Object.fromEntries(Object.values(VARIANCE_STATUS).map(status => [status, 0]));
+  const rows = scheduleData.map((item, idx) => {
+    const variance = getMemberVariance(item, asOf);
+    counts[variance.status]++;
+    const cell = (key, eventVariance, eventIndex) => {
+      const ev = item[key] || {};
+      const day = tryParseDate(ev.date);
+      return {
+        text: Number.isFinite(day) ? formatDate(day) : String(ev.date || ''),
+        state: getReportEventState(eventIndex, ev.date),
+        pastDue: eventVariance.pastDue,
+        title: eventVariance.complete ? `Actual: ${formatDate(eventVariance.actual)}` : ''
+      };
+    };
+    return {
+      member: item.member,
+      fab: cell('fabricationCompletion', variance.fab, idx * 2),
+      erec: cell('erectionCompletion', variance.erec, idx * 2 + 1),
+      status: variance.status,
+      statusLabel: VARIANCE_LABELS[variance.status],
+      variance: formatVariance(variance.varianceDays)
+    };
+  });
+
+  const html = buildProgressReport({
+    projectName: project ? project.displayName : currentProjectCode || 'Project',
+    reportDate: formatDate(asOf, 'long'),
+    snapshotLabel: getDateLabelForIndex(currentModelIndex),
+    image: captureViewImage(),
+    popup,
+    statusCounts: Object.values(VARIANCE_STATUS).map(status => ({ status, label: VARIANCE_LABELS[status], count: counts[status] })),
+    rows,
+    ...getReportMilestones(asOf)
+  });
+  downloadText(`${currentProjectCode || 'project'}-progress-${toIsoDay(asOf)}.html`, html, 'text/html');
+}
+
+function setupProgressReport() {
+  document.getElementById('report-button')?.addEventListener('click', () => {
+    if (!getSnapshotCount()) return;
+    generateProgressReport();
+  });
+}
+
+// === Diagnostics ===
+// The data files are linted with the same checks as `node scripts/lint-data.js`;
+// problems met while loading are added as they happen.
+
+// Text of a data file, or null when it does not exist
+async function fetchDataFileText(url) {
+  try {
+    const res = await fetch(url, { cache: 'no-cache' });
+    // A dev server may answer unknown paths with the HTML app shell
+    if (!res.ok || (res.headers.get('content-type') || '').includes('text/html')) return null;
+    return await res.text();
+  } catch {
+    return null;
+  }
+}
+
+async function runDataDiagnostics(project) {
+  if (!diagnosticsPanel) return;
+  const base = project.folder;
+  const { storage } = project;
+  const [models, schedule, signedUrls] = await Promise.all([
+    fetchDataFileText(`/${base}/${DATA_FILES.MODELS}`),
+    fetchDataFileText(`/${base}/${DATA_FILES.SCHEDULE}`),
+    // Only projects stored behind signed URLs read them
+    storage.type === 'gcs-signed' ? fetchDataFileText(storage.signedUrls) : null
+  ]);
+  if (base !== currentProject) return;
+  const problems = lintProjectData({
+    folder: base,
+    files: { [DATA_FILES.MODELS]: models, [DATA_FILES.SCHEDULE]: schedule, [DATA_FILES.SIGNED_URLS]: signedUrls }
+  });
+  diagnosticsPanel.setProblems('data', problems);
+  const errors = problems.filter(p => p.level === 'error').length;
+  if (errors) console.warn(`[Diagnostics] ${errors} problems in the data files of ${base}; open ⚠ for details`);
+}
+
+function reportLoadProblem(problem) {
+  if (diagnosticsPanel) diagnosticsPanel.addProblem('loader', problem);
+}
+
+// Which compression each loaded snapshot uses; one the viewer cannot decode is a warning
+function reportCompression(file, json) {
+  if (!diagnosticsPanel) return;
+  const { summary, undecodable } = describeCompression(json, DECODED_EXTENSIONS);
+  compressionNotes.set(file, undecodable.length
+    ? { file, level: 'warning', path: '', message: `${summary}; this viewer cannot decode ${undecodable.join(', ')}` }
+    : { file, level: 'info', path: '', message: `Compression: ${summary}` });
+  diagnosticsPanel.setProblems('compression', [...compressionNotes.values()]);
+}
+
+function reportDecoderSupport() {
+  if (!diagnosticsPanel) return;
+  const config = ktx2Loader.workerConfig || {};
+  const targets = KTX2_TARGETS.filter(([key]) => config[key]).map(([, label]) => label);
+  diagnosticsPanel.setProblems('decoders', [{
+    file: 'Viewer',
+    level: 'info',
+    path: '',
+    message: `Decodes Draco, Meshopt and KTX2 (decoders from ${DECODER_BASE}); KTX2 textures load as ${targets.length ? targets.join(', ') : 'uncompressed RGBA'} on this GPU`
+  }]);
+}
+
+function setupDiagnostics() {
+  const panelEl = document.getElementById('diagnostics-panel');
+  if (!panelEl) return;
+  diagnosticsPanel = createDiagnosticsPanel(panelEl, { button: document.getElementById('diagnostics-button') });
+}
+
+// === Viewpoints ===
+function renderViewpointOptions(selectedName = '') {
+  if (!viewpointSelect) return;
+  viewpointSelect.innerHTML = '';
+  const placeholder = document.createElement('option');
+  placeholder.value = '';
+  placeholder.textContent = viewpoints.length ? 'Viewpoints…' : 'No saved viewpoints';
+  viewpointSelect.appendChild(placeholder);
+  viewpoints.forEach(vp => {
+    const option = document.createElement('option');
+    option.value = vp.name;
+    option.textContent = vp.startup ? `★ ${vp.name}` : vp.name;
+    viewpointSelect.appendChild(option);
+  });
+  viewpointSelect.value = selectedName;
+}
+
+function getSelectedViewpoint() {
+  return viewpointSelect ? viewpoints.find(vp => vp.name === viewpointSelect.value) || null : null;
+}
+
+function captureViewpoint(name) {
+  return {
+    name,
+    camera: camera.position.toArray(),
+    target: controls.target.toArray(),
+    clip: sectionTools ? sectionTools.getState() : null,
+    layers: getActiveFilters(),
+    startup: false
+  };
+}
+
+function applyViewpoint(vp) {
+  camera.position.fromArray(vp.camera);
+  controls.target.fromArray(vp.target);
+  controls.update();
+  if (vp.clip && sectionTools) {
+    sectionTools.setState(vp.clip);
+    syncSectionPanel();
+  }
+  applyLayerFilters(vp.layers);
+  recordViewState();
+}
+
+function storeViewpoints(selectedName) {
+  try {
+    saveViewpoints(currentProjectCode, viewpoints);
+  } catch (err) {
+    console.error('[Viewpoints] Could not save:', err);
+    alert('Viewpoints could not be saved in this browser.');
+  }
+  renderViewpointOptions(selectedName);
+}
+
+function setupViewpoints() {
+  viewpointSelect = document.getElementById('viewpoint-select');
+  if (!viewpointSelect) return;
+  renderViewpointOptions();
+  viewpointSelect.addEventListener('change', () => {
+    const vp = getSelectedViewpoint();
+    if (vp) applyViewpoint(vp);
+  });
+
+  document.getElementById('viewpoint-save')?.addEventListener('click', () => {
+    if (!currentProjectCode) return;
+    const current = getSelectedViewpoint();
+    const name = (window.prompt('Name this viewpoint', current ? current.name : '') || '').trim();
+    if (!name) return;
+    const existing = viewpoints.find(vp => vp.name.toLowerCase() === name.toLowerCase());
+    if (existing && !window.confirm(`Replace the viewpoint "${existing.name}"?`)) return;
+    const vp = captureViewpoint(name);
+    vp.startup = !!(existing && existing.startup);
+    viewpoints = mergeViewpoints(viewpoints, [vp]);
+    storeViewpoints(name);
+  });
+
+  document.getElementById('viewpoint-startup')?.addEventListener('click', () => {
+    const vp = getSelectedViewpoint();
+    if (!vp) return;
+    const startup = !vp.startup;
+    viewpoints.forEach(other => { other.startup = false; });
+    vp.startup = startup;
+    storeViewpoints(vp.name);
+  });
+
+  document.getElementById('viewpoint-delete')?.addEventListener('click', () => {
+    const vp = getSelectedViewpoint();
+    if (!vp || !window.confirm(`Delete the viewpoint "${vp.name}"?`)) return;
+    viewpoints = viewpoints.filter(other => other !== vp);
+    storeViewpoints();
+  });
+
+  document.getElementById('viewpoint-export')?.addEventListener('click', () => {
+    if (!currentProjectCode || !viewpoints.length) return;
+    downloadText(`${currentProjectCode}-viewpoints.json`, exportViewpoints(currentProjectCode, viewpoints));
+  });
+
+  const fileInput = document.getElementById('viewpoint-file');
+  document.getElementById('viewpoint-import')?.addEventListener('click', () => fileInput && fileInput.click());
+  fileInput?.addEventListener('change', async () => {
+    const file = fileInput.files[0];
+    fileInput.value = '';
+    if (!file || !currentProjectCode) return;
+    try {
+      const { project, viewpoints: incoming } = parseViewpointsFile(await file.text());
+      if (project && project.toUpperCase() !== currentProjectCode &&
+          !window.confirm(`These viewpoints were exported from ${project}. Import them into ${currentProjectCode}?`)) return;
+      viewpoints = mergeViewpoints(viewpoints, incoming);
+      storeViewpoints();
+    } catch (err) {
+      alert(`Could not import viewpoints: ${err.message}`);
+    }
+  });
+}
+
+// === Deep Links ===
+// Snapshot, milestone and filter changes add a browser history entry; camera
+// moves only update the current one. Bursts (slider drags) are coalesced.
+const HISTORY_DEBOUNCE_MS = 400;
+let historyTimer = null;
+let historyPushPending = false;
+let applyingViewState = false;
+let viewStateReady = false;
+
+function getActiveFilters() {
+  const filters = [];
+  if (diffMode) filters.push('diff');
+  if (statusColorMode) filters.push('status');
+  return filters;
+}
+
+function captureViewState() {
+  const entry = modelManifest[currentModelIndex];
+  return {
+    step: currentModelIndex,
+    date: entry ? tryParseDate(entry.date) : null,
+    event: Number.isFinite(currentTimelineIndex) ? currentTimelineIndex : null,
+    camera: camera.position,
+    target: controls.target,
+    filters: getActiveFilters(),
+    selected: selectedElement ? selectedElement.key : null
+  };
+}
+
+function buildViewStateUrl() {
+  const params = encodeViewState(captureViewState(), window.location.search);
+  return `${window.location.pathname}?${params}${window.location.hash}`;
+}
+
+function recordViewState(push = true) {
+  if (!viewStateReady || applyingViewState) return;
+  historyPushPending = historyPushPending || push;
+  clearTimeout(historyTimer);
+  historyTimer = setTimeout(() => {
+    const url = buildViewStateUrl();
+    const current = `${window.location.pathname}${window.location.search}${window.location.hash}`;
+    if (url !== current) {
+      if (historyPushPending) window.history.pushState(null, '', url);
+      else window.history.replaceState(null, '', url);
+    }
+    historyPushPending = false;
+  }, HISTORY_DEBOUNCE_MS);
+}
+
+function applyViewState(state) {
+  applyingViewState = true;
+  try {
+    applyLayerFilters(state.filters);
+    const step = resolveStep(state, modelManifest.map(entry => tryParseDate(entry.date)));
+    if (step !== null) showModelAt(step);
+    if (state.event !== null && timelineEvents.some(ev => ev.index === state.event)) {
+      currentTimelineIndex = state.event;
+      updateTimelineHighlight(state.event);
+    }
+    if (state.camera) camera.position.set(state.camera.x, state.camera.y, state.camera.z);
+    if (state.target) controls.target.set(state.target.x, state.target.y, state.target.z);
+    if (state.camera || state.target) controls.update();
+    if (state.selected) {
+      pendingSelectionKey = state.selected;
+      const model = getLoadedModel(currentModelIndex);
+      if (model) syncSelectionToModel(model);
+    } else if (selectedElement) {
+      clearSelection();
+    }
+  } finally {
+    applyingViewState = false;
+  }
+}
+
+window.addEventListener('popstate', () => {
+  if (!viewStateReady) return;
+  clearTimeout(historyTimer);
+  historyPushPending = false;
+  applyViewState(decodeViewState(window.location.search));
+});
+
 // === Animation Loop ===
 function animate() {
   requestAnimationFrame(animate);
+  if (exportInProgress) return;
   monitorPerformance();
   controls.update();
+  if (sectionTools) sectionTools.update();
   renderer.render(scene, camera);
+  if (measureTools) measureTools.render(scene);
 }
 animate();
 
 function getDateLabelForIndex(idx) {
   if (!Number.isFinite(idx) || idx < 0) return '';
   const entry = modelManifest[idx];
-  if (entry && entry.date) return entry.date;
+  if (entry && entry.date) return formatDateValue(entry.date);
   if (entry && entry.name) return entry.name;
-  const model = loadedModels[idx];
+  const model = getLoadedModel(idx);
   return model?.userData?.originalName || '';
 }
 
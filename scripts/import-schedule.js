@@ -0,0 +1,150 @@
+/**
+ * Import a schedule from MS Project XML, Primavera P6 XER or CSV
+ *
+ * Turns planning activities into schedule.json members. A mapping chooses
+ * which activity codes complete fabrication and which complete erection;
+ * without one, codes mentioning fabrication / erection are suggested.
+ *
+ * Usage:
+ *   node scripts/import-schedule.js <file> --list-codes
+ *   node scripts/import-schedule.js <file> --fab "FAB*" --erec "ERECT*" --project WRC
+ *   node scripts/import-schedule.js <file> --mapping mapping.json --out schedule.json
+ *
+ * Options:
+ *   --format msproject|xer|csv   override detection from the file extension
+ *   --list-codes                 print the activity codes found and exit
+ *   --mapping <file>             JSON: { "fabrication": [...], "erection": [...], "member": "code:TYPE" }
+ *   --fab / --erec <patterns>    comma-separated patterns (override the mapping file)
+ *   --member code:<TYPE>         name members by an activity code instead of the WBS / summary task
+ *   --project <code>             write public/<folder>/schedule.json (the old file is kept as schedule.backup.json)
+ *   --out <file>                 write to a file; without --project or --out the JSON goes to stdout
+ *   --force                      write even when validation reports errors
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadProjects, findProject } = require('./project-registry');
+const {
+  IMPORT_FORMAT_LABELS, detectImportFormat, parseActivities,
+  listActivityCodes, suggestMapping, buildScheduleFromActivities
+} = require('../shared/schedule-import.mjs');
+const { validateScheduleMembers, formatProblem } = require('../shared/schedule-validation.mjs');
+
+const PUBLIC_DIR = path.join(__dirname, '..', 'public');
+const VALUE_OPTIONS = new Set(['--format', '--mapping', '--fab', '--erec', '--member', '--project', '--out']);
+
+function parseArgs(argv) {
+  const args = { file: null, flags: new Set() };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (VALUE_OPTIONS.has(arg)) {
+      if (i + 1 >= argv.length) throw new Error(`${arg} needs a value`);
+      args[arg.slice(2)] = argv[++i];
+    } else if (arg.startsWith('--')) {
+      args.flags.add(arg);
+    } else if (!args.file) {
+      args.file = arg;
+    } else {
+      throw new Error(`Unexpected argument "${arg}"`);
+    }
+  }
+  return args;
+}
+
+const splitPatterns = (value) => value.split(',').map(s => s.trim()).filter(Boolean);
+
+function resolveMapping(args, codes) {
+  let mapping = args.mapping ? JSON.parse(fs.readFileSync(args.mapping, 'utf8')) : null;
+  if (args.fab || args.erec) {
+    mapping = {
+      ...(mapping || {}),
+      fabrication: args.fab ? splitPatterns(args.fab) : (mapping && mapping.fabrication) || [],
+      erection: args.erec ? splitPatterns(args.erec) : (mapping && mapping.erection) || []
+    };
+  }
+  if (!mapping) {
+    mapping = suggestMapping(codes);
+    console.error(`ℹ️  No mapping given; using suggested codes`);
+    console.error(`   Fabrication: ${mapping.fabrication.join(', ') || '(none)'}`);
+    console.error(`   Erection:    ${mapping.erection.join(', ') || '(none)'}`);
+  }
+  if (args.member) mapping.member = args.member;
+  return mapping;
+}
+
+function printCodes(codes) {
+  if (!codes.length) {
+    console.log('No activity codes found');
+    return;
+  }
+  const width = Math.max(...codes.map(c => c.code.length));
+  codes.forEach(({ code, count, description }) => console.log(`  ${code.padEnd(width)}  ${String(count).padStart(4)}  ${description}`));
+  const suggested = suggestMapping(codes);
+  console.log(`\nSuggested: --fab "${suggested.fabrication.join(',')}" --erec "${suggested.erection.join(',')}"`);
+}
+
+function readModelFiles(folder) {
+  const manifestPath = path.join(PUBLIC_DIR, folder, 'models.json');
+  if (!fs.existsSync(manifestPath)) return null;
+  const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+  return Array.isArray(manifest) ? manifest.map(e => (typeof e === 'string' ? e : e && e.name)).filter(Boolean) : null;
+}
+
+function writeSchedule(outPath, members) {
+  let output = members;
+  if (fs.existsSync(outPath)) {
+    const existing = JSON.parse(fs.readFileSync(outPath, 'utf8'));
+    // A federated schedule keeps its other settings; only the members are replaced
+    if (existing && !Array.isArray(existing) && Array.isArray(existing.members)) output = { ...existing, members };
+    const backupPath = outPath.replace(/\.json$/, '.backup.json');
+    fs.copyFileSync(outPath, backupPath);
+    console.error(`   Created backup: ${path.basename(backupPath)}`);
+  }
+  fs.writeFileSync(outPath, `${JSON.stringify(output, null, 2)}\n`, 'utf8');
+  console.error(`✅ Wrote ${members.length} members to ${outPath}`);
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (!args.file) {
+    console.error('Usage: node scripts/import-schedule.js <file.xml|file.xer|file.csv> [options]');
+    process.exit(1);
+  }
+
+  const text = fs.readFileSync(args.file, 'utf8');
+  const format = args.format || detectImportFormat(args.file, text);
+  const activities = parseActivities(text, format);
+  console.error(`📥 ${IMPORT_FORMAT_LABELS[format] || format}: ${activities.length} activities in ${path.basename(args.file)}`);
+  const codes = listActivityCodes(activities);
+
+  if (args.flags.has('--list-codes')) {
+    printCodes(codes);
+    return;
+  }
+
+  const project = args.project ? findProject(loadProjects(), args.project) : null;
+  if (args.project && !project) throw new Error(`Unknown project "${args.project}" (see public/projects.json)`);
+
+  const { members, skipped, warnings } = buildScheduleFromActivities(activities, resolveMapping(args, codes));
+  if (skipped.length) console.error(`   ${skipped.length} ${skipped.length === 1 ? 'activity was' : 'activities were'} not mapped and skipped`);
+  warnings.forEach(w => console.error(`⚠️  ${w}`));
+
+  const problems = validateScheduleMembers(members, { modelFiles: project ? readModelFiles(project.folder) : null });
+  problems.forEach(p => console.error(`${p.level === 'error' ? '✗' : '⚠️ '} ${formatProblem(p, members)}`));
+  const errors = problems.filter(p => p.level === 'error').length;
+  if (errors && !args.flags.has('--force')) {
+    console.error(`\n✗ ${errors} error(s); nothing written. Fix the mapping or pass --force and correct them in the viewer's schedule editor.`);
+    process.exit(1);
+  }
+
+  if (project) writeSchedule(path.join(PUBLIC_DIR, project.folder, 'schedule.json'), members);
+  else if (args.out) writeSchedule(path.resolve(args.out), members);
+  else process.stdout.write(`${JSON.stringify(members, null, 2)}\n`);
+}
+
+try {
+  main();
+} catch (err) {
+  console.error(`✗ ${err.message}`);
+  process.exit(1);
+}
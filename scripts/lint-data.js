@@ -0,0 +1,85 @@
+/**
+ * Lint the project data files
+ *
+ * Checks models.json, schedule.json and (for projects with "gcs-signed"
+ * storage) signed-urls.json against the schemas in shared/schemas/ and
+ * against each other: malformed dates, duplicate snapshot names, schedule
+ * files missing from models.json, snapshots the schedule never links and
+ * snapshots out of date order.
+ * The viewer's diagnostics panel runs the same checks.
+ *
+ * Usage:
+ *   node scripts/lint-data.js                 all projects in public/projects.json
+ *   node scripts/lint-data.js WRC BSGS        only these projects
+ *
+ * Options:
+ *   --strict    exit 1 on warnings as well as errors
+ *   --quiet     only print errors and warnings, not notes
+ *
+ * Exit code: 0 when clean, 1 on errors (or warnings with --strict)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadProjects, findProject } = require('./project-registry');
+const { DATA_FILES, lintProjectData, countByLevel, formatLintProblem } = require('../shared/data-lint.mjs');
+
+const PUBLIC_DIR = path.join(__dirname, '..', 'public');
+const LEVEL_ICONS = { error: '✗', warning: '⚠️ ', info: 'ℹ️ ' };
+
+function readIfPresent(filePath) {
+  return fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf8') : null;
+}
+
+function main() {
+  const argv = process.argv.slice(2);
+  const flags = new Set(argv.filter(a => a.startsWith('--')));
+  const codes = argv.filter(a => !a.startsWith('--'));
+  const unknown = [...flags].filter(f => f !== '--strict' && f !== '--quiet');
+  if (unknown.length) throw new Error(`Unknown option ${unknown[0]}`);
+
+  const projects = loadProjects();
+  const selected = codes.length
+    ? codes.map(code => {
+      const project = findProject(projects, code);
+      if (!project) throw new Error(`Project "${code}" is not in public/projects.json`);
+      return project;
+    })
+    : projects;
+
+  const totals = { error: 0, warning: 0, info: 0 };
+
+  selected.forEach(project => {
+    const dir = path.join(PUBLIC_DIR, project.folder);
+    // signed-urls.json only matters for projects stored behind signed URLs
+    const { storage } = project;
+    const signedUrls = storage.type === 'gcs-signed' && !/^https?:/i.test(storage.signedUrls)
+      ? readIfPresent(path.join(PUBLIC_DIR, storage.signedUrls))
+      : null;
+    const problems = lintProjectData({
+      folder: project.folder,
+      files: {
+        [DATA_FILES.MODELS]: readIfPresent(path.join(dir, DATA_FILES.MODELS)),
+        [DATA_FILES.SCHEDULE]: readIfPresent(path.join(dir, DATA_FILES.SCHEDULE)),
+        [DATA_FILES.SIGNED_URLS]: signedUrls
+      }
+    });
+    const counts = countByLevel(problems);
+    Object.keys(totals).forEach(level => { totals[level] += counts[level]; });
+
+    const shown = flags.has('--quiet') ? problems.filter(p => p.level !== 'info') : problems;
+    const status = counts.error ? '✗' : counts.warning ? '⚠️ ' : '✅';
+    console.log(`\n${status} ${project.code} (public/${project.folder}): ${counts.error} errors, ${counts.warning} warnings`);
+    shown.forEach(p => console.log(`  ${LEVEL_ICONS[p.level]} ${formatLintProblem(p)}`));
+  });
+
+  console.log(`\n${totals.error} errors, ${totals.warning} warnings, ${totals.info} notes in ${selected.length} project(s)`);
+  if (totals.error || (flags.has('--strict') && totals.warning)) process.exit(1);
+}
+
+try {
+  main();
+} catch (err) {
+  console.error(`✗ ${err.message}`);
+  process.exit(1);
+}
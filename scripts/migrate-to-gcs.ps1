@@ -1,5 +1,7 @@
 # GCS Migration - Complete Setup Script
-# This script automates the entire GCS migration process
+# This script automates the entire GCS migration process.
+# GLBs are optimized with tools/optimize-glb.js, then every step runs
+# tools/voyager-storage.js against the bucket entered below.
 
 Write-Host "╔════════════════════════════════════════╗" -ForegroundColor Cyan
 Write-Host "║   4DVoyager - GCS Migration Tool      ║" -ForegroundColor Cyan
@@ -27,25 +29,9 @@ if ($confirm -ne 'y') {
     exit 0
 }
 
-# Step 2: Update Configuration Files
+# Step 2: Check Authentication
 Write-Host ""
-Write-Host "Step 2: Updating configuration files..." -ForegroundColor Yellow
-Write-Host "──────────────────────────────────────────" -ForegroundColor Gray
-
-try {
-    node scripts/quick-setup.js
-    if ($LASTEXITCODE -ne 0) {
-        throw "Configuration update failed"
-    }
-    Write-Host "✅ Configuration updated" -ForegroundColor Green
-} catch {
-    Write-Host "❌ Configuration failed: $_" -ForegroundColor Red
-    exit 1
-}
-
-# Step 3: Check Authentication
-Write-Host ""
-Write-Host "Step 3: Checking GCP authentication..." -ForegroundColor Yellow
+Write-Host "Step 2: Checking GCP authentication..." -ForegroundColor Yellow
 Write-Host "──────────────────────────────────────────" -ForegroundColor Gray
 
 if ($env:GOOGLE_APPLICATION_CREDENTIALS) {
@@ -92,6 +78,26 @@ if ($env:GOOGLE_APPLICATION_CREDENTIALS) {
     }
 }
 
+# Step 3: Optimize GLB files
+Write-Host ""
+Write-Host "Step 3: Optimize GLB files..." -ForegroundColor Yellow
+Write-Host "──────────────────────────────────────────" -ForegroundColor Gray
+Write-Host ""
+
+$optimizeConfirm = Read-Host "Optimize the GLBs in public/ before uploading? Files are replaced (y/n)"
+if ($optimizeConfirm -ne 'y') {
+    Write-Host "⚠️  Skipping optimization" -ForegroundColor Yellow
+} else {
+    $projects = (Get-Content public/projects.json -Raw | ConvertFrom-Json).projects
+    foreach ($project in $projects) {
+        node tools/optimize-glb.js $project.code
+        if ($LASTEXITCODE -ne 0) {
+            Write-Host "⚠️  Some GLBs of $($project.code) could not be optimized; they are uploaded as they are" -ForegroundColor Yellow
+        }
+    }
+    Write-Host "✅ GLB files optimized" -ForegroundColor Green
+}
+
 # Step 4: Upload Files
 Write-Host ""
 Write-Host "Step 4: Upload GLB files to GCS..." -ForegroundColor Yellow
@@ -103,7 +109,7 @@ if ($uploadConfirm -ne 'y') {
     Write-Host "⚠️  Skipping upload" -ForegroundColor Yellow
 } else {
     try {
-        node scripts/upload-to-gcs.js
+        node tools/voyager-storage.js upload --provider gcs --bucket $bucketName
         if ($LASTEXITCODE -ne 0) {
             throw "Upload failed"
         }
@@ -129,14 +135,14 @@ if ($modelsConfirm -ne 'y') {
     Write-Host "⚠️  Skipping models.json update" -ForegroundColor Yellow
 } else {
     try {
-        node scripts/update-models-json.js
+        node tools/voyager-storage.js rewrite-manifests --provider gcs --bucket $bucketName
         if ($LASTEXITCODE -ne 0) {
             throw "Update failed"
         }
         Write-Host "✅ models.json files updated" -ForegroundColor Green
     } catch {
         Write-Host "❌ Update failed: $_" -ForegroundColor Red
-        Write-Host "To restore: node scripts/update-models-json.js --restore" -ForegroundColor Yellow
+        Write-Host "To restore: node tools/voyager-storage.js rewrite-manifests --restore" -ForegroundColor Yellow
         exit 1
     }
 }
@@ -151,7 +157,7 @@ if ($corsConfirm -ne 'y') {
     Write-Host "⚠️  Skipping CORS setup" -ForegroundColor Yellow
 } else {
     try {
-        node scripts/enable-cors.js
+        node tools/voyager-storage.js cors --provider gcs --bucket $bucketName
         if ($LASTEXITCODE -ne 0) {
             throw "CORS setup failed"
         }
@@ -0,0 +1,28 @@
+/**
+ * Project registry helper for the Node scripts
+ *
+ * Reads public/projects.json so every script works on the same project list
+ * instead of carrying its own copy of the folder names.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { normalizeRegistry, findProject } = require('../shared/projects.mjs');
+
+const REGISTRY_PATH = path.join(__dirname, '..', 'public', 'projects.json');
+
+/**
+ * Load and validate all registered projects
+ */
+function loadProjects(registryPath = REGISTRY_PATH) {
+  return normalizeRegistry(JSON.parse(fs.readFileSync(registryPath, 'utf8')));
+}
+
+/**
+ * Storage folders of all registered projects
+ */
+function getProjectFolders(registryPath = REGISTRY_PATH) {
+  return loadProjects(registryPath).map(p => p.folder);
+}
+
+module.exports = { REGISTRY_PATH, loadProjects, getProjectFolders, findProject };
@@ -0,0 +1,157 @@
+// Where a project's GLBs are fetched from. Each project in public/projects.json
+// may name a storage backend (or inherit the registry-wide "storage"):
+//
+//   { "type": "local" }                                   // public/<folder>/ on the same host
+//   { "type": "blob", "baseUrl": "https://….blob.vercel-storage.com" }
+//   { "type": "gcs", "bucket": "4dvoyager" }             // public bucket
+//   { "type": "gcs-signed", "signedUrls": "/signed-urls.json" }  // private bucket, URLs from `voyager-storage sign`
+//   { "type": "signer", "endpoint": "/api/sign-url" }     // private bucket, short-lived URLs signed on demand
+//   { "type": "url", "baseUrl": "https://cdn.example.com/models" }  // manifests list absolute URLs or names under baseUrl
+//
+// Names that already are absolute URLs (e.g. manifests rewritten by
+// `voyager-storage rewrite-manifests`) are used as they are with every backend.
+
+export const STORAGE_TYPES = ['local', 'blob', 'gcs', 'gcs-signed', 'signer', 'url'];
+
+export const DEFAULT_STORAGE = { type: 'local' };
+
+const GCS_PUBLIC_HOST = 'https://storage.googleapis.com';
+const DEFAULT_SIGNED_URLS_PATH = '/signed-urls.json';
+const DEFAULT_SIGNER_ENDPOINT = '/api/sign-url';
+// Signed URLs are requested again when less than this is left
+const SIGNED_URL_MIN_REMAINING_MS = 60 * 1000;
+
+const isAbsoluteUrl = (value) => /^https?:\/\//i.test(String(value));
+const trimSlashes = (value) => String(value || '').replace(/^\/+|\/+$/g, '');
+
+function joinUrl(base, ...parts) {
+  const head = String(base || '').replace(/\/+$/, '');
+  const tail = parts.map(trimSlashes).filter(Boolean).join('/');
+  return head ? `${head}/${tail}` : `/${tail}`;
+}
+
+// Encode each path segment of a name, keeping sub-folders
+const encodePath = (name) => String(name).split('/').map(encodeURIComponent).join('/');
+
+/**
+ * Validate a storage config from projects.json.
+ * @param {object|undefined} config
+ * @param {string} label  used in messages, e.g. the project code
+ * @param {string[]} problems  collects messages; the config is still returned with defaults
+ * @returns {{ type: string, baseUrl?: string, bucket?: string, signedUrls?: string, endpoint?: string }}
+ */
+export function normalizeStorage(config, label, problems) {
+  if (config == null) return { ...DEFAULT_STORAGE };
+  if (typeof config !== 'object' || Array.isArray(config)) {
+    problems.push(`${label}: "storage" must be an object`);
+    return { ...DEFAULT_STORAGE };
+  }
+  const type = config.type || 'local';
+  if (!STORAGE_TYPES.includes(type)) {
+    problems.push(`${label}: unknown storage type "${type}" (${STORAGE_TYPES.join(', ')})`);
+    return { ...DEFAULT_STORAGE };
+  }
+  const storage = { type };
+  if (config.baseUrl) storage.baseUrl = String(config.baseUrl);
+  if (config.bucket) storage.bucket = String(config.bucket);
+  if (type === 'blob' && !storage.baseUrl) problems.push(`${label}: storage "blob" needs a "baseUrl"`);
+  if (type === 'gcs' && !storage.bucket && !storage.baseUrl) problems.push(`${label}: storage "gcs" needs a "bucket"`);
+  if (type === 'gcs-signed') storage.signedUrls = String(config.signedUrls || DEFAULT_SIGNED_URLS_PATH);
+  if (type === 'signer') storage.endpoint = String(config.endpoint || DEFAULT_SIGNER_ENDPOINT);
+  return storage;
+}
+
+// File name of a signed URL, e.g. ".../WRC/Model%2008-03.glb?X-Goog-…" -> "Model 08-03.glb".
+// Fake signed URLs for the dev server are host-relative.
+function signedUrlName(url) {
+  try {
+    return decodeURIComponent(new URL(url, 'http://localhost').pathname.split('/').pop());
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * @param {{ type: string, baseUrl?: string, bucket?: string, signedUrls?: string, endpoint?: string }} storage  from normalizeStorage
+ * @param {object} options
+ * @param {string} options.folder  project folder
+ * @param {string} [options.project]  project code, sent to the signing endpoint
+ * @param {(url: string, init?: object) => Promise<object>} [options.fetchJson]  loads signed-urls.json / asks the signer
+ * @param {() => number} [options.now]
+ * @returns {{ type: string, refreshable: boolean, describe: () => string,
+ *             resolve: (name: string, options?: { refresh?: boolean }) => Promise<string|null> }}
+ *   `resolve` gives null for files the backend does not hold (e.g. models.json behind signed URLs).
+ *   With `refresh`, signed URLs are fetched again instead of reused, e.g. after a 403;
+ *   `refreshable` says whether that can give a different URL.
+ */
+export function createAssetResolver(storage, { folder, project = folder, fetchJson = null, now = () => Date.now() }) {
+  let signedMap = null;
+  // Signer answers per name: { url, expiresAt }
+  const issued = new Map();
+
+  async function loadSignedMap(refresh) {
+    if (refresh) signedMap = null;
+    if (!signedMap) {
+      if (!fetchJson) throw new Error('Signed URL storage needs fetchJson');
+      signedMap = fetchJson(storage.signedUrls).then(data => {
+        const urls = data && data.urls && data.urls[folder];
+        if (!Array.isArray(urls)) throw new Error(`${storage.signedUrls} has no URLs for ${folder}`);
+        const byName = new Map();
+        urls.forEach(url => {
+          const name = url && signedUrlName(url);
+          if (name) byName.set(name.toLowerCase(), url);
+        });
+        return { byName, expiresAt: Date.parse(data.expiresAt) };
+      });
+      // Allow a retry after a failed fetch
+      signedMap.catch(() => { signedMap = null; });
+    }
+    return signedMap;
+  }
+
+  const resolvers = {
+    local: (name) => joinUrl(storage.baseUrl || '', folder, encodePath(name)),
+    blob: (name) => joinUrl(storage.baseUrl, folder, encodePath(name)),
+    gcs: (name) => joinUrl(storage.baseUrl || joinUrl(GCS_PUBLIC_HOST, storage.bucket), folder, encodePath(name)),
+    url: (name) => joinUrl(storage.baseUrl || '', encodePath(name)),
+    'gcs-signed': async (name, refresh) => {
+      if (!/\.glb$/i.test(name)) return null;
+      const { byName, expiresAt } = await loadSignedMap(refresh);
+      const url = byName.get(String(name).toLowerCase());
+      if (!url) throw new Error(`No signed URL for ${folder}/${name}; regenerate ${storage.signedUrls}`);
+      if (Number.isFinite(expiresAt) && expiresAt < now()) {
+        throw new Error(`Signed URLs expired on ${new Date(expiresAt).toISOString().slice(0, 10)}; regenerate ${storage.signedUrls}`);
+      }
+      return url;
+    },
+    signer: async (name, refresh) => {
+      if (!/\.glb$/i.test(name)) return null;
+      const key = String(name).toLowerCase();
+      const cached = issued.get(key);
+      if (!refresh && cached && cached.expiresAt - now() > SIGNED_URL_MIN_REMAINING_MS) return cached.url;
+      if (!fetchJson) throw new Error('Signer storage needs fetchJson');
+      const query = `project=${encodeURIComponent(project)}&file=${encodeURIComponent(name)}`;
+      const separator = storage.endpoint.includes('?') ? '&' : '?';
+      const answer = await fetchJson(`${storage.endpoint}${separator}${query}`, refresh ? { cache: 'no-store' } : undefined);
+      if (!answer || !answer.url) throw new Error(`${storage.endpoint} returned no URL for ${name}`);
+      issued.set(key, { url: answer.url, expiresAt: Date.parse(answer.expiresAt) || now() });
+      return answer.url;
+    }
+  };
+
+  return {
+    type: storage.type,
+    refreshable: storage.type === 'gcs-signed' || storage.type === 'signer',
+    describe() {
+      if (storage.type === 'gcs') return `GCS ${storage.bucket || storage.baseUrl}`;
+      if (storage.type === 'gcs-signed') return `GCS signed URLs (${storage.signedUrls})`;
+      if (storage.type === 'signer') return `signed URLs from ${storage.endpoint}`;
+      return storage.baseUrl ? `${storage.type} ${storage.baseUrl}` : storage.type;
+    },
+    async resolve(name, { refresh = false } = {}) {
+      if (!name) return null;
+      if (isAbsoluteUrl(name)) return name;
+      return resolvers[storage.type](name, refresh);
+    }
+  };
+}
@@ -0,0 +1,226 @@
+import { parseDate, toManifestDate } from './dates.mjs';
+import { validateJson } from './json-schema.mjs';
+import { validateScheduleMembers } from './schedule-validation.mjs';
+import modelsSchema from './schemas/models.schema.json' with { type: 'json' };
+import scheduleSchema from './schemas/schedule.schema.json' with { type: 'json' };
+import signedUrlsSchema from './schemas/signed-urls.schema.json' with { type: 'json' };
+
+// Checks a project's data files against the schemas in shared/schemas/ and
+// against each other. Used by `node scripts/lint-data.js` and the viewer's
+// diagnostics panel, so both report the same problems. Takes file contents
+// as text so JSON syntax errors are reported like any other problem.
+
+export const DATA_FILES = {
+  MODELS: 'models.json',
+  SCHEDULE: 'schedule.json',
+  SIGNED_URLS: 'signed-urls.json'
+};
+
+export const DATA_SCHEMAS = {
+  [DATA_FILES.MODELS]: modelsSchema,
+  [DATA_FILES.SCHEDULE]: scheduleSchema,
+  [DATA_FILES.SIGNED_URLS]: signedUrlsSchema
+};
+
+/**
+ * @typedef {{ file: string, level: 'error'|'warning'|'info', path: string, message: string }} LintProblem
+ *   `path` locates the value in the file, e.g. "[3].fabricationCompletion.date"; empty for the whole file
+ */
+
+// How many names a summary problem lists before "…"
+const SUMMARY_NAMES = 5;
+
+function parseJson(file, text, problems) {
+  try {
+    return { data: JSON.parse(text) };
+  } catch (err) {
+    problems.push({ file, level: 'error', path: '', message: `Not valid JSON: ${err.message}` });
+    return null;
+  }
+}
+
+// Schema errors, minus the ones a more specific check below already reports at the same path
+function addSchemaProblems(file, data, problems, specific) {
+  const covered = new Set(specific.map(p => p.path));
+  validateJson(DATA_SCHEMAS[file], data)
+    .filter(err => !covered.has(err.path))
+    .forEach(err => problems.push({ file, level: 'error', path: err.path, message: err.message }));
+  problems.push(...specific);
+}
+
+// Older manifests are bare filename strings; entries of any other type are left to the schema check
+function manifestEntries(models) {
+  return models.map(entry => (typeof entry === 'string' ? { name: entry, date: null } : entry && typeof entry === 'object' ? entry : null));
+}
+
+function lintModels(models, problems) {
+  const file = DATA_FILES.MODELS;
+  const specific = [];
+  if (Array.isArray(models)) {
+    const names = new Map();
+    let latest = null;
+    manifestEntries(models).forEach((entry, index) => {
+      if (!entry) return;
+      const path = `[${index}]`;
+      if (typeof entry.name === 'string' && entry.name) {
+        const key = entry.name.toLowerCase();
+        if (names.has(key)) {
+          specific.push({ file, level: 'error', path: `${path}.name`, message: `"${entry.name}" is listed twice (also row ${names.get(key) + 1})` });
+        } else names.set(key, index);
+      }
+      if (entry.date == null || entry.date === '') {
+        specific.push({ file, level: 'warning', path: `${path}.date`, message: `No date for ${entry.name}; the timeline shows the file name` });
+        return;
+      }
+      let day;
+      try {
+        day = parseDate(entry.date);
+      } catch (err) {
+        specific.push({ file, level: 'error', path: `${path}.date`, message: err.message });
+        return;
+      }
+      if (latest && day < latest.day) {
+        specific.push({
+          file, level: 'warning', path: `${path}.date`,
+          message: `${entry.date} comes after ${latest.date} (row ${latest.index + 1}); snapshots are played in file order`
+        });
+      } else latest = { day, date: entry.date, index };
+    });
+  }
+  addSchemaProblems(file, models, problems, specific);
+}
+
+function lintSchedule(schedule, modelFiles, problems) {
+  const file = DATA_FILES.SCHEDULE;
+  const federated = !!(schedule && !Array.isArray(schedule) && typeof schedule === 'object');
+  const members = Array.isArray(schedule) ? schedule : federated && Array.isArray(schedule.members) ? schedule.members : null;
+  const prefix = federated ? 'members' : '';
+  const specific = members
+    ? validateScheduleMembers(members, { modelFiles: federated ? null : modelFiles }).map(p => {
+      const name = members[p.index] && members[p.index].member;
+      return {
+        file,
+        level: p.level,
+        path: `${prefix}[${p.index}]${p.field ? `.${p.field}` : ''}`,
+        message: name ? `${name}: ${p.message}` : p.message
+      };
+    })
+    : [];
+  addSchemaProblems(file, schedule, problems, specific);
+  return members;
+}
+
+// Names of the GLBs the schedule links, by `file` or the last entry of a legacy `files` list
+function linkedFiles(members) {
+  const linked = new Set();
+  members.forEach(item => {
+    [item && item.fabricationCompletion, item && item.erectionCompletion].forEach(ev => {
+      const name = ev && (ev.file || (Array.isArray(ev.files) ? ev.files[ev.files.length - 1] : null));
+      if (name) linked.add(String(name).toLowerCase());
+    });
+  });
+  return linked;
+}
+
+function lintSignedUrls(signedUrls, folder, modelNames, now, problems) {
+  const file = DATA_FILES.SIGNED_URLS;
+  const specific = [];
+  if (signedUrls && typeof signedUrls === 'object' && !Array.isArray(signedUrls)) {
+    const expires = Date.parse(signedUrls.expiresAt);
+    if (Number.isFinite(expires) && expires < now) {
+      specific.push({ file, level: 'warning', path: 'expiresAt', message: `Signed URLs expired on ${toManifestDate(expires)}; regenerate them` });
+    }
+    const urls = signedUrls.urls && signedUrls.urls[folder];
+    if (!Array.isArray(urls)) {
+      specific.push({ file, level: 'warning', path: 'urls', message: `No signed URLs for ${folder}` });
+    } else if (modelNames) {
+      // URLs are listed in models.json order
+      if (urls.length !== modelNames.length) {
+        specific.push({ file, level: 'error', path: `urls.${folder}`, message: `${urls.length} URLs for ${modelNames.length} snapshots in models.json; regenerate them` });
+      }
+      const mismatched = [];
+      urls.slice(0, modelNames.length).forEach((url, i) => {
+        if (!url) {
+          specific.push({ file, level: 'error', path: `urls.${folder}[${i}]`, message: `Signing failed for ${modelNames[i]}` });
+          return;
+        }
+        let name = '';
+        try {
+          name = decodeURIComponent(new URL(url).pathname.split('/').pop());
+        } catch {}
+        if (name && name.toLowerCase() !== String(modelNames[i]).toLowerCase()) mismatched.push({ i, name });
+      });
+      // A stale file is usually off everywhere; one problem says so without burying the rest
+      if (mismatched.length) {
+        const { i, name } = mismatched[0];
+        specific.push({
+          file, level: 'error', path: `urls.${folder}[${i}]`,
+          message: `${mismatched.length} URLs do not match models.json (the first is for ${name}, models.json lists ${modelNames[i]}); regenerate them`
+        });
+      }
+    }
+  }
+  addSchemaProblems(file, signedUrls, problems, specific);
+}
+
+/**
+ * Lint one project's data files.
+ * @param {object} options
+ * @param {string} options.folder  project folder, the key in signed-urls.json
+ * @param {{ [file: string]: string|null }} options.files  text of models.json, schedule.json and
+ *   signed-urls.json; null or missing when the file does not exist. signed-urls.json is only
+ *   checked when given, i.e. for projects whose storage reads it
+ * @param {number} [options.now]  ms timestamp used for the signed URL expiry
+ * @returns {LintProblem[]} errors first, then warnings, then notes
+ */
+export function lintProjectData({ folder, files, now = Date.now() }) {
+  const problems = [];
+  const read = (file) => (files[file] == null ? null : parseJson(file, files[file], problems));
+
+  const schedule = read(DATA_FILES.SCHEDULE);
+  const models = read(DATA_FILES.MODELS);
+  const federated = !!(schedule && schedule.data && !Array.isArray(schedule.data) && schedule.data.federatedModel);
+
+  let modelNames = null;
+  if (models) {
+    lintModels(models.data, problems);
+    if (Array.isArray(models.data)) {
+      modelNames = manifestEntries(models.data).map(e => e && e.name).filter(name => typeof name === 'string');
+    }
+  } else if (files[DATA_FILES.MODELS] == null && !federated) {
+    problems.push({ file: DATA_FILES.MODELS, level: 'error', path: '', message: `models.json is missing in ${folder}` });
+  }
+
+  if (schedule) {
+    const members = lintSchedule(schedule.data, modelNames, problems);
+    if (members && modelNames && !federated) {
+      const linked = linkedFiles(members);
+      const unused = linked.size ? modelNames.filter(name => !linked.has(name.toLowerCase())) : [];
+      if (unused.length) {
+        const listed = unused.slice(0, SUMMARY_NAMES).join(', ') + (unused.length > SUMMARY_NAMES ? ', …' : '');
+        problems.push({
+          file: DATA_FILES.MODELS, level: 'info', path: '',
+          message: `${unused.length} of ${modelNames.length} snapshots are not linked from schedule.json: ${listed}`
+        });
+      }
+    }
+  } else if (files[DATA_FILES.SCHEDULE] == null) {
+    problems.push({ file: DATA_FILES.SCHEDULE, level: 'info', path: '', message: `No schedule.json in ${folder}; the snapshots play without a schedule` });
+  }
+
+  const signedUrls = read(DATA_FILES.SIGNED_URLS);
+  if (signedUrls) lintSignedUrls(signedUrls.data, folder, federated ? null : modelNames, now, problems);
+
+  const order = { error: 0, warning: 1, info: 2 };
+  return problems.sort((a, b) => order[a.level] - order[b.level]);
+}
+
+export function countByLevel(problems) {
+  const counts = { error: 0, warning: 0, info: 0 };
+  problems.forEach(p => { counts[p.level]++; });
+  return counts;
+}
+
+export function formatLintProblem(problem) {
+  return `${problem.file}${problem.path ? ` ${problem.path}` : ''}: ${problem.message}`;
+}
@@ -0,0 +1,178 @@
+// Calendar-date parsing and formatting shared by the viewer and the Node scripts.
+//
+// Project data mixes several notations, all month-first:
+//   models.json       MM/DD/YY   (also MM/DD/YYYY)
+//   schedule.json     MM-DD-YYYY
+//   Tekla filenames   ...08-02-2026.glb
+// plus ISO YYYY-MM-DD. Dates are represented as "day values": the UTC-midnight
+// timestamp of the calendar day, so comparisons never depend on the browser's
+// timezone or on `new Date(string)` heuristics.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export class DateParseError extends Error {
+  constructor(value, reason) {
+    super(`Invalid date "${value}": ${reason}`);
+    this.name = 'DateParseError';
+    this.value = value;
+  }
+}
+
+const NUMERIC_MONTH_FIRST = /^(\d{1,2})([/-])(\d{1,2})\2(\d{2}|\d{4})$/;
+const ISO_DATE = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+function expandYear(year) {
+  return year.length === 2 ? 2000 + Number(year) : Number(year);
+}
+
+/**
+ * Day value for a calendar date; throws when the date does not exist.
+ * @param {number} year
+ * @param {number} month 1-12
+ * @param {number} day
+ */
+export function makeDay(year, month, day) {
+  const value = Date.UTC(year, month - 1, day);
+  const check = new Date(value);
+  if (check.getUTCFullYear() !== year || check.getUTCMonth() !== month - 1 || check.getUTCDate() !== day) {
+    throw new DateParseError(`${month}/${day}/${year}`, 'no such calendar day');
+  }
+  return value;
+}
+
+/**
+ * Parse any supported project date notation into a day value.
+ * Throws DateParseError for unsupported, impossible or day-first looking values.
+ * @param {string} value
+ * @returns {number}
+ */
+export function parseDate(value) {
+  const text = String(value == null ? '' : value).trim();
+  if (!text) throw new DateParseError(value, 'empty value');
+
+  let match = ISO_DATE.exec(text);
+  if (match) return wrap(text, () => makeDay(Number(match[1]), Number(match[2]), Number(match[3])));
+
+  match = NUMERIC_MONTH_FIRST.exec(text);
+  if (match) {
+    const first = Number(match[1]);
+    const second = Number(match[3]);
+    if (first > 12 && second <= 12) {
+      throw new DateParseError(text, 'looks like DD/MM; project dates are month-first (MM/DD/YY or MM-DD-YYYY)');
+    }
+    return wrap(text, () => makeDay(expandYear(match[4]), first, second));
+  }
+
+  throw new DateParseError(text, 'expected MM/DD/YY, MM/DD/YYYY, MM-DD-YYYY or YYYY-MM-DD');
+}
+
+function wrap(text, fn) {
+  try {
+    return fn();
+  } catch (err) {
+    if (err instanceof DateParseError) throw new DateParseError(text, 'no such calendar day');
+    throw err;
+  }
+}
+
+// Non-throwing variant for display code: NaN when the value cannot be parsed.
+export function tryParseDate(value) {
+  try {
+    return parseDate(value);
+  } catch {
+    return Number.NaN;
+  }
+}
+
+// Filename patterns tried in order. `year` is optional; names without one
+// (e.g. "Model10-05.glb") take `defaultYear`.
+export const DEFAULT_FILENAME_DATE_PATTERNS = [
+  /(?<month>\d{2})-(?<day>\d{2})-(?<year>\d{4})(?!\d)/,
+  /(?<year>\d{4})-(?<month>\d{2})-(?<day>\d{2})(?!\d)/,
+  /(?<!\d)(?<month>\d{2})-(?<day>\d{2})(?=\.glb$|$)/i
+];
+
+/**
+ * Pull a snapshot date out of a filename such as FromTeklaStructures08-02-2026.glb.
+ * @param {string} name
+ * @param {{ patterns?: RegExp[], defaultYear?: number }} [options]
+ * @returns {number|null} day value, or null when no pattern matches
+ */
+export function extractDateFromName(name, { patterns = DEFAULT_FILENAME_DATE_PATTERNS, defaultYear } = {}) {
+  const base = String(name || '').split('/').pop();
+  for (const pattern of patterns) {
+    const match = pattern.exec(base);
+    if (!match || !match.groups) continue;
+    const { month, day } = match.groups;
+    const year = match.groups.year ? expandYear(match.groups.year) : defaultYear;
+    if (!year) continue;
+    try {
+      return makeDay(year, Number(month), Number(day));
+    } catch {
+      // Digits that are not a real date (e.g. a part number); try the next pattern
+    }
+  }
+  return null;
+}
+
+// Today's calendar day in the user's timezone, as a day value.
+export function today() {
+  const now = new Date();
+  return Date.UTC(now.getFullYear(), now.getMonth(), now.getDate());
+}
+
+export function daysBetween(from, to) {
+  return Math.round((to - from) / DAY_MS);
+}
+
+export function toIsoDay(dayValue) {
+  return new Date(dayValue).toISOString().slice(0, 10);
+}
+
+// schedule.json notation (MM-DD-YYYY)
+export function toScheduleDate(dayValue) {
+  const d = new Date(dayValue);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${pad(d.getUTCMonth() + 1)}-${pad(d.getUTCDate())}-${d.getUTCFullYear()}`;
+}
+
+// models.json notation (MM/DD/YY)
+export function toManifestDate(dayValue) {
+  const d = new Date(dayValue);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${pad(d.getUTCMonth() + 1)}/${pad(d.getUTCDate())}/${pad(d.getUTCFullYear() % 100)}`;
+}
+
+// === Display formatting ===
+let displayLocale = 'en-US';
+
+export function setDisplayLocale(locale) {
+  // Validate early so a bad setting fails loudly instead of on first render
+  new Intl.DateTimeFormat(locale);
+  displayLocale = locale;
+}
+
+const FORMAT_STYLES = {
+  short: { month: '2-digit', day: '2-digit', year: '2-digit' },
+  medium: { month: 'short', day: 'numeric', year: 'numeric' },
+  long: { weekday: 'short', month: 'long', day: 'numeric', year: 'numeric' },
+  monthDay: { month: 'short', day: 'numeric' },
+  month: { month: 'short', year: 'numeric' }
+};
+
+/**
+ * Format a day value for display in the configured locale.
+ * @param {number} dayValue
+ * @param {'short'|'medium'|'long'|'monthDay'|'month'} [style]
+ */
+export function formatDate(dayValue, style = 'medium') {
+  if (!Number.isFinite(dayValue)) return '';
+  const options = FORMAT_STYLES[style] || FORMAT_STYLES.medium;
+  return new Intl.DateTimeFormat(displayLocale, { ...options, timeZone: 'UTC' }).format(new Date(dayValue));
+}
+
+// Format a raw data value, falling back to the original text when it does not parse.
+export function formatDateValue(value, style = 'medium') {
+  const day = tryParseDate(value);
+  return Number.isFinite(day) ? formatDate(day, style) : String(value == null ? '' : value);
+}
@@ -0,0 +1,58 @@
+// Which compression a glTF asset uses, read from its JSON ("extensionsUsed"
+// and "extensionsRequired"). The viewer reports it for every snapshot it
+// loads; Node tools can read it straight from a GLB file with readGlbJson.
+
+export const COMPRESSION_EXTENSIONS = {
+  KHR_draco_mesh_compression: { kind: 'geometry', label: 'Draco' },
+  EXT_meshopt_compression: { kind: 'geometry', label: 'Meshopt' },
+  KHR_mesh_quantization: { kind: 'geometry', label: 'quantized' },
+  KHR_texture_basisu: { kind: 'textures', label: 'KTX2' },
+  EXT_texture_webp: { kind: 'textures', label: 'WebP' },
+  EXT_texture_avif: { kind: 'textures', label: 'AVIF' }
+};
+
+const GLB_MAGIC = 0x46546c67;  // "glTF"
+const CHUNK_JSON = 0x4e4f534a;  // "JSON"
+
+/**
+ * JSON chunk of a GLB
+ * @param {ArrayBuffer|Uint8Array} data  the whole file, or at least its header and JSON chunk
+ * @returns {object}
+ */
+export function readGlbJson(data) {
+  const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  if (bytes.byteLength < 20 || view.getUint32(0, true) !== GLB_MAGIC) throw new Error('Not a GLB file');
+  if (view.getUint32(4, true) !== 2) throw new Error(`Unsupported GLB version ${view.getUint32(4, true)}`);
+  const jsonLength = view.getUint32(12, true);
+  if (view.getUint32(16, true) !== CHUNK_JSON) throw new Error('GLB does not start with a JSON chunk');
+  if (20 + jsonLength > bytes.byteLength) throw new Error('GLB is truncated');
+  return JSON.parse(new TextDecoder().decode(bytes.subarray(20, 20 + jsonLength)));
+}
+
+/**
+ * @param {object} json  glTF JSON
+ * @param {string[]|null} [decoded]  extensions the reader can decode; null to skip that check
+ * @returns {{ compressions: { extension: string, kind: string, label: string, required: boolean }[],
+ *             summary: string, undecodable: string[] }}
+ *   `summary` e.g. "Draco geometry, KTX2 textures" or "uncompressed";
+ *   `undecodable` lists required compression extensions outside `decoded`
+ */
+export function describeCompression(json, decoded = null) {
+  const used = Array.isArray(json && json.extensionsUsed) ? json.extensionsUsed : [];
+  const required = new Set(Array.isArray(json && json.extensionsRequired) ? json.extensionsRequired : []);
+  const compressions = used
+    .filter(extension => COMPRESSION_EXTENSIONS[extension])
+    .map(extension => ({ extension, ...COMPRESSION_EXTENSIONS[extension], required: required.has(extension) }));
+
+  const byKind = new Map();
+  compressions.forEach(c => {
+    if (!byKind.has(c.kind)) byKind.set(c.kind, []);
+    byKind.get(c.kind).push(c.label);
+  });
+  const summary = byKind.size
+    ? [...byKind].map(([kind, labels]) => `${labels.join(' + ')} ${kind}`).join(', ')
+    : 'uncompressed';
+  const undecodable = decoded ? [...required].filter(extension => COMPRESSION_EXTENSIONS[extension] && !decoded.includes(extension)) : [];
+  return { compressions, summary, undecodable };
+}
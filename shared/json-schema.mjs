@@ -0,0 +1,113 @@
+// Small JSON Schema validator for the data files in shared/schemas/.
+// Covers the keywords those schemas use (type, const, enum, required,
+// properties, additionalProperties, items, minItems, minLength, minimum,
+// pattern, format date-time, anyOf and local $ref), nothing more.
+
+/**
+ * @typedef {{ path: string, message: string }} SchemaError
+ */
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+function resolveRef(root, ref) {
+  if (!ref.startsWith('#/')) throw new Error(`Unsupported $ref "${ref}"`);
+  return ref.slice(2).split('/').reduce((node, key) => {
+    if (!node || !(key in node)) throw new Error(`Unresolved $ref "${ref}"`);
+    return node[key];
+  }, root);
+}
+
+const childPath = (path, key) => (typeof key === 'number' ? `${path}[${key}]` : path ? `${path}.${key}` : key);
+
+function check(root, schema, value, path, errors) {
+  if (schema.$ref) {
+    check(root, resolveRef(root, schema.$ref), value, path, errors);
+  }
+
+  if (schema.anyOf) {
+    const branches = schema.anyOf.map(branch => {
+      const branchErrors = [];
+      check(root, branch, value, path, branchErrors);
+      return branchErrors;
+    });
+    if (branches.every(b => b.length)) {
+      // Report the closest branch of the right type, so a bad date in an entry reads
+      // as a date problem rather than "expected string"
+      const typed = branches.filter(b => !(b.length === 1 && b[0].path === path && b[0].message.startsWith('expected ')));
+      if (typed.length) errors.push(...typed.reduce((best, b) => (b.length < best.length ? b : best)));
+      else {
+        const expected = [...new Set(schema.anyOf.flatMap(b => [].concat(b.type || b.$ref && resolveRef(root, b.$ref).type || [])))];
+        errors.push({ path, message: expected.length ? `expected ${expected.join(' or ')}, got ${typeOf(value)}` : 'does not match any allowed form' });
+      }
+    }
+  }
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(t => matchesType(value, t))) {
+      errors.push({ path, message: `expected ${types.join(' or ')}, got ${typeOf(value)}` });
+      return;
+    }
+  }
+  if ('const' in schema && value !== schema.const) {
+    errors.push({ path, message: `expected ${JSON.stringify(schema.const)}` });
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path, message: `expected one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}` });
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength && value.length < schema.minLength) errors.push({ path, message: 'must not be empty' });
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      // Descriptions of patterned values read as "a date (MM/DD/YY, …)"
+      errors.push({ path, message: `"${value}" is not ${schema.description || 'in the expected format'}` });
+    }
+    if (schema.format === 'date-time' && Number.isNaN(Date.parse(value))) {
+      errors.push({ path, message: `"${value}" is not a date-time` });
+    }
+  }
+  if (typeof value === 'number' && schema.minimum !== undefined && value < schema.minimum) {
+    errors.push({ path, message: `must be at least ${schema.minimum}` });
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems && value.length < schema.minItems) {
+      errors.push({ path, message: `needs at least ${schema.minItems} entr${schema.minItems === 1 ? 'y' : 'ies'}` });
+    }
+    if (schema.items) value.forEach((item, i) => check(root, schema.items, item, childPath(path, i), errors));
+  } else if (value && typeof value === 'object') {
+    (schema.required || []).forEach(key => {
+      if (!(key in value)) errors.push({ path: childPath(path, key), message: 'is missing' });
+    });
+    const properties = schema.properties || {};
+    Object.entries(value).forEach(([key, child]) => {
+      if (properties[key]) check(root, properties[key], child, childPath(path, key), errors);
+      else if (schema.additionalProperties === false) errors.push({ path, message: `unknown property "${key}"` });
+      else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+        check(root, schema.additionalProperties, child, childPath(path, key), errors);
+      }
+    });
+  }
+}
+
+/**
+ * @param {object} schema
+ * @param {*} value  parsed JSON
+ * @returns {SchemaError[]} empty when the value is valid; `path` is e.g. "[3].fabricationCompletion.date"
+ *   (a missing property is reported at its own path)
+ */
+export function validateJson(schema, value) {
+  const errors = [];
+  check(schema, schema, value, '', errors);
+  return errors;
+}
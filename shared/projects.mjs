@@ -0,0 +1,71 @@
+import { normalizeStorage } from './asset-resolver.mjs';
+
+// Project registry (public/projects.json) shared by the dashboard, the viewer
+// and the Node scripts. Each entry:
+//
+//   {
+//     "code": "BSGS",              // value of ?project= (case-insensitive)
+//     "displayName": "BSGS",
+//     "folder": "BSGS",            // storage folder holding models.json / schedule.json / GLBs
+//     "preview": "/BSGS1.png",     // dashboard thumbnail
+//     "client": "Able Steel",
+//     "location": "",
+//     "status": "active",          // active | on-hold | complete
+//     "tonnage": 250,
+//     "units": "mm",               // measurement display: mm | m | ft-in
+//     "storage": { "type": "gcs", "bucket": "4dvoyager" }  // optional, see asset-resolver.mjs
+//   }
+//
+// A "storage" next to "projects" applies to every project that has none.
+
+export const PROJECT_STATUSES = ['active', 'on-hold', 'complete'];
+export const PROJECT_UNITS = ['mm', 'm', 'ft-in'];
+
+/**
+ * Validate and normalize the registry JSON.
+ * Throws with every problem listed so a broken registry is fixed in one pass.
+ * @returns {object[]} projects with `code` upper-cased and defaults filled in
+ */
+export function normalizeRegistry(raw) {
+  const list = Array.isArray(raw) ? raw : raw && Array.isArray(raw.projects) ? raw.projects : null;
+  if (!list) throw new Error('projects.json must contain a "projects" array');
+
+  const problems = [];
+  const seen = new Set();
+  const defaultStorage = raw && !Array.isArray(raw) ? raw.storage : undefined;
+  const projects = list.map((entry, i) => {
+    if (!entry || typeof entry !== 'object' || !entry.code) {
+      problems.push(`entry ${i}: missing "code"`);
+      return null;
+    }
+    const code = String(entry.code).toUpperCase();
+    if (seen.has(code)) problems.push(`entry ${i}: duplicate code "${code}"`);
+    seen.add(code);
+    const status = entry.status || 'active';
+    if (!PROJECT_STATUSES.includes(status)) problems.push(`${code}: unknown status "${status}"`);
+    const units = entry.units || 'mm';
+    if (!PROJECT_UNITS.includes(units)) problems.push(`${code}: unknown units "${units}"`);
+    return {
+      code,
+      displayName: entry.displayName || code,
+      folder: entry.folder || String(entry.code),
+      preview: entry.preview || null,
+      client: entry.client || '',
+      location: entry.location || '',
+      status,
+      tonnage: entry.tonnage ?? null,
+      units,
+      storage: normalizeStorage(entry.storage ?? defaultStorage, code, problems)
+    };
+  });
+
+  if (problems.length) throw new Error(`Invalid projects.json:\n  ${problems.join('\n  ')}`);
+  return projects;
+}
+
+// Project for a ?project= code, or null when the registry does not list it.
+export function findProject(projects, code) {
+  if (code == null || code === '') return null;
+  const key = String(code).toUpperCase();
+  return projects.find(p => p.code === key) || null;
+}
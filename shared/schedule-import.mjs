@@ -0,0 +1,433 @@
+import { parseDate, toScheduleDate } from './dates.mjs';
+
+// Turns planning-tool exports into schedule.json members, for the
+// import-schedule script and the viewer's schedule editor.
+//
+// Every format is first read into a flat list of activities:
+//
+//   { id, name, group, codes: [{ type, value }], finish, baseline, actual, file, note }
+//
+// `group` becomes the member name (the parent summary task in MS Project, the
+// WBS in P6, the `member` column in CSV). Dates are day values, NaN when absent.
+// A mapping then decides which activities complete fabrication and which
+// complete erection:
+//
+//   { "fabrication": ["FAB*"], "erection": ["Phase:ERECT", "name:*install*"] }
+//
+// Patterns are case-insensitive and `*` matches anything. A plain pattern is
+// tested against each code value, `TYPE:VALUE` against typed codes (P6
+// activity codes, MS Project custom fields) and `name:...` against the
+// activity name. `"member": "code:TYPE"` groups by a code type instead of `group`.
+
+export const IMPORT_FORMATS = {
+  MSPROJECT: 'msproject',
+  XER: 'xer',
+  CSV: 'csv'
+};
+
+export const IMPORT_FORMAT_LABELS = {
+  [IMPORT_FORMATS.MSPROJECT]: 'MS Project XML',
+  [IMPORT_FORMATS.XER]: 'Primavera P6 XER',
+  [IMPORT_FORMATS.CSV]: 'CSV'
+};
+
+// Documented CSV layout; only `member`, `code` and `finish` are required
+export const CSV_COLUMNS = ['id', 'name', 'member', 'code', 'finish', 'baseline_finish', 'actual_finish', 'file', 'note'];
+
+export class ScheduleImportError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ScheduleImportError';
+  }
+}
+
+// Planning tools write date-times; only the calendar day matters here
+function parseImportDate(value) {
+  const text = String(value == null ? '' : value).trim();
+  if (!text) return Number.NaN;
+  const iso = /^(\d{4}-\d{2}-\d{2})[T ]/.exec(text);
+  return parseDate(iso ? iso[1] : text);
+}
+
+function makeActivity(fields) {
+  return {
+    id: '',
+    name: '',
+    group: '',
+    codes: [],
+    finish: Number.NaN,
+    baseline: Number.NaN,
+    actual: Number.NaN,
+    file: null,
+    note: null,
+    ...fields
+  };
+}
+
+// === MS Project XML ===
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+function decodeXml(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (whole, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1] === 'x' || entity[1] === 'X' ? parseInt(entity.slice(2), 16) : Number(entity.slice(1));
+      return String.fromCodePoint(code);
+    }
+    return XML_ENTITIES[entity] ?? whole;
+  });
+}
+
+function xmlBlocks(xml, tag) {
+  const pattern = new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`, 'g');
+  return [...xml.matchAll(pattern)].map(m => m[1]);
+}
+
+function xmlChild(xml, tag) {
+  const match = new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`).exec(xml);
+  return match ? decodeXml(match[1].trim()) : '';
+}
+
+/**
+ * Activities from a Microsoft Project XML export (File > Save As > XML).
+ * Summary tasks become the `group` of the tasks below them.
+ */
+export function parseMsProjectXml(text) {
+  if (!/<Project[\s>]/.test(text)) throw new ScheduleImportError('Not an MS Project XML file (no <Project> element)');
+  const [projectAttributes = ''] = xmlBlocks(text, 'ExtendedAttributes');
+  const fieldNames = new Map(xmlBlocks(projectAttributes, 'ExtendedAttribute').map(block => [
+    xmlChild(block, 'FieldID'),
+    xmlChild(block, 'Alias') || xmlChild(block, 'FieldName')
+  ]));
+
+  const [tasksXml = ''] = xmlBlocks(text, 'Tasks');
+  const outline = [];
+  const activities = [];
+  xmlBlocks(tasksXml, 'Task').forEach(block => {
+    const baselines = xmlBlocks(block, 'Baseline');
+    const attributes = xmlBlocks(block, 'ExtendedAttribute');
+    // Direct children only: baselines and custom fields repeat tag names like <Finish>
+    const own = block
+      .replace(/<Baseline>[\s\S]*?<\/Baseline>/g, '')
+      .replace(/<ExtendedAttribute>[\s\S]*?<\/ExtendedAttribute>/g, '')
+      .replace(/<TimephasedData>[\s\S]*?<\/TimephasedData>/g, '');
+    const level = Number(xmlChild(own, 'OutlineLevel')) || 0;
+    const name = xmlChild(own, 'Name');
+    if (level === 0 || !name) return;
+    outline.length = level - 1;
+    if (xmlChild(own, 'Summary') === '1') {
+      outline[level - 1] = name;
+      return;
+    }
+    const baseline = baselines.find(b => xmlChild(b, 'Number') === '0');
+    const id = xmlChild(own, 'UID');
+    const label = `Task ${xmlChild(own, 'ID') || id} "${name}"`;
+    try {
+      activities.push(makeActivity({
+        id,
+        name,
+        group: outline.filter(Boolean).pop() || '',
+        codes: [
+          ...(xmlChild(own, 'WBS') ? [{ type: 'WBS', value: xmlChild(own, 'WBS') }] : []),
+          ...attributes
+            .map(a => ({ type: fieldNames.get(xmlChild(a, 'FieldID')) || xmlChild(a, 'FieldID'), value: xmlChild(a, 'Value') }))
+            .filter(code => code.value)
+        ],
+        finish: parseImportDate(xmlChild(own, 'Finish')),
+        baseline: baseline ? parseImportDate(xmlChild(baseline, 'Finish')) : Number.NaN,
+        actual: parseImportDate(xmlChild(own, 'ActualFinish')),
+        note: xmlChild(own, 'Notes') || null
+      }));
+    } catch (err) {
+      throw new ScheduleImportError(`${label}: ${err.message}`);
+    }
+  });
+  return activities;
+}
+
+// === Primavera P6 XER ===
+// Tab-separated tables: "%T <table>", "%F <field names...>", "%R <values...>"
+function readXerTables(text) {
+  const tables = {};
+  let current = null;
+  text.split(/\r?\n/).forEach(line => {
+    const cells = line.split('\t');
+    if (cells[0] === '%T') {
+      current = { fields: [], rows: [] };
+      tables[cells[1]] = current;
+    } else if (cells[0] === '%F' && current) {
+      current.fields = cells.slice(1);
+    } else if (cells[0] === '%R' && current) {
+      const row = {};
+      current.fields.forEach((field, i) => { row[field] = cells[i + 1] ?? ''; });
+      current.rows.push(row);
+    }
+  });
+  return tables;
+}
+
+// WBS and level-of-effort rows summarise other activities
+const XER_SKIPPED_TASK_TYPES = new Set(['TT_WBS', 'TT_LOE']);
+
+/**
+ * Activities from a Primavera P6 XER export. The WBS node becomes `group`;
+ * activity codes (TASKACTV) become typed codes, and the activity ID is a code too.
+ * `finish` is the actual or remaining-early finish, `baseline` the planned finish.
+ */
+export function parseP6Xer(text) {
+  if (!text.startsWith('ERMHDR')) throw new ScheduleImportError('Not a P6 XER file (missing ERMHDR header)');
+  const tables = readXerTables(text);
+  if (!tables.TASK) throw new ScheduleImportError('XER file has no TASK table');
+  const rowsOf = (name) => (tables[name] ? tables[name].rows : []);
+
+  const wbsNames = new Map(rowsOf('PROJWBS').map(row => [row.wbs_id, row.wbs_name]));
+  const codeTypes = new Map(rowsOf('ACTVTYPE').map(row => [row.actv_code_type_id, row.actv_code_type]));
+  const codeValues = new Map(rowsOf('ACTVCODE').map(row => [row.actv_code_id, {
+    type: codeTypes.get(row.actv_code_type_id) || '',
+    value: row.short_name || row.actv_code_name,
+    description: row.actv_code_name || ''
+  }]));
+  const taskCodes = new Map();
+  rowsOf('TASKACTV').forEach(row => {
+    const code = codeValues.get(row.actv_code_id);
+    if (!code) return;
+    if (!taskCodes.has(row.task_id)) taskCodes.set(row.task_id, []);
+    taskCodes.get(row.task_id).push(code);
+  });
+
+  return tables.TASK.rows
+    .filter(row => !XER_SKIPPED_TASK_TYPES.has(row.task_type))
+    .map(row => {
+      try {
+        const actual = parseImportDate(row.act_end_date);
+        return makeActivity({
+          id: row.task_code || row.task_id,
+          name: row.task_name || '',
+          group: wbsNames.get(row.wbs_id) || '',
+          codes: [{ type: 'ID', value: row.task_code || '' }, ...(taskCodes.get(row.task_id) || [])].filter(c => c.value),
+          finish: Number.isFinite(actual) ? actual : parseImportDate(row.early_end_date || row.target_end_date),
+          baseline: parseImportDate(row.target_end_date),
+          actual
+        });
+      } catch (err) {
+        throw new ScheduleImportError(`Activity ${row.task_code || row.task_id}: ${err.message}`);
+      }
+    });
+}
+
+// === CSV ===
+function readCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') quoted = false;
+      else cell += ch;
+    } else if (ch === '"') quoted = true;
+    else if (ch === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else cell += ch;
+  }
+  if (cell || row.length) rows.push([...row, cell]);
+  return rows.filter(r => r.some(c => c.trim()));
+}
+
+/**
+ * Activities from a CSV in the CSV_COLUMNS layout (header row required,
+ * column order free). `code` may hold several codes separated by ";", each
+ * optionally typed as TYPE:VALUE. Dates use any project date notation.
+ */
+export function parseScheduleCsv(text) {
+  const [header, ...rows] = readCsvRows(text.replace(/^\uFEFF/, ''));
+  if (!header) throw new ScheduleImportError('CSV file is empty');
+  const columns = header.map(h => h.trim().toLowerCase());
+  const missing = ['member', 'code', 'finish'].filter(c => !columns.includes(c));
+  if (missing.length) throw new ScheduleImportError(`CSV is missing column(s): ${missing.join(', ')} (expected ${CSV_COLUMNS.join(',')})`);
+
+  return rows.map((cells, i) => {
+    const get = (column) => (cells[columns.indexOf(column)] ?? '').trim();
+    try {
+      return makeActivity({
+        id: get('id') || String(i + 1),
+        name: get('name'),
+        group: get('member'),
+        codes: get('code').split(';').map(s => s.trim()).filter(Boolean).map(code => {
+          const sep = code.indexOf(':');
+          return sep > 0 ? { type: code.slice(0, sep).trim(), value: code.slice(sep + 1).trim() } : { type: '', value: code };
+        }),
+        finish: parseImportDate(get('finish')),
+        baseline: parseImportDate(get('baseline_finish')),
+        actual: parseImportDate(get('actual_finish')),
+        file: get('file') || null,
+        note: get('note') || null
+      });
+    } catch (err) {
+      throw new ScheduleImportError(`CSV row ${i + 2}: ${err.message}`);
+    }
+  });
+}
+
+/**
+ * Guess the format from the file name, falling back to the content.
+ * @returns {string} one of IMPORT_FORMATS
+ */
+export function detectImportFormat(filename, text) {
+  const ext = String(filename || '').toLowerCase().split('.').pop();
+  if (ext === 'xml') return IMPORT_FORMATS.MSPROJECT;
+  if (ext === 'xer') return IMPORT_FORMATS.XER;
+  if (ext === 'csv') return IMPORT_FORMATS.CSV;
+  if (text.startsWith('ERMHDR')) return IMPORT_FORMATS.XER;
+  if (/^\s*<\?xml|^\s*<Project[\s>]/.test(text)) return IMPORT_FORMATS.MSPROJECT;
+  return IMPORT_FORMATS.CSV;
+}
+
+const PARSERS = {
+  [IMPORT_FORMATS.MSPROJECT]: parseMsProjectXml,
+  [IMPORT_FORMATS.XER]: parseP6Xer,
+  [IMPORT_FORMATS.CSV]: parseScheduleCsv
+};
+
+export function parseActivities(text, format) {
+  const parse = PARSERS[format];
+  if (!parse) throw new ScheduleImportError(`Unknown import format "${format}"`);
+  return parse(text);
+}
+
+// === Mapping ===
+function codeLabel(code) {
+  return code.type ? `${code.type}:${code.value}` : code.value;
+}
+
+/**
+ * Distinct codes with the number of activities carrying them, most used first,
+ * as "TYPE:VALUE" (or VALUE for untyped codes). Used to build a mapping.
+ * @returns {{ code: string, count: number, description: string }[]}
+ */
+export function listActivityCodes(activities) {
+  const found = new Map();
+  activities.forEach(activity => {
+    const seen = new Set();
+    activity.codes.forEach(code => {
+      const label = codeLabel(code);
+      if (seen.has(label)) return;
+      seen.add(label);
+      if (!found.has(label)) found.set(label, { code: label, count: 0, description: code.description || '' });
+      found.get(label).count++;
+    });
+  });
+  return [...found.values()].sort((a, b) => b.count - a.count || a.code.localeCompare(b.code));
+}
+
+const FABRICATION_HINT = /fab|shop|detail/i;
+const ERECTION_HINT = /erect|install/i;
+
+/**
+ * Starting point for a mapping, from code names that mention fabrication or
+ * erection (in the code or its P6 description). Activity IDs and WBS codes are
+ * not considered.
+ */
+export function suggestMapping(codes) {
+  const candidates = codes.filter(c => !/^(ID|WBS):/.test(c.code));
+  const text = (c) => `${c.code} ${c.description || ''}`;
+  return {
+    fabrication: candidates.filter(c => FABRICATION_HINT.test(text(c))).map(c => c.code),
+    erection: candidates.filter(c => ERECTION_HINT.test(text(c)) && !FABRICATION_HINT.test(text(c))).map(c => c.code)
+  };
+}
+
+function globToRegExp(glob) {
+  const escaped = glob.trim().replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+  return new RegExp(`^${escaped}$`, 'i');
+}
+
+function matchesPattern(activity, pattern) {
+  if (/^name:/i.test(pattern)) return globToRegExp(pattern.slice(5)).test(activity.name);
+  const re = globToRegExp(pattern);
+  return activity.codes.some(code => re.test(code.value) || (code.type && re.test(codeLabel(code))));
+}
+
+function memberName(activity, memberFrom) {
+  if (memberFrom && memberFrom.startsWith('code:')) {
+    const type = memberFrom.slice(5).toLowerCase();
+    const code = activity.codes.find(c => c.type.toLowerCase() === type);
+    return code ? code.value : '';
+  }
+  return activity.group;
+}
+
+// Several activities complete one event: the event is done when the last one is
+function rollUp(activities) {
+  const latest = (key) => {
+    const values = activities.map(a => a[key]);
+    return values.every(Number.isFinite) ? Math.max(...values) : Number.NaN;
+  };
+  const event = { date: toScheduleDate(Math.max(...activities.map(a => a.finish))) };
+  const baseline = latest('baseline');
+  const actual = latest('actual');
+  if (Number.isFinite(baseline)) event.baseline = toScheduleDate(baseline);
+  if (Number.isFinite(actual)) event.actual = toScheduleDate(actual);
+  const files = activities.map(a => a.file).filter(Boolean);
+  if (files.length) event.file = files[files.length - 1];
+  event.note = activities.length === 1
+    ? activities[0].note || activities[0].name
+    : `${activities.length} activities: ${activities.map(a => a.id).join(', ')}`;
+  return event;
+}
+
+/**
+ * Build schedule.json members from activities and a mapping. Members keep the
+ * order of their first activity. Activities matching neither side, or both,
+ * are reported rather than guessed.
+ * @param {object[]} activities
+ * @param {{ fabrication: string[], erection: string[], member?: string }} mapping
+ * @returns {{ members: object[], skipped: object[], warnings: string[] }}
+ */
+export function buildScheduleFromActivities(activities, mapping) {
+  const fabrication = mapping.fabrication || [];
+  const erection = mapping.erection || [];
+  if (!fabrication.length && !erection.length) throw new ScheduleImportError('The mapping selects no fabrication or erection codes');
+
+  const groups = new Map();
+  const skipped = [];
+  const warnings = [];
+  activities.forEach(activity => {
+    const isFab = fabrication.some(p => matchesPattern(activity, p));
+    const isErec = erection.some(p => matchesPattern(activity, p));
+    if (isFab === isErec) {
+      if (isFab) warnings.push(`Activity ${activity.id} "${activity.name}" matches both fabrication and erection; skipped`);
+      skipped.push(activity);
+      return;
+    }
+    if (!Number.isFinite(activity.finish)) {
+      warnings.push(`Activity ${activity.id} "${activity.name}" has no finish date; skipped`);
+      skipped.push(activity);
+      return;
+    }
+    const name = memberName(activity, mapping.member) || activity.name;
+    if (!groups.has(name)) groups.set(name, { fab: [], erec: [] });
+    groups.get(name)[isFab ? 'fab' : 'erec'].push(activity);
+  });
+
+  const members = [...groups.entries()].map(([member, { fab, erec }]) => {
+    if (!fab.length) warnings.push(`"${member}" has no fabrication activity`);
+    if (!erec.length) warnings.push(`"${member}" has no erection activity`);
+    return {
+      member,
+      fabricationCompletion: fab.length ? rollUp(fab) : { date: '', note: '' },
+      erectionCompletion: erec.length ? rollUp(erec) : { date: '', note: '' }
+    };
+  });
+  return { members, skipped, warnings };
+}
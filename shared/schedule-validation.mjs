@@ -0,0 +1,95 @@
+import { parseDate, tryParseDate, today } from './dates.mjs';
+
+// Consistency checks for schedule.json members, shared by the in-browser
+// schedule editor and the Node lint command. Problems are returned rather
+// than thrown so a whole schedule can be reviewed in one pass.
+
+export const EVENT_FIELDS = {
+  fabricationCompletion: 'Fabrication',
+  erectionCompletion: 'Erection'
+};
+
+/**
+ * @typedef {{ index: number, field: string, level: 'error'|'warning', message: string }} ScheduleProblem
+ */
+
+function checkDate(problems, index, field, value, label, { required }) {
+  if (value == null || value === '') {
+    if (required) problems.push({ index, field, level: 'error', message: `${label} is missing` });
+    return Number.NaN;
+  }
+  try {
+    return parseDate(value);
+  } catch (err) {
+    problems.push({ index, field, level: 'error', message: `${label}: ${err.message}` });
+    return Number.NaN;
+  }
+}
+
+/**
+ * @param {object[]} members  schedule.json members (the array, or `members` of the federated form)
+ * @param {object} [options]
+ * @param {string[]|null} [options.modelFiles]  GLB names from models.json; file links are not checked when null
+ * @param {number} [options.asOf]  day value used to flag actual dates in the future
+ * @returns {ScheduleProblem[]}
+ */
+export function validateScheduleMembers(members, { modelFiles = null, asOf = today() } = {}) {
+  const problems = [];
+  const known = modelFiles ? new Set(modelFiles.map(f => String(f).toLowerCase())) : null;
+  const names = new Map();
+
+  members.forEach((item, index) => {
+    if (!item || typeof item !== 'object') {
+      problems.push({ index, field: '', level: 'error', message: 'Entry is not an object' });
+      return;
+    }
+    const name = typeof item.member === 'string' ? item.member.trim() : '';
+    if (!name) problems.push({ index, field: 'member', level: 'error', message: 'Member name is missing' });
+    else if (names.has(name.toLowerCase())) {
+      problems.push({ index, field: 'member', level: 'warning', message: `Same name as row ${names.get(name.toLowerCase()) + 1}` });
+    } else names.set(name.toLowerCase(), index);
+
+    const dates = {};
+    Object.entries(EVENT_FIELDS).forEach(([key, label]) => {
+      const ev = item[key];
+      if (!ev || typeof ev !== 'object') {
+        problems.push({ index, field: key, level: 'error', message: `${label} event is missing` });
+        return;
+      }
+      dates[key] = checkDate(problems, index, `${key}.date`, ev.date, `${label} date`, { required: true });
+      checkDate(problems, index, `${key}.baseline`, ev.baseline, `${label} baseline`, { required: false });
+      const actual = checkDate(problems, index, `${key}.actual`, ev.actual, `${label} actual date`, { required: false });
+      if (actual > asOf) {
+        problems.push({ index, field: `${key}.actual`, level: 'warning', message: `${label} actual date is in the future` });
+      }
+
+      if (known) {
+        if (ev.file && !known.has(String(ev.file).toLowerCase())) {
+          problems.push({ index, field: `${key}.file`, level: 'error', message: `${label} file "${ev.file}" is not in models.json` });
+        }
+        // Without `file` the viewer links the last entry of a legacy `files` list
+        const fallback = !ev.file && Array.isArray(ev.files) ? ev.files[ev.files.length - 1] : null;
+        if (fallback && !known.has(String(fallback).toLowerCase())) {
+          problems.push({ index, field: `${key}.file`, level: 'warning', message: `${label} file "${fallback}" (last of "files") is not in models.json` });
+        }
+      }
+    });
+
+    const fab = dates.fabricationCompletion;
+    const erec = dates.erectionCompletion;
+    if (Number.isFinite(fab) && Number.isFinite(erec) && erec < fab) {
+      problems.push({ index, field: 'erectionCompletion.date', level: 'error', message: 'Erection is before fabrication' });
+    }
+    const fabActual = tryParseDate(item.fabricationCompletion && item.fabricationCompletion.actual);
+    const erecActual = tryParseDate(item.erectionCompletion && item.erectionCompletion.actual);
+    if (Number.isFinite(fabActual) && Number.isFinite(erecActual) && erecActual < fabActual) {
+      problems.push({ index, field: 'erectionCompletion.actual', level: 'error', message: 'Actual erection is before actual fabrication' });
+    }
+  });
+  return problems;
+}
+
+export function formatProblem(problem, members) {
+  const name = members[problem.index] && members[problem.index].member;
+  return `Row ${problem.index + 1}${name ? ` (${name})` : ''}: ${problem.message}`;
+}
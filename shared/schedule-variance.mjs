@@ -0,0 +1,93 @@
+import { tryParseDate, daysBetween, today } from './dates.mjs';
+
+// Planned vs. actual tracking for schedule.json events.
+//
+//   "fabricationCompletion": {
+//     "date": "10-21-2026",       // current (forecast) date; drives the timeline
+//     "baseline": "10-14-2026",   // planned date, optional (defaults to "date")
+//     "actual": "10-23-2026"      // completion date, absent while the work is open
+//   }
+//
+// Variance is in days, positive when late: actual - planned for completed
+// events, today - planned for open events that are past due, and
+// forecast - planned for open events that are not due yet.
+
+export const VARIANCE_STATUS = {
+  ON_TIME: 'on-time',
+  LATE: 'late',
+  AHEAD: 'ahead',
+  NOT_STARTED: 'not-started'
+};
+
+export const VARIANCE_LABELS = {
+  [VARIANCE_STATUS.ON_TIME]: 'On time',
+  [VARIANCE_STATUS.LATE]: 'Late',
+  [VARIANCE_STATUS.AHEAD]: 'Ahead',
+  [VARIANCE_STATUS.NOT_STARTED]: 'Not started'
+};
+
+export const VARIANCE_COLORS = {
+  [VARIANCE_STATUS.ON_TIME]: 0x16a34a,
+  [VARIANCE_STATUS.LATE]: 0xdc2626,
+  [VARIANCE_STATUS.AHEAD]: 0x2563eb,
+  [VARIANCE_STATUS.NOT_STARTED]: 0x9ca3af
+};
+
+/**
+ * @param {{ date?: string, baseline?: string, actual?: string }|null} event
+ * @param {number} [asOf] day value; defaults to today
+ * @returns {{ planned: number, forecast: number, actual: number, varianceDays: number|null,
+ *             complete: boolean, pastDue: boolean, status: string }}
+ */
+export function getEventVariance(event, asOf = today()) {
+  const forecast = tryParseDate(event && event.date);
+  const baseline = tryParseDate(event && event.baseline);
+  const planned = Number.isFinite(baseline) ? baseline : forecast;
+  const actual = tryParseDate(event && event.actual);
+  const complete = Number.isFinite(actual);
+  const result = { planned, forecast, actual, varianceDays: null, complete, pastDue: false, status: VARIANCE_STATUS.NOT_STARTED };
+  if (!Number.isFinite(planned)) return result;
+
+  if (complete) {
+    result.varianceDays = daysBetween(planned, actual);
+    if (result.varianceDays > 0) result.status = VARIANCE_STATUS.LATE;
+    else if (result.varianceDays < 0) result.status = VARIANCE_STATUS.AHEAD;
+    else result.status = VARIANCE_STATUS.ON_TIME;
+  } else if (asOf > planned) {
+    result.pastDue = true;
+    result.varianceDays = daysBetween(planned, asOf);
+    result.status = VARIANCE_STATUS.LATE;
+  } else if (Number.isFinite(forecast)) {
+    result.varianceDays = daysBetween(planned, forecast);
+  }
+  return result;
+}
+
+/**
+ * Roll a member's fabrication and erection events up into one status:
+ * late if either is late, else ahead if either finished early, else on time
+ * once anything is complete, else not started.
+ */
+export function getMemberVariance(item, asOf = today()) {
+  const fab = getEventVariance(item.fabricationCompletion, asOf);
+  const erec = getEventVariance(item.erectionCompletion, asOf);
+  const events = [fab, erec];
+  let status = VARIANCE_STATUS.NOT_STARTED;
+  if (events.some(e => e.status === VARIANCE_STATUS.LATE)) status = VARIANCE_STATUS.LATE;
+  else if (events.some(e => e.status === VARIANCE_STATUS.AHEAD)) status = VARIANCE_STATUS.AHEAD;
+  else if (events.some(e => e.status === VARIANCE_STATUS.ON_TIME)) status = VARIANCE_STATUS.ON_TIME;
+  // Days from the events that decide the status: the worst slip, the biggest
+  // lead, or (not started) the projected slip of the forecast dates
+  const deciding = events.filter(e => e.varianceDays !== null &&
+    (status === VARIANCE_STATUS.NOT_STARTED || e.status === status));
+  const days = deciding.map(e => e.varianceDays);
+  let varianceDays = null;
+  if (days.length) varianceDays = status === VARIANCE_STATUS.AHEAD ? Math.min(...days) : Math.max(...days);
+  return { status, fab, erec, varianceDays, pastDue: fab.pastDue || erec.pastDue };
+}
+
+// "+5 d", "-3 d", "0 d"; empty for unknown
+export function formatVariance(days) {
+  if (days === null || !Number.isFinite(days)) return '';
+  return `${days > 0 ? '+' : ''}${days} d`;
+}
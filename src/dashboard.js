@@ -0,0 +1,102 @@
+import { normalizeRegistry } from '../shared/projects.mjs';
+
+// Dashboard cards are rendered from the project registry (public/projects.json).
+// Three cards on top and rows of two below keep the reverse-pyramid layout.
+
+const TOP_ROW_SIZE = 3;
+const BOTTOM_ROW_SIZE = 2;
+
+const STATUS_LABELS = {
+  active: 'Active',
+  'on-hold': 'On hold',
+  complete: 'Complete'
+};
+
+function createCard(project) {
+  const card = document.createElement('a');
+  card.className = 'card';
+  card.href = `viewer.html?project=${encodeURIComponent(project.code)}`;
+
+  const preview = document.createElement('div');
+  preview.className = 'preview';
+  const fallback = document.createElement('span');
+  fallback.className = 'fallback';
+  fallback.textContent = 'Preview';
+  if (project.preview) {
+    const img = document.createElement('img');
+    img.src = project.preview;
+    img.alt = `${project.displayName} Preview`;
+    img.addEventListener('error', () => {
+      img.style.display = 'none';
+      fallback.style.display = 'flex';
+    });
+    preview.appendChild(img);
+  }
+  preview.appendChild(fallback);
+
+  const meta = document.createElement('div');
+  meta.className = 'meta';
+  const name = document.createElement('div');
+  name.className = 'project';
+  name.textContent = `Project: ${project.displayName}`;
+  meta.appendChild(name);
+  if (project.tonnage != null) {
+    const tonnage = document.createElement('div');
+    tonnage.className = 'tonnage';
+    tonnage.textContent = `Tonnage: ${project.tonnage}`;
+    meta.appendChild(tonnage);
+  }
+  const details = [project.client, project.location].filter(Boolean).join(' · ');
+  if (details) {
+    const detailsEl = document.createElement('div');
+    detailsEl.className = 'tonnage';
+    detailsEl.textContent = details;
+    meta.appendChild(detailsEl);
+  }
+  const status = document.createElement('span');
+  status.className = `status status-${project.status}`;
+  status.textContent = STATUS_LABELS[project.status] || project.status;
+  meta.appendChild(status);
+
+  card.appendChild(preview);
+  card.appendChild(meta);
+  return card;
+}
+
+function showGridMessage(grid, text) {
+  grid.innerHTML = '';
+  const message = document.createElement('div');
+  message.className = 'subtitle';
+  message.textContent = text;
+  grid.appendChild(message);
+}
+
+async function renderProjectCards() {
+  const grid = document.getElementById('project-grid');
+  if (!grid) return;
+  try {
+    const res = await fetch('/projects.json', { cache: 'no-cache' });
+    if (!res.ok) throw new Error(`projects.json could not be loaded (HTTP ${res.status})`);
+    const projects = normalizeRegistry(await res.json());
+    if (!projects.length) {
+      showGridMessage(grid, 'No projects registered yet.');
+      return;
+    }
+    const rows = [projects.slice(0, TOP_ROW_SIZE)];
+    for (let i = TOP_ROW_SIZE; i < projects.length; i += BOTTOM_ROW_SIZE) {
+      rows.push(projects.slice(i, i + BOTTOM_ROW_SIZE));
+    }
+    grid.innerHTML = '';
+    rows.forEach((rowProjects, i) => {
+      const row = document.createElement('div');
+      row.className = `row ${i === 0 ? 'top' : 'bottom'}`;
+      rowProjects.forEach(project => row.appendChild(createCard(project)));
+      grid.appendChild(row);
+    });
+  } catch (err) {
+    console.error('[Dashboard]', err);
+    showGridMessage(grid, `Could not load projects: ${err.message}`);
+  }
+}
+
+renderProjectCards();
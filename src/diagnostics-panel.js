@@ -0,0 +1,82 @@
+import { countByLevel, formatLintProblem } from '../shared/data-lint.mjs';
+
+// Lists problems with the project data (from shared/data-lint.mjs) and with
+// loading it (snapshots that failed to load, schedule members matching no
+// elements). Problems are kept per source so the data lint can be re-run
+// without dropping what the loader reported.
+
+const LEVEL_ICONS = { error: '✗', warning: '⚠', info: 'ℹ' };
+const LEVEL_ORDER = { error: 0, warning: 1, info: 2 };
+
+function el(tag, className, parent) {
+  const node = document.createElement(tag);
+  if (className) node.className = className;
+  if (parent) parent.appendChild(node);
+  return node;
+}
+
+/**
+ * @param {HTMLElement} rootEl  emptied and filled with the panel; shown with the `visible` class
+ * @param {{ button?: HTMLElement }} [options]  toolbar button that opens the panel and shows the count
+ */
+export function createDiagnosticsPanel(rootEl, { button = null } = {}) {
+  rootEl.innerHTML = '';
+  const header = el('div', 'inspect-header', rootEl);
+  const title = el('span', null, header);
+  const closeBtn = el('button', 'collapse-btn', header);
+  closeBtn.textContent = '✕';
+  closeBtn.title = 'Close';
+  const listEl = el('ul', 'diagnostics-list', rootEl);
+
+  const sources = new Map();
+
+  function all() {
+    return [...sources.values()].flat().sort((a, b) => LEVEL_ORDER[a.level] - LEVEL_ORDER[b.level]);
+  }
+
+  function render() {
+    const problems = all();
+    const counts = countByLevel(problems);
+    title.textContent = `Diagnostics: ${counts.error} errors, ${counts.warning} warnings`;
+    listEl.innerHTML = '';
+    if (!problems.length) el('li', 'empty', listEl).textContent = 'No problems found';
+    problems.forEach(problem => {
+      const li = el('li', problem.level, listEl);
+      el('span', 'diagnostics-icon', li).textContent = LEVEL_ICONS[problem.level];
+      el('span', null, li).textContent = formatLintProblem(problem);
+    });
+    if (button) {
+      const shown = counts.error + counts.warning;
+      button.dataset.count = shown ? String(shown) : '';
+      button.classList.toggle('has-errors', counts.error > 0);
+      button.classList.toggle('has-warnings', !counts.error && counts.warning > 0);
+      button.title = shown ? `Data problems: ${counts.error} errors, ${counts.warning} warnings` : 'Data diagnostics: no problems';
+    }
+  }
+
+  function toggle(force) {
+    rootEl.classList.toggle('visible', force);
+  }
+
+  closeBtn.addEventListener('click', () => toggle(false));
+  if (button) button.addEventListener('click', () => toggle());
+  render();
+
+  return {
+    toggle,
+    /** Replace the problems of one source, e.g. 'data' or 'loader' */
+    setProblems(source, problems) {
+      sources.set(source, problems.slice());
+      render();
+    },
+    addProblem(source, problem) {
+      sources.set(source, [...(sources.get(source) || []), problem]);
+      render();
+    },
+    clear() {
+      sources.clear();
+      render();
+    },
+    getProblems: all
+  };
+}
@@ -0,0 +1,60 @@
+// Save generated content (JSON, HTML, images) as a file download.
+export function downloadBlob(filename, blob) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Revoke on the next tick so the download has started
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+export function downloadText(filename, text, type = 'application/json') {
+  downloadBlob(filename, new Blob([text], { type }));
+}
+
+// Output targets for exports too large to build as one Blob. A sink takes the
+// data in order through write(); close() finishes it and abort() discards it.
+
+/**
+ * Collects the data in memory and resolves close() to a Blob for downloadBlob.
+ * @param {string} type
+ * @param {number} maxBytes  what the export may hold in memory
+ */
+export function createBlobSink(type, maxBytes) {
+  let parts = [];
+  return {
+    maxBytes,
+    write(data) { parts.push(data); },
+    async close() {
+      const blob = new Blob(parts, { type });
+      parts = [];
+      return blob;
+    },
+    async abort() { parts = []; }
+  };
+}
+
+export function isSaveFilePickerSupported() {
+  return typeof window !== 'undefined' && typeof window.showSaveFilePicker === 'function';
+}
+
+/**
+ * Asks where to save and writes straight to that file (File System Access API,
+ * Chrome and Edge). Call it directly from the click handler: the picker needs
+ * the user gesture. Rejects with an AbortError when the picker is dismissed.
+ * @param {string} filename  suggested name
+ * @param {{ description: string, accept: Record<string, string[]> }} fileType
+ */
+export async function openFileSink(filename, fileType) {
+  const handle = await window.showSaveFilePicker({ suggestedName: filename, types: [fileType] });
+  const writable = await handle.createWritable();
+  return {
+    maxBytes: Infinity,
+    write: (data) => writable.write(data),
+    close: async () => { await writable.close(); },
+    abort: () => writable.abort()
+  };
+}
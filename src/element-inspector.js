@@ -0,0 +1,145 @@
+import * as THREE from 'three';
+import { collectElements, isDiffGhost } from './snapshot-diff.js';
+
+// Element picking, selection outline and the properties panel.
+// An "element" is the same unit the diff uses: the node carrying a Tekla/IFC
+// GUID, or a single named mesh when the export has no GUIDs.
+
+// Extras shown first, in this order, when present (matched case-insensitively)
+const PRIORITY_PROPERTIES = ['profile', 'material', 'assembly_pos', 'assemblymark', 'mark', 'phase', 'weight'];
+
+const elementIndexCache = new WeakMap();
+
+// { elements: Map<key, element>, byMesh: Map<mesh, element> } for a snapshot, built once
+export function getElementIndex(model) {
+  let index = elementIndexCache.get(model);
+  if (!index) {
+    const elements = collectElements(model);
+    const byMesh = new Map();
+    elements.forEach(el => el.meshes.forEach(mesh => byMesh.set(mesh, el)));
+    index = { elements, byMesh };
+    elementIndexCache.set(model, index);
+  }
+  return index;
+}
+
+function isShown(object) {
+  for (let node = object; node; node = node.parent) {
+    if (!node.visible) return false;
+  }
+  return true;
+}
+
+/**
+ * Element under the pointer in `model`, or null. `hit` is the raw intersection
+ * (face, object) for callers that need more than the point.
+ * @param {THREE.Raycaster} raycaster  already set from camera and pointer
+ * @param {THREE.Plane[]} [clippingPlanes]  hits cut away by a section are skipped
+ */
+export function pickElement(raycaster, model, clippingPlanes = []) {
+  if (!model) return null;
+  const hits = raycaster.intersectObject(model, true);
+  const hit = hits.find(h => h.object.isMesh && !isDiffGhost(h.object) && isShown(h.object) &&
+    clippingPlanes.every(plane => plane.distanceToPoint(h.point) >= 0));
+  if (!hit) return null;
+  const element = getElementIndex(model).byMesh.get(hit.object);
+  return element ? { element, point: hit.point, hit } : null;
+}
+
+export function getElementName(element) {
+  const node = element.node;
+  return node.userData.name || node.name || element.key.replace(/^(guid|name):/, '');
+}
+
+// Flattened, display-ready extras with the Tekla/IFC essentials first
+export function getElementProperties(element) {
+  const entries = [];
+  const seen = new Set();
+  const add = (key, value) => {
+    if (key.startsWith('__') || key === 'name' || seen.has(key)) return;
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      Object.entries(value).forEach(([k, v]) => add(`${key}.${k}`, v));
+      return;
+    }
+    seen.add(key);
+    entries.push([key, Array.isArray(value) ? value.join(', ') : String(value)]);
+  };
+  Object.entries(element.node.userData).forEach(([key, value]) => add(key, value));
+  const rank = (key) => {
+    const i = PRIORITY_PROPERTIES.indexOf(key.toLowerCase());
+    return i === -1 ? PRIORITY_PROPERTIES.length : i;
+  };
+  return entries.sort((a, b) => rank(a[0]) - rank(b[0]));
+}
+
+export function getElementSize(element) {
+  return element.box.getSize(new THREE.Vector3());
+}
+
+const outlineMaterial = new THREE.LineBasicMaterial({ color: 0xfacc15, depthTest: false, transparent: true });
+
+/**
+ * Draw edge outlines on every mesh of `element`. Returns a function removing them.
+ */
+export function addSelectionOutline(element) {
+  const outlines = element.meshes.map(mesh => {
+    const lines = new THREE.LineSegments(new THREE.EdgesGeometry(mesh.geometry, 30), outlineMaterial);
+    lines.name = '__selection_outline';
+    lines.renderOrder = 2;
+    lines.raycast = () => {};
+    mesh.add(lines);
+    return lines;
+  });
+  return () => {
+    outlines.forEach(lines => {
+      lines.parent && lines.parent.remove(lines);
+      lines.geometry.dispose();
+    });
+  };
+}
+
+function appendRow(tbody, label, value) {
+  const tr = document.createElement('tr');
+  const th = document.createElement('th');
+  th.textContent = label;
+  const td = document.createElement('td');
+  td.textContent = value;
+  tr.appendChild(th);
+  tr.appendChild(td);
+  tbody.appendChild(tr);
+}
+
+function appendSection(panel, title, rows) {
+  const heading = document.createElement('h3');
+  heading.textContent = title;
+  const table = document.createElement('table');
+  const tbody = document.createElement('tbody');
+  rows.forEach(([label, value]) => appendRow(tbody, label, value));
+  table.appendChild(tbody);
+  panel.appendChild(heading);
+  panel.appendChild(table);
+}
+
+/**
+ * Fill the side panel for a selected element.
+ * @param {HTMLElement} bodyEl
+ * @param {{ name: string, properties: [string, string][], size: THREE.Vector3,
+ *           formatLength: (n: number) => string, members: string[] }} info
+ */
+export function renderInspectPanel(bodyEl, info) {
+  bodyEl.innerHTML = '';
+  const name = document.createElement('div');
+  name.className = 'inspect-name';
+  name.textContent = info.name;
+  bodyEl.appendChild(name);
+
+  appendSection(bodyEl, 'Schedule', [
+    ['Member', info.members.length ? info.members.join(', ') : 'No schedule member matches its name, tags or selectors']
+  ]);
+  appendSection(bodyEl, 'Dimensions', [
+    ['X', info.formatLength(info.size.x)],
+    ['Y', info.formatLength(info.size.y)],
+    ['Z', info.formatLength(info.size.z)]
+  ]);
+  appendSection(bodyEl, 'Properties', info.properties.length ? info.properties : [['—', 'No properties exported']]);
+}
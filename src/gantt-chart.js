@@ -0,0 +1,195 @@
+import { computeTimelineRange, positionForTime, buildAxisTicks, defaultTickLabel } from './timeline-axis.js';
+import { formatDate, today } from '../shared/dates.mjs';
+
+// Gantt view of the schedule: one row per member with a bar from fabrication
+// to erection, milestone diamonds at both ends, the baseline underneath when
+// it differs, and a playhead at the date shown in the 3D view.
+// Ctrl/⌘ + wheel or the toolbar buttons zoom the time axis around the pointer.
+
+const LABEL_WIDTH = 120;
+// Minimum spacing between axis labels; zooming in adds ticks
+const TICK_SPACING_PX = 70;
+const MIN_ZOOM = 1;
+const MAX_ZOOM = 40;
+const ZOOM_STEP = 1.5;
+
+const TYPE_LABELS = { fab: 'Fabrication complete', erec: 'Erection complete' };
+
+function el(tag, className, parent) {
+  const node = document.createElement(tag);
+  if (className) node.className = className;
+  if (parent) parent.appendChild(node);
+  return node;
+}
+
+/**
+ * @param {HTMLElement} rootEl  emptied and filled with the chart
+ * @param {{ onSelect: (event: object) => void }} options  called with a row's milestone event on click
+ */
+export function createGanttChart(rootEl, { onSelect }) {
+  rootEl.innerHTML = '';
+  const toolbar = el('div', 'gantt-toolbar', rootEl);
+  const zoomOutBtn = el('button', 'gantt-zoom', toolbar);
+  zoomOutBtn.textContent = '−';
+  zoomOutBtn.title = 'Zoom out';
+  const zoomInBtn = el('button', 'gantt-zoom', toolbar);
+  zoomInBtn.textContent = '+';
+  zoomInBtn.title = 'Zoom in (Ctrl + wheel)';
+  const fitBtn = el('button', 'gantt-zoom', toolbar);
+  fitBtn.textContent = 'Fit';
+  fitBtn.title = 'Show the whole schedule';
+
+  const scrollEl = el('div', 'gantt-scroll', rootEl);
+  const canvasEl = el('div', 'gantt-canvas', scrollEl);
+  const axisEl = el('div', 'gantt-row gantt-axis', canvasEl);
+  el('div', 'gantt-label', axisEl);
+  const axisTrack = el('div', 'gantt-track', axisEl);
+  const rowsEl = el('div', 'gantt-rows', canvasEl);
+  const playheadEl = el('div', 'gantt-playhead', canvasEl);
+
+  let rows = [];
+  let range = null;
+  let zoom = MIN_ZOOM;
+  let playheadTime = Number.NaN;
+  let currentIndex = Number.NaN;
+
+  const trackWidth = () => Math.max(200, scrollEl.clientWidth - LABEL_WIDTH) * zoom;
+  const xFor = (time) => positionForTime(time, range) * trackWidth();
+
+  function renderAxis() {
+    axisTrack.innerHTML = '';
+    const { ticks } = buildAxisTicks(range, defaultTickLabel, Math.max(4, trackWidth() / TICK_SPACING_PX));
+    ticks.forEach(({ time, label }) => {
+      const tick = el('span', 'gantt-tick', axisTrack);
+      tick.style.left = `${xFor(time)}px`;
+      tick.textContent = label;
+    });
+    const now = today();
+    if (now >= range.start && now <= range.end) {
+      const marker = el('div', 'gantt-today', axisTrack);
+      marker.style.left = `${xFor(now)}px`;
+      marker.title = `Today (${formatDate(now)})`;
+    }
+  }
+
+  function renderRow(row) {
+    const rowEl = el('div', `gantt-row variance-${row.status || 'none'}`, rowsEl);
+    const label = el('div', 'gantt-label', rowEl);
+    label.textContent = row.label;
+    label.title = row.label;
+    const track = el('div', 'gantt-track', rowEl);
+    const times = row.milestones.map(m => m.time);
+    if (!times.length) return;
+
+    if (row.baseline && (row.baseline.start !== Math.min(...times) || row.baseline.end !== Math.max(...times))) {
+      const baseline = el('div', 'gantt-baseline', track);
+      baseline.style.left = `${xFor(row.baseline.start)}px`;
+      baseline.style.width = `${Math.max(2, xFor(row.baseline.end) - xFor(row.baseline.start))}px`;
+      baseline.title = `Baseline: ${formatDate(row.baseline.start)} – ${formatDate(row.baseline.end)}`;
+    }
+
+    if (times.length > 1) {
+      const bar = el('div', 'gantt-bar', track);
+      const start = Math.min(...times);
+      const end = Math.max(...times);
+      bar.style.left = `${xFor(start)}px`;
+      bar.style.width = `${Math.max(2, xFor(end) - xFor(start))}px`;
+      bar.title = `${row.label}: ${formatDate(start)} – ${formatDate(end)}`;
+      // A click on the bar jumps to whichever end is nearer
+      bar.addEventListener('click', (e) => {
+        const x = e.clientX - track.getBoundingClientRect().left;
+        const nearest = row.milestones.reduce((best, m) =>
+          Math.abs(xFor(m.time) - x) < Math.abs(xFor(best.time) - x) ? m : best);
+        onSelect(nearest.event);
+      });
+    }
+
+    row.milestones.forEach(m => {
+      const diamond = el('div', `gantt-milestone ${m.type}`, track);
+      diamond.dataset.index = String(m.event.index);
+      diamond.style.left = `${xFor(m.time)}px`;
+      diamond.title = `${TYPE_LABELS[m.type] || m.type}: ${row.label} (${formatDate(m.time)})`;
+      diamond.classList.toggle('current', m.event.index === currentIndex);
+      diamond.addEventListener('click', (e) => {
+        e.stopPropagation();
+        onSelect(m.event);
+      });
+    });
+  }
+
+  function renderPlayhead() {
+    const visible = !!range && Number.isFinite(playheadTime);
+    playheadEl.style.display = visible ? '' : 'none';
+    if (!visible) return;
+    playheadEl.style.left = `${LABEL_WIDTH + xFor(playheadTime)}px`;
+    playheadEl.title = formatDate(playheadTime);
+  }
+
+  function render() {
+    rowsEl.innerHTML = '';
+    if (!range || !scrollEl.clientWidth) {
+      axisTrack.innerHTML = '';
+      renderPlayhead();
+      return;
+    }
+    canvasEl.style.width = `${LABEL_WIDTH + trackWidth()}px`;
+    renderAxis();
+    rows.forEach(renderRow);
+    renderPlayhead();
+  }
+
+  // Zoom keeping the date under `clientX` (default: the centre) in place
+  function setZoom(next, clientX) {
+    const clamped = Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, next));
+    if (clamped === zoom || !range) return;
+    const rect = scrollEl.getBoundingClientRect();
+    const offset = (clientX ?? rect.left + rect.width / 2) - rect.left;
+    const fraction = (scrollEl.scrollLeft + offset - LABEL_WIDTH) / trackWidth();
+    zoom = clamped;
+    render();
+    scrollEl.scrollLeft = LABEL_WIDTH + fraction * trackWidth() - offset;
+  }
+
+  zoomInBtn.addEventListener('click', () => setZoom(zoom * ZOOM_STEP));
+  zoomOutBtn.addEventListener('click', () => setZoom(zoom / ZOOM_STEP));
+  fitBtn.addEventListener('click', () => setZoom(MIN_ZOOM));
+  scrollEl.addEventListener('wheel', (e) => {
+    if (!e.ctrlKey && !e.metaKey) return;
+    e.preventDefault();
+    setZoom(zoom * (e.deltaY < 0 ? ZOOM_STEP : 1 / ZOOM_STEP), e.clientX);
+  }, { passive: false });
+
+  // Lay out again when the panel is shown (hidden panels have no width) or resized
+  let lastWidth = 0;
+  new ResizeObserver(() => {
+    if (scrollEl.clientWidth === lastWidth) return;
+    lastWidth = scrollEl.clientWidth;
+    render();
+  }).observe(scrollEl);
+
+  return {
+    /**
+     * @param {{ label: string, status?: string, baseline?: { start: number, end: number }|null,
+     *           milestones: { time: number, type: 'fab'|'erec', event: object }[] }[]} nextRows
+     */
+    setRows(nextRows) {
+      rows = nextRows;
+      const times = rows.flatMap(row => [
+        ...row.milestones.map(m => m.time),
+        ...(row.baseline ? [row.baseline.start, row.baseline.end] : [])
+      ]);
+      range = computeTimelineRange(times);
+      render();
+    },
+    setPlayhead(time) {
+      playheadTime = time;
+      renderPlayhead();
+    },
+    setCurrentEvent(index) {
+      currentIndex = index;
+      rowsEl.querySelectorAll('.gantt-milestone').forEach(diamond => {
+        diamond.classList.toggle('current', Number(diamond.dataset.index) === index);
+      });
+    }
+  };
+}
@@ -0,0 +1,269 @@
+import * as THREE from 'three';
+import { CSS2DRenderer, CSS2DObject } from 'three/examples/jsm/renderers/CSS2DRenderer.js';
+import { formatAngle } from './units.js';
+
+// Point-to-point distance, three-point angle and element-to-element clearance,
+// drawn as lines with HTML dimension labels. Picked points snap to the nearest
+// vertex or edge of the hit triangle when it is within a few pixels on screen.
+
+export const MEASURE_MODES = {
+  DISTANCE: 'distance',
+  ANGLE: 'angle',
+  CLEARANCE: 'clearance'
+};
+
+const SNAP_PX = 10;
+// Above this many vertex/triangle tests clearance falls back to sampled vertices
+const MAX_CLEARANCE_TESTS = 5e6;
+const LINE_COLOR = 0xe11d48;
+
+const lineMaterial = new THREE.LineBasicMaterial({ color: LINE_COLOR, depthTest: false, transparent: true });
+const pointMaterial = new THREE.PointsMaterial({ color: LINE_COLOR, size: 8, sizeAttenuation: false, depthTest: false, transparent: true });
+
+function toScreen(point, camera, domElement) {
+  const v = point.clone().project(camera);
+  const rect = domElement.getBoundingClientRect();
+  return new THREE.Vector2((v.x + 1) / 2 * rect.width, (1 - v.y) / 2 * rect.height);
+}
+
+/**
+ * Snap a raycast hit to a vertex or edge of the triangle it struck.
+ * @returns {{ point: THREE.Vector3, snap: 'vertex'|'edge'|'surface' }}
+ */
+export function snapHit(hit, camera, domElement) {
+  const { object, face } = hit;
+  const position = object.geometry && object.geometry.attributes.position;
+  if (!face || !position) return { point: hit.point.clone(), snap: 'surface' };
+
+  const corners = [face.a, face.b, face.c].map(i =>
+    new THREE.Vector3().fromBufferAttribute(position, i).applyMatrix4(object.matrixWorld));
+  const hitScreen = toScreen(hit.point, camera, domElement);
+  const screenDistance = (p) => toScreen(p, camera, domElement).distanceTo(hitScreen);
+
+  let best = null;
+  corners.forEach(corner => {
+    const d = screenDistance(corner);
+    if (d <= SNAP_PX && (!best || d < best.d)) best = { d, point: corner };
+  });
+  if (best) return { point: best.point, snap: 'vertex' };
+
+  for (let i = 0; i < 3; i++) {
+    const edge = new THREE.Line3(corners[i], corners[(i + 1) % 3]);
+    const onEdge = edge.closestPointToPoint(hit.point, true, new THREE.Vector3());
+    const d = screenDistance(onEdge);
+    if (d <= SNAP_PX && (!best || d < best.d)) best = { d, point: onEdge };
+  }
+  if (best) return { point: best.point, snap: 'edge' };
+  return { point: hit.point.clone(), snap: 'surface' };
+}
+
+function collectGeometry(meshes) {
+  const vertices = [];
+  const triangles = [];
+  const box = new THREE.Box3();
+  meshes.forEach(mesh => {
+    const position = mesh.geometry && mesh.geometry.attributes.position;
+    if (!position) return;
+    mesh.updateMatrixWorld(true);
+    const world = [];
+    for (let i = 0; i < position.count; i++) {
+      const v = new THREE.Vector3().fromBufferAttribute(position, i).applyMatrix4(mesh.matrixWorld);
+      world.push(v);
+      box.expandByPoint(v);
+    }
+    vertices.push(...world);
+    const index = mesh.geometry.index;
+    const count = index ? index.count : position.count;
+    for (let i = 0; i + 2 < count; i += 3) {
+      const a = index ? index.getX(i) : i;
+      const b = index ? index.getX(i + 1) : i + 1;
+      const c = index ? index.getX(i + 2) : i + 2;
+      triangles.push(new THREE.Triangle(world[a], world[b], world[c]));
+    }
+  });
+  return { vertices, triangles, box };
+}
+
+/**
+ * Minimum distance between two elements' surfaces (vertex-to-triangle both ways).
+ * @returns {{ distance: number, pointA: THREE.Vector3, pointB: THREE.Vector3, approximate: boolean }}
+ */
+export function computeClearance(meshesA, meshesB) {
+  const a = collectGeometry(meshesA);
+  const b = collectGeometry(meshesB);
+  const tests = a.vertices.length * b.triangles.length + b.vertices.length * a.triangles.length;
+  const stride = Math.max(1, Math.ceil(tests / MAX_CLEARANCE_TESTS));
+  const result = { distance: Infinity, pointA: null, pointB: null, approximate: stride > 1 };
+  const closest = new THREE.Vector3();
+
+  const sweep = (from, to, swap) => {
+    for (let i = 0; i < from.vertices.length; i += stride) {
+      const v = from.vertices[i];
+      if (to.box.distanceToPoint(v) >= result.distance) continue;
+      for (const tri of to.triangles) {
+        tri.closestPointToPoint(v, closest);
+        const d = v.distanceTo(closest);
+        if (d < result.distance) {
+          result.distance = d;
+          result.pointA = swap ? closest.clone() : v.clone();
+          result.pointB = swap ? v.clone() : closest.clone();
+        }
+      }
+    }
+  };
+  sweep(a, b, false);
+  sweep(b, a, true);
+  return result;
+}
+
+/**
+ * @param {object} options
+ * @param {THREE.Object3D} options.parent  measurements are attached here (moves with the models)
+ * @param {THREE.Camera} options.camera
+ * @param {HTMLElement} options.domElement  the WebGL canvas
+ * @param {HTMLElement} options.container  receives the label layer
+ * @param {(modelUnits: number) => string} options.formatLength
+ */
+export function createMeasureTools({ parent, camera, domElement, container, formatLength }) {
+  const group = new THREE.Group();
+  group.name = '__measurements';
+  parent.add(group);
+
+  const labelRenderer = new CSS2DRenderer();
+  labelRenderer.domElement.className = 'measure-layer';
+  labelRenderer.setSize(container.clientWidth || window.innerWidth, container.clientHeight || window.innerHeight);
+  container.appendChild(labelRenderer.domElement);
+
+  let mode = null;
+  let pendingPoints = [];
+  let pendingElement = null;
+  let pendingMarkers = [];
+  const measurements = [];
+
+  const toLocal = (worldPoint) => parent.worldToLocal(worldPoint.clone());
+
+  function addMarkers(worldPoints, target) {
+    const geometry = new THREE.BufferGeometry().setFromPoints(worldPoints.map(toLocal));
+    const points = new THREE.Points(geometry, pointMaterial);
+    points.renderOrder = 3;
+    target.add(points);
+    return points;
+  }
+
+  function addPolyline(worldPoints, target) {
+    const geometry = new THREE.BufferGeometry().setFromPoints(worldPoints.map(toLocal));
+    const line = new THREE.Line(geometry, lineMaterial);
+    line.renderOrder = 3;
+    target.add(line);
+  }
+
+  function addLabel(worldPoint, target) {
+    const div = document.createElement('div');
+    div.className = 'measure-label';
+    const label = new CSS2DObject(div);
+    label.position.copy(toLocal(worldPoint));
+    target.add(label);
+    return div;
+  }
+
+  function clearPending() {
+    pendingMarkers.forEach(m => {
+      group.remove(m);
+      m.geometry.dispose();
+    });
+    pendingMarkers = [];
+    pendingPoints = [];
+    pendingElement = null;
+  }
+
+  function describe(measurement) {
+    if (measurement.kind === MEASURE_MODES.ANGLE) return formatAngle(measurement.value);
+    const text = formatLength(measurement.value);
+    if (measurement.kind === MEASURE_MODES.CLEARANCE) {
+      return `Clearance ${measurement.approximate ? '≈ ' : ''}${text}`;
+    }
+    return text;
+  }
+
+  function commit(kind, value, linePoints, labelPoint, extra = {}) {
+    clearPending();
+    const item = new THREE.Group();
+    addPolyline(linePoints, item);
+    addMarkers(linePoints, item);
+    const labelEl = addLabel(labelPoint, item);
+    group.add(item);
+    const measurement = { kind, value, item, labelEl, ...extra };
+    labelEl.textContent = describe(measurement);
+    measurements.push(measurement);
+    return measurement;
+  }
+
+  // Point pick (distance / angle). Returns true when the click was consumed.
+  function handlePointPick(hit) {
+    if (mode !== MEASURE_MODES.DISTANCE && mode !== MEASURE_MODES.ANGLE) return false;
+    if (!hit) return true;
+    const { point } = snapHit(hit, camera, domElement);
+    pendingPoints.push(point);
+    const marker = addMarkers([point], group);
+    pendingMarkers.push(marker);
+
+    if (mode === MEASURE_MODES.DISTANCE && pendingPoints.length === 2) {
+      const [a, b] = pendingPoints;
+      commit(MEASURE_MODES.DISTANCE, a.distanceTo(b), [a, b], a.clone().lerp(b, 0.5));
+    } else if (mode === MEASURE_MODES.ANGLE && pendingPoints.length === 3) {
+      const [a, vertex, c] = pendingPoints;
+      const angle = a.clone().sub(vertex).angleTo(c.clone().sub(vertex));
+      commit(MEASURE_MODES.ANGLE, angle, [a, vertex, c], vertex);
+    }
+    return true;
+  }
+
+  // Element pick (clearance). Returns true when the click was consumed.
+  function handleElementPick(element) {
+    if (mode !== MEASURE_MODES.CLEARANCE) return false;
+    if (!element) return true;
+    if (!pendingElement) {
+      pendingElement = element;
+      return true;
+    }
+    if (pendingElement === element) return true;
+    const result = computeClearance(pendingElement.meshes, element.meshes);
+    if (!result.pointA) {
+      clearPending();
+      return true;
+    }
+    commit(MEASURE_MODES.CLEARANCE, result.distance, [result.pointA, result.pointB],
+      result.pointA.clone().lerp(result.pointB, 0.5), { approximate: result.approximate });
+    return true;
+  }
+
+  return {
+    getMode: () => mode,
+    hasPendingElement: () => !!pendingElement,
+    setMode(nextMode) {
+      mode = nextMode || null;
+      clearPending();
+    },
+    handlePointPick,
+    handleElementPick,
+    // Re-render label text, e.g. after the display units change
+    refreshLabels() {
+      measurements.forEach(m => { m.labelEl.textContent = describe(m); });
+    },
+    clear() {
+      clearPending();
+      measurements.splice(0).forEach(m => {
+        m.item.traverse(child => child.geometry && child.geometry.dispose());
+        // CSS2DRenderer leaves the label element in the layer when its object is removed
+        m.labelEl.remove();
+        group.remove(m.item);
+      });
+    },
+    setSize(width, height) {
+      labelRenderer.setSize(width, height);
+    },
+    render(scene) {
+      labelRenderer.render(scene, camera);
+    }
+  };
+}
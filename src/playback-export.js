@@ -0,0 +1,273 @@
+import * as THREE from 'three';
+import { buildWebm } from './webm-muxer.js';
+import { createZipWriter, zipEntrySize, zipArchiveSize, formatBytes, ZIP_MAX_ENTRIES, ZIP_MAX_BYTES } from './zip-writer.js';
+import { createBlobSink } from './download.js';
+
+// Offline export of the 4D playback. Every snapshot is shown in turn and
+// rendered frame by frame at a fixed size, so the result only depends on the
+// settings, not on how fast the machine renders. The output is a WebM video
+// (WebCodecs VP9/VP8) or a ZIP of numbered PNGs with a manifest.json.
+// With a fixed camera every frame of a step is the same, so the ZIP holds one
+// PNG per step and the manifest carries the timing. PNGs go to the archive as
+// they are encoded; the sink decides whether that is a file or memory.
+
+export const EXPORT_FORMATS = {
+  WEBM: 'webm',
+  PNG: 'png'
+};
+
+export const EXPORT_MANIFEST_FORMAT = '4d-voyager-frames';
+
+// Tried in order; the first the browser can encode at the requested size wins
+const VIDEO_CODECS = [
+  { codec: 'vp09.00.10.08', codecId: 'V_VP9' },
+  { codec: 'vp8', codecId: 'V_VP8' }
+];
+const KEYFRAME_SECONDS = 2;
+const MAX_ENCODE_QUEUE = 8;
+// Without a file to write to, the ZIP is built in memory as one Blob
+const IN_MEMORY_ZIP_BYTES = 1024 ** 3;
+// Later snapshots usually show more of the model, so later PNGs tend to be larger than the first
+const PNG_SIZE_MARGIN = 1.5;
+
+export class ExportCancelledError extends Error {
+  constructor() {
+    super('Export cancelled');
+    this.name = 'ExportCancelledError';
+  }
+}
+
+export function isWebmExportSupported() {
+  return typeof window !== 'undefined' && 'VideoEncoder' in window && 'VideoFrame' in window;
+}
+
+async function pickVideoCodec(width, height, fps) {
+  for (const candidate of VIDEO_CODECS) {
+    const config = { codec: candidate.codec, width, height, framerate: fps, bitrate: Math.round(width * height * fps * 0.2) };
+    const { supported } = await VideoEncoder.isConfigSupported(config);
+    if (supported) return { ...candidate, config };
+  }
+  throw new Error(`This browser cannot encode WebM video at ${width}×${height}`);
+}
+
+// Date in large type with milestone lines underneath, bottom left
+function drawCaption(ctx, caption, width, height) {
+  if (!caption || (!caption.title && !(caption.lines && caption.lines.length))) return;
+  const titleSize = Math.round(height * 0.045);
+  const lineSize = Math.round(height * 0.026);
+  const pad = Math.round(height * 0.02);
+  const lines = (caption.lines || []).slice(0, 4);
+  ctx.font = `600 ${titleSize}px system-ui, sans-serif`;
+  let boxWidth = ctx.measureText(caption.title || '').width;
+  ctx.font = `${lineSize}px system-ui, sans-serif`;
+  lines.forEach(line => { boxWidth = Math.max(boxWidth, ctx.measureText(line).width); });
+  boxWidth = Math.min(boxWidth + pad * 2, width - pad * 2);
+  const boxHeight = pad * 2 + (caption.title ? titleSize * 1.2 : 0) + lines.length * lineSize * 1.35;
+  const x = pad;
+  const y = height - pad - boxHeight;
+
+  ctx.fillStyle = 'rgba(15, 23, 42, 0.72)';
+  ctx.fillRect(x, y, boxWidth, boxHeight);
+  ctx.fillStyle = '#ffffff';
+  ctx.textBaseline = 'top';
+  let cursor = y + pad;
+  if (caption.title) {
+    ctx.font = `600 ${titleSize}px system-ui, sans-serif`;
+    ctx.fillText(caption.title, x + pad, cursor, boxWidth - pad * 2);
+    cursor += titleSize * 1.2;
+  }
+  ctx.font = `${lineSize}px system-ui, sans-serif`;
+  lines.forEach(line => {
+    ctx.fillText(line, x + pad, cursor, boxWidth - pad * 2);
+    cursor += lineSize * 1.35;
+  });
+}
+
+function getFrameLayout({ format, stepCount, fps, secondsPerStep, orbitDegrees = 0 }) {
+  const framesPerStep = Math.max(1, Math.round(secondsPerStep * fps));
+  const holdFrames = format === EXPORT_FORMATS.PNG && orbitDegrees === 0;
+  const rendersPerStep = holdFrames ? 1 : framesPerStep;
+  return { framesPerStep, totalFrames: framesPerStep * stepCount, holdFrames, rendersPerStep, pngCount: rendersPerStep * stepCount };
+}
+
+/**
+ * Throws when a PNG export would have more files than a ZIP can hold. Run it
+ * before asking for a file to save to; exportPlayback checks again.
+ * @param {{ format: string, stepCount: number, fps: number, secondsPerStep: number, orbitDegrees?: number }} settings
+ */
+export function checkExportLimits(settings) {
+  const { pngCount } = getFrameLayout(settings);
+  // manifest.json takes one entry
+  if (settings.format === EXPORT_FORMATS.PNG && pngCount + 1 > ZIP_MAX_ENTRIES) {
+    throw new Error(`The PNG sequence would have ${pngCount} frames, but a ZIP holds at most ${ZIP_MAX_ENTRIES - 1}. Lower the FPS or s / step, or export WebM.`);
+  }
+}
+
+// Stops before writing most of the archive when the first PNG suggests it will not fit
+function checkProjectedZipSize(file, firstPngBytes, pngCount, maxBytes) {
+  const limit = Math.min(maxBytes, ZIP_MAX_BYTES);
+  const projected = zipArchiveSize(pngCount * zipEntrySize(file, Math.round(firstPngBytes * PNG_SIZE_MARGIN)));
+  if (projected <= limit) return;
+  const where = limit < ZIP_MAX_BYTES
+    ? 'that can be held in memory here (Chrome and Edge save straight to a file instead)'
+    : 'a ZIP can hold';
+  throw new Error(`The PNG sequence would be about ${formatBytes(projected)}, over the ${formatBytes(limit)} ${where}. Lower the size, FPS or s / step, or export WebM.`);
+}
+
+const nextTick = () => new Promise(resolve => setTimeout(resolve, 0));
+
+/**
+ * @param {object} options
+ * @param {THREE.WebGLRenderer} options.renderer  resized for the export and restored afterwards
+ * @param {THREE.Scene} options.scene
+ * @param {THREE.PerspectiveCamera} options.camera
+ * @param {THREE.Vector3} options.target  orbit centre
+ * @param {number} options.stepCount  number of snapshots
+ * @param {(index: number) => Promise<void>} options.showStep  shows a snapshot, resolving once it is ready to render
+ * @param {(index: number) => ({ title: string, lines: string[] }|null)} [options.getCaption]
+ * @param {() => void} [options.beforeRender]  per-frame scene updates (e.g. section planes)
+ * @param {'webm'|'png'} options.format
+ * @param {number} options.width
+ * @param {number} options.height
+ * @param {number} options.fps
+ * @param {number} options.secondsPerStep
+ * @param {number} [options.orbitDegrees]  total camera rotation around the target over the export; 0 for a fixed camera
+ * @param {object} [options.manifest]  extra fields for manifest.json (PNG export)
+ * @param {{ write: Function, close: Function, abort: Function, maxBytes: number }} [options.sink]
+ *   where the PNG export's ZIP goes (see src/download.js); closed when done, aborted on failure.
+ *   Defaults to memory
+ * @param {(done: number, total: number) => void} [options.onProgress]
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<Blob|undefined>} video/webm, or what the sink's close() returns for the ZIP
+ */
+export async function exportPlayback({
+  renderer, scene, camera, target, stepCount, showStep, getCaption = () => null, beforeRender = () => {},
+  format, width, height, fps, secondsPerStep, orbitDegrees = 0, manifest = {}, sink, onProgress = () => {}, signal
+}) {
+  if (format === EXPORT_FORMATS.WEBM && !isWebmExportSupported()) {
+    throw new Error('WebM export needs WebCodecs, which this browser does not support. Export a PNG sequence instead.');
+  }
+  // Video encoders want even dimensions
+  const w = Math.max(2, Math.round(width / 2) * 2);
+  const h = Math.max(2, Math.round(height / 2) * 2);
+  const { framesPerStep, totalFrames, holdFrames, rendersPerStep, pngCount } =
+    getFrameLayout({ format, stepCount, fps, secondsPerStep, orbitDegrees });
+
+  const canvas = document.createElement('canvas');
+  canvas.width = w;
+  canvas.height = h;
+  const ctx = canvas.getContext('2d');
+
+  const saved = {
+    size: renderer.getSize(new THREE.Vector2()),
+    pixelRatio: renderer.getPixelRatio(),
+    aspect: camera.aspect,
+    position: camera.position.clone(),
+    quaternion: camera.quaternion.clone()
+  };
+  const offset = saved.position.clone().sub(target);
+  const up = new THREE.Vector3(0, 1, 0);
+
+  let encoder = null;
+  let codecId = null;
+  const chunks = [];
+  const pngFrames = [];
+  let zipSink = null;
+  let zip = null;
+  let finished = false;
+  let encoderError = null;
+  if (format === EXPORT_FORMATS.WEBM) {
+    const picked = await pickVideoCodec(w, h, fps);
+    codecId = picked.codecId;
+    encoder = new VideoEncoder({
+      output: (chunk) => {
+        const data = new Uint8Array(chunk.byteLength);
+        chunk.copyTo(data);
+        chunks.push({ data, timeMs: Math.round(chunk.timestamp / 1000), key: chunk.type === 'key' });
+      },
+      error: (err) => { encoderError = err; }
+    });
+    encoder.configure(picked.config);
+  } else {
+    zipSink = sink || createBlobSink('application/zip', IN_MEMORY_ZIP_BYTES);
+    zip = createZipWriter(zipSink, { maxBytes: zipSink.maxBytes });
+  }
+
+  renderer.setPixelRatio(1);
+  renderer.setSize(w, h, false);
+  camera.aspect = w / h;
+  camera.updateProjectionMatrix();
+  try {
+    checkExportLimits({ format, stepCount, fps, secondsPerStep, orbitDegrees });
+    let rendered = 0;
+    for (let step = 0; step < stepCount; step++) {
+      if (signal && signal.aborted) throw new ExportCancelledError();
+      await showStep(step);
+      const caption = getCaption(step);
+      for (let f = 0; f < rendersPerStep; f++) {
+        const frame = step * framesPerStep + f;
+        if (signal && signal.aborted) throw new ExportCancelledError();
+        if (encoderError) throw encoderError;
+        const angle = THREE.MathUtils.degToRad(orbitDegrees) * (frame / totalFrames);
+        camera.position.copy(target).add(offset.clone().applyAxisAngle(up, angle));
+        camera.lookAt(target);
+        beforeRender();
+        renderer.render(scene, camera);
+        // Copy in the same task as the render, before the drawing buffer is cleared
+        ctx.drawImage(renderer.domElement, 0, 0, w, h);
+        drawCaption(ctx, caption, w, h);
+
+        if (encoder) {
+          const videoFrame = new VideoFrame(canvas, { timestamp: Math.round(frame * 1e6 / fps), duration: Math.round(1e6 / fps) });
+          encoder.encode(videoFrame, { keyFrame: frame % Math.round(KEYFRAME_SECONDS * fps) === 0 });
+          videoFrame.close();
+          while (encoder.encodeQueueSize > MAX_ENCODE_QUEUE) await nextTick();
+        } else {
+          const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+          const file = `frame_${String(pngFrames.length + 1).padStart(5, '0')}.png`;
+          const data = new Uint8Array(await blob.arrayBuffer());
+          if (!pngFrames.length) checkProjectedZipSize(file, data.length, pngCount, zipSink.maxBytes);
+          await zip.add(file, data);
+          pngFrames.push({ file, step, startFrame: frame, frameCount: holdFrames ? framesPerStep : 1, caption });
+        }
+        onProgress(holdFrames ? frame + framesPerStep : frame + 1, totalFrames);
+        // Let the page repaint the progress and handle Cancel
+        if (++rendered % 4 === 0) await nextTick();
+      }
+    }
+
+    if (encoder) {
+      await encoder.flush();
+      if (encoderError) throw encoderError;
+      return buildWebm({ codecId, width: w, height: h, durationMs: totalFrames * 1000 / fps, frames: chunks });
+    }
+    // frameCount is the length of the sequence in frames at fps; each file is
+    // shown for its own frameCount frames starting at startFrame
+    const manifestJson = {
+      format: EXPORT_MANIFEST_FORMAT,
+      version: 2,
+      ...manifest,
+      width: w,
+      height: h,
+      fps,
+      secondsPerStep,
+      orbitDegrees,
+      frameCount: totalFrames,
+      frames: pngFrames.map(({ caption, ...entry }) => ({ ...entry, ...(caption ? { caption } : {}) }))
+    };
+    await zip.add('manifest.json', new TextEncoder().encode(JSON.stringify(manifestJson, null, 2)));
+    await zip.close();
+    const result = await zipSink.close();
+    finished = true;
+    return result;
+  } finally {
+    if (zipSink && !finished) await Promise.resolve(zipSink.abort()).catch(() => {});
+    if (encoder && encoder.state !== 'closed') encoder.close();
+    renderer.setPixelRatio(saved.pixelRatio);
+    renderer.setSize(saved.size.x, saved.size.y, false);
+    camera.aspect = saved.aspect;
+    camera.position.copy(saved.position);
+    camera.quaternion.copy(saved.quaternion);
+    camera.updateProjectionMatrix();
+  }
+}
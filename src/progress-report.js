@@ -0,0 +1,158 @@
+import { VARIANCE_COLORS, VARIANCE_STATUS } from '../shared/schedule-variance.mjs';
+
+// Self-contained HTML progress report: everything (styles, the 3D view as a
+// data URL) is inline so the file can be mailed, archived or printed to PDF
+// without the viewer. Values are escaped; the builder has no DOM access.
+
+function statusColor(status) {
+  const color = VARIANCE_COLORS[status] ?? VARIANCE_COLORS[VARIANCE_STATUS.NOT_STARTED];
+  return `#${color.toString(16).padStart(6, '0')}`;
+}
+
+function escapeHtml(value) {
+  return String(value == null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+const STYLES = `
+  :root { color-scheme: light; }
+  * { box-sizing: border-box; }
+  body { margin: 0; font: 13px/1.45 system-ui, -apple-system, "Segoe UI", sans-serif; color: #0f172a; background: #f1f5f9; }
+  main { max-width: 960px; margin: 24px auto; padding: 32px; background: #fff; box-shadow: 0 2px 12px rgba(0,0,0,.08); }
+  header { display: flex; justify-content: space-between; align-items: flex-end; border-bottom: 2px solid #0f172a; padding-bottom: 12px; }
+  h1 { font-size: 24px; margin: 0; }
+  h2 { font-size: 15px; margin: 24px 0 8px; text-transform: uppercase; letter-spacing: .04em; color: #334155; }
+  .meta { text-align: right; color: #475569; }
+  .print-btn { margin-top: 6px; padding: 6px 12px; border: 1px solid #cbd5e1; border-radius: 6px; background: #fff; cursor: pointer; }
+  figure { margin: 16px 0 0; }
+  figure img { width: 100%; border: 1px solid #e2e8f0; border-radius: 6px; }
+  figcaption { color: #475569; font-size: 12px; margin-top: 4px; }
+  .milestones { list-style: none; margin: 0; padding: 0; }
+  .milestones li { padding: 4px 8px; border-left: 3px solid #cbd5e1; margin-bottom: 2px; }
+  .milestones li.current { border-color: #2563eb; background: #eff6ff; font-weight: 600; }
+  .milestones li.prev, .milestones li.next { color: #475569; }
+  .summary { display: flex; gap: 16px; flex-wrap: wrap; margin: 0; padding: 0; list-style: none; }
+  .summary li { display: flex; align-items: center; gap: 6px; }
+  .swatch { width: 10px; height: 10px; border-radius: 2px; display: inline-block; }
+  table { width: 100%; border-collapse: collapse; font-size: 12px; }
+  th, td { padding: 5px 8px; border-bottom: 1px solid #e2e8f0; text-align: left; vertical-align: top; }
+  th { background: #f8fafc; font-weight: 600; color: #334155; }
+  thead { display: table-header-group; }
+  tr { break-inside: avoid; }
+  td.done-fab { background: #ffecec; color: #7f1d1d; font-weight: 600; }
+  td.done-erec { background: #e9ffe9; color: #064e3b; font-weight: 600; }
+  td.current-fab { background: #ffb3b3; color: #7f1d1d; font-weight: 700; }
+  td.current-erec { background: #b8ffb8; color: #064e3b; font-weight: 700; }
+  td.status { font-weight: 600; white-space: nowrap; }
+  .past-due { color: #dc2626; }
+  .empty { color: #64748b; font-style: italic; }
+  footer { margin-top: 24px; color: #64748b; font-size: 11px; }
+  @page { size: A4; margin: 14mm; }
+  @media print {
+    body { background: #fff; }
+    main { margin: 0; padding: 0; max-width: none; box-shadow: none; }
+    .no-print { display: none; }
+    h2 { break-after: avoid; }
+    figure { break-inside: avoid; }
+    * { -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+  }
+`;
+
+function statusCell(status, label, text) {
+  return `<td class="status" style="color:${statusColor(status)}">${escapeHtml(text || label)}</td>`;
+}
+
+function eventCell(event, type) {
+  const classes = event.state ? [`${event.state}-${type}`] : [];
+  const title = event.title ? ` title="${escapeHtml(event.title)}"` : '';
+  const pastDue = event.pastDue ? ' <span class="past-due">⚠</span>' : '';
+  return `<td class="${classes.join(' ')}"${title}>${escapeHtml(event.text)}${pastDue}</td>`;
+}
+
+function milestoneList(items, emptyText) {
+  if (!items.length) return `<p class="empty">${escapeHtml(emptyText)}</p>`;
+  return `<table>
+      <thead><tr><th>Date</th><th>Milestone</th><th>Member</th><th>Variance</th></tr></thead>
+      <tbody>${items.map(item => `
+        <tr><td>${escapeHtml(item.date)}${item.pastDue ? ' <span class="past-due">⚠ past due</span>' : ''}</td><td>${escapeHtml(item.label)}</td><td>${escapeHtml(item.member)}</td>${statusCell(item.status, '', item.variance)}</tr>`).join('')}
+      </tbody>
+    </table>`;
+}
+
+/**
+ * @param {object} report
+ * @param {string} report.projectName
+ * @param {string} report.reportDate  formatted
+ * @param {string} [report.snapshotLabel]  date or name of the snapshot shown
+ * @param {string|null} [report.image]  PNG data URL of the 3D view
+ * @param {{ cls: 'prev'|'current'|'next', text: string }[]} report.popup  milestone popup lines
+ * @param {{ status: string, label: string, count: number }[]} report.statusCounts
+ * @param {{ member: string, fab: object, erec: object, status: string, statusLabel: string, variance: string }[]} report.rows
+ *   `fab` / `erec`: { text, state: 'done'|'current'|null, pastDue, title }
+ * @param {object[]} report.completed  { date, label, member, status, variance, pastDue }
+ * @param {object[]} report.upcoming  same shape as `completed`
+ * @returns {string} HTML document
+ */
+export function buildProgressReport(report) {
+  const title = `${report.projectName} – Progress report ${report.reportDate}`;
+  const popup = report.popup.length
+    ? `<ul class="milestones">${report.popup.map(line => `<li class="${line.cls}">${escapeHtml(line.text)}</li>`).join('')}</ul>`
+    : '<p class="empty">No milestone selected</p>';
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>${STYLES}</style>
+</head>
+<body>
+<main>
+  <header>
+    <div>
+      <h1>${escapeHtml(report.projectName)}</h1>
+      <div>Progress report</div>
+    </div>
+    <div class="meta">
+      <div>Report date: <strong>${escapeHtml(report.reportDate)}</strong></div>
+      ${report.snapshotLabel ? `<div>Model as of: ${escapeHtml(report.snapshotLabel)}</div>` : ''}
+      <button class="print-btn no-print" onclick="window.print()">Print / Save as PDF</button>
+    </div>
+  </header>
+
+  ${report.image ? `<figure>
+    <img src="${report.image}" alt="3D view of ${escapeHtml(report.projectName)}">
+    <figcaption>3D model${report.snapshotLabel ? ` as of ${escapeHtml(report.snapshotLabel)}` : ''}</figcaption>
+  </figure>` : ''}
+
+  <h2>Current milestone</h2>
+  ${popup}
+
+  <h2>Schedule status</h2>
+  <ul class="summary">${report.statusCounts.map(s => `
+    <li><span class="swatch" style="background:${statusColor(s.status)}"></span>${escapeHtml(s.label)}: <strong>${s.count}</strong></li>`).join('')}
+  </ul>
+
+  <h2>Progress</h2>
+  <table>
+    <thead><tr><th>Member</th><th>Fab End</th><th>Erec End</th><th>Status</th></tr></thead>
+    <tbody>${report.rows.map(row => `
+      <tr><td>${escapeHtml(row.member)}</td>${eventCell(row.fab, 'fab')}${eventCell(row.erec, 'erec')}${statusCell(row.status, row.statusLabel, [row.statusLabel, row.variance].filter(Boolean).join(' '))}</tr>`).join('')}
+    </tbody>
+  </table>
+
+  <h2>Completed milestones</h2>
+  ${milestoneList(report.completed, 'No milestones completed yet')}
+
+  <h2>Upcoming milestones</h2>
+  ${milestoneList(report.upcoming, 'No open milestones')}
+
+  <footer>Generated by 4D Voyager on ${escapeHtml(report.reportDate)}</footer>
+</main>
+</body>
+</html>
+`;
+}
@@ -0,0 +1,236 @@
+import * as THREE from 'three';
+import { tryParseDate } from '../shared/dates.mjs';
+import { getMemberVariance, VARIANCE_STATUS, VARIANCE_COLORS } from '../shared/schedule-variance.mjs';
+
+// Schedule-driven 4D on a single federated model.
+//
+// schedule.json may be either the legacy array of members (one GLB per step)
+// or an object that names one full model and maps members to its elements:
+//
+//   {
+//     "federatedModel": "FromTeklaStructures.glb",
+//     "members": [
+//       {
+//         "member": "Level 1 columns",
+//         "elements": { "names": ["C1*"], "tags": ["L1"], "guids": ["2O2Fr$t4X7Zf8NOew3FLOH"] },
+//         "fabricationCompletion": { "date": "10-02-2026" },
+//         "erectionCompletion": { "date": "10-20-2026" }
+//       }
+//     ]
+//   }
+//
+// A bare array for `elements` is matched against names, tags and GUIDs alike.
+// Members without `elements` (every legacy per-snapshot schedule) fall back to
+// their `member` name, matched against node names and tags: a member
+// "Phase 03A" finds nodes of that name or with that value in a tag key such
+// as PHASE.
+
+export const STATUS = {
+  NOT_STARTED: 'not-started',
+  FABRICATED: 'fabricated',
+  ERECTED: 'erected'
+};
+
+export const STATUS_COLORS = {
+  [STATUS.FABRICATED]: 0x3b82f6
+};
+
+const GUID_KEYS = ['GUID', 'guid', 'Guid', 'IfcGUID', 'ifcGuid', 'GlobalId', 'globalId'];
+const TAG_KEYS = [
+  'tag', 'Tag', 'tags', 'Tags', 'mark', 'assemblyMark', 'ASSEMBLY_POS',
+  'phase', 'Phase', 'PHASE', 'sequence', 'Sequence', 'SEQUENCE'
+];
+
+// Returns { federatedModel, members } for either schedule.json shape.
+export function normalizeSchedule(raw) {
+  if (Array.isArray(raw)) return { federatedModel: null, members: raw };
+  if (raw && typeof raw === 'object' && Array.isArray(raw.members)) {
+    return { federatedModel: raw.federatedModel || null, members: raw.members };
+  }
+  throw new Error('schedule.json must be an array of members or an object with a "members" array');
+}
+
+// Unique, sorted event dates: one slider step per date.
+export function buildScheduleSteps(members) {
+  const byTime = new Map();
+  members.forEach(item => {
+    [item.fabricationCompletion, item.erectionCompletion].forEach(ev => {
+      const time = tryParseDate(ev && ev.date);
+      if (Number.isFinite(time) && !byTime.has(time)) byTime.set(time, ev.date);
+    });
+  });
+  return [...byTime.entries()].sort((a, b) => a[0] - b[0]).map(([time, date]) => ({ time, date }));
+}
+
+function normalizeSelectors(item) {
+  const { elements } = item;
+  if (elements == null && item.member) {
+    // GLTFLoader sanitizes node names, so "Anchor Bolt" may arrive as "Anchor_Bolt"
+    const names = [item.member, THREE.PropertyBinding.sanitizeNodeName(String(item.member))];
+    return { names, tags: [item.member], guids: [] };
+  }
+  if (Array.isArray(elements)) return { names: elements, tags: elements, guids: elements };
+  return {
+    names: (elements && elements.names) || [],
+    tags: (elements && elements.tags) || [],
+    guids: (elements && elements.guids) || []
+  };
+}
+
+// Selector -> predicate; `*` acts as a wildcard, comparison is case-insensitive.
+function compileMatcher(patterns) {
+  const exact = new Set();
+  const wildcards = [];
+  patterns.forEach(p => {
+    const value = String(p).toLowerCase();
+    if (value.includes('*')) {
+      const escaped = value.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+      wildcards.push(new RegExp(`^${escaped}$`));
+    } else {
+      exact.add(value);
+    }
+  });
+  return (candidate) => {
+    if (candidate == null || candidate === '') return false;
+    const value = String(candidate).toLowerCase();
+    return exact.has(value) || wildcards.some(re => re.test(value));
+  };
+}
+
+function getNodeTags(node) {
+  const tags = [];
+  TAG_KEYS.forEach(key => {
+    const value = node.userData[key];
+    if (Array.isArray(value)) tags.push(...value);
+    else if (typeof value === 'string') tags.push(...value.split(',').map(t => t.trim()));
+    else if (value != null) tags.push(value);
+  });
+  return tags;
+}
+
+function nodeMatches(node, matchers) {
+  // GLTFLoader sanitizes node names (spaces -> underscores), so try both forms
+  const names = [node.name, node.userData.name, THREE.PropertyBinding.sanitizeNodeName(node.name || '')];
+  if (names.some(matchers.name)) return true;
+  if (GUID_KEYS.some(key => matchers.guid(node.userData[key]))) return true;
+  return getNodeTags(node).some(matchers.tag);
+}
+
+const compiledCache = new WeakMap();
+function compileMembers(members) {
+  let compiled = compiledCache.get(members);
+  if (!compiled) {
+    compiled = members.map(item => {
+      const selectors = normalizeSelectors(item);
+      return {
+        name: compileMatcher(selectors.names),
+        tag: compileMatcher(selectors.tags),
+        guid: compileMatcher(selectors.guids)
+      };
+    });
+    compiledCache.set(members, compiled);
+  }
+  return compiled;
+}
+
+/**
+ * Resolve every member's selectors against the federated model.
+ * @returns {Map<number, THREE.Mesh[]>} member index -> meshes
+ */
+export function indexMemberElements(model, members) {
+  const compiled = compileMembers(members);
+  const result = new Map(members.map((_, i) => [i, []]));
+
+  const visit = (node, owners) => {
+    const matched = compiled
+      .map((matchers, i) => (nodeMatches(node, matchers) ? i : -1))
+      .filter(i => i >= 0);
+    const nextOwners = matched.length ? matched : owners;
+    if (node.isMesh) nextOwners.forEach(i => result.get(i).push(node));
+    node.children.forEach(child => visit(child, nextOwners));
+  };
+  model.children.forEach(child => visit(child, []));
+  return result;
+}
+
+export function getMemberStatus(item, asOfTime) {
+  const erected = tryParseDate(item.erectionCompletion && item.erectionCompletion.date);
+  if (Number.isFinite(erected) && erected <= asOfTime) return STATUS.ERECTED;
+  const fabricated = tryParseDate(item.fabricationCompletion && item.fabricationCompletion.date);
+  if (Number.isFinite(fabricated) && fabricated <= asOfTime) return STATUS.FABRICATED;
+  return STATUS.NOT_STARTED;
+}
+
+const statusMaterials = new Map();
+function getStatusMaterial(status) {
+  if (!statusMaterials.has(status)) {
+    statusMaterials.set(status, new THREE.MeshStandardMaterial({
+      color: STATUS_COLORS[status],
+      roughness: 0.7,
+      metalness: 0.1,
+      transparent: true,
+      opacity: 0.6
+    }));
+  }
+  return statusMaterials.get(status);
+}
+
+/**
+ * Show the federated model as of `asOfTime`: not-started members are hidden,
+ * fabricated ones tinted, erected ones drawn with their own materials.
+ * Elements not referenced by any member are left untouched.
+ * @returns {Record<string, number>} member count per status
+ */
+export function applyScheduleState(memberElements, members, asOfTime) {
+  const counts = { [STATUS.NOT_STARTED]: 0, [STATUS.FABRICATED]: 0, [STATUS.ERECTED]: 0 };
+  members.forEach((item, i) => {
+    const status = getMemberStatus(item, asOfTime);
+    counts[status]++;
+    (memberElements.get(i) || []).forEach(mesh => {
+      if (!mesh.userData.__scheduleMaterial) mesh.userData.__scheduleMaterial = mesh.material;
+      mesh.visible = status !== STATUS.NOT_STARTED;
+      mesh.material = status === STATUS.FABRICATED ? getStatusMaterial(status) : mesh.userData.__scheduleMaterial;
+    });
+  });
+  return counts;
+}
+
+const varianceMaterials = new Map();
+function getVarianceMaterial(status) {
+  if (!varianceMaterials.has(status)) {
+    varianceMaterials.set(status, new THREE.MeshStandardMaterial({
+      color: VARIANCE_COLORS[status],
+      roughness: 0.7,
+      metalness: 0.1
+    }));
+  }
+  return varianceMaterials.get(status);
+}
+
+/**
+ * Colour every member's elements by planned-vs-actual status as of `asOfTime`.
+ * Meshes claimed by several members take the worst status (late > ahead > on time).
+ * @returns {{ counts: Record<string, number>, undo: () => void }}
+ */
+export function applyVarianceColors(memberElements, members, asOfTime) {
+  const rank = [VARIANCE_STATUS.NOT_STARTED, VARIANCE_STATUS.ON_TIME, VARIANCE_STATUS.AHEAD, VARIANCE_STATUS.LATE];
+  const counts = Object.fromEntries(rank.map(status => [status, 0]));
+  const meshStatus = new Map();
+  members.forEach((item, i) => {
+    const { status } = getMemberVariance(item, asOfTime);
+    counts[status]++;
+    (memberElements.get(i) || []).forEach(mesh => {
+      const current = meshStatus.get(mesh);
+      if (!current || rank.indexOf(status) > rank.indexOf(current)) meshStatus.set(mesh, status);
+    });
+  });
+  const originals = new Map();
+  meshStatus.forEach((status, mesh) => {
+    originals.set(mesh, mesh.material);
+    mesh.material = getVarianceMaterial(status);
+  });
+  return {
+    counts,
+    undo: () => originals.forEach((material, mesh) => { mesh.material = material; })
+  };
+}
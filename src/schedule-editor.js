@@ -0,0 +1,246 @@
+import { parseDate, tryParseDate, toIsoDay, toScheduleDate } from '../shared/dates.mjs';
+import { validateScheduleMembers, formatProblem, EVENT_FIELDS } from '../shared/schedule-validation.mjs';
+import { createImportPanel } from './schedule-import-panel.js';
+
+// Edit mode for the schedule: add, remove and reorder members, pick dates,
+// actual dates, notes and the linked GLB, with validation on every change.
+// Members can also be imported from MS Project XML, P6 XER or CSV.
+// Works on a copy; `onSave` receives the edited members. Fields the editor does
+// not show (baseline, files, elements...) are carried through unchanged.
+
+function el(tag, className, parent) {
+  const node = document.createElement(tag);
+  if (className) node.className = className;
+  if (parent) parent.appendChild(node);
+  return node;
+}
+
+// schedule.json date -> <input type="date"> value
+function toInputDate(value) {
+  const day = tryParseDate(value);
+  return Number.isFinite(day) ? toIsoDay(day) : '';
+}
+
+function emptyMember() {
+  return {
+    member: '',
+    fabricationCompletion: { date: '', note: '' },
+    erectionCompletion: { date: '', note: '' }
+  };
+}
+
+/**
+ * @param {HTMLElement} rootEl  dialog element; shown with the `visible` class
+ * @param {{ onSave: (members: object[]) => void }} options
+ */
+export function createScheduleEditor(rootEl, { onSave }) {
+  rootEl.innerHTML = '';
+  const header = el('div', 'editor-header', rootEl);
+  el('h2', null, header).textContent = 'Edit schedule';
+  const actions = el('div', 'editor-actions', header);
+  const addBtn = el('button', 'editor-btn', actions);
+  addBtn.textContent = '＋ Add member';
+  const importBtn = el('button', 'editor-btn', actions);
+  importBtn.textContent = 'Import…';
+  importBtn.title = 'Replace the members from an MS Project XML, P6 XER or CSV export';
+  const importInput = el('input', null, actions);
+  importInput.type = 'file';
+  importInput.accept = '.xml,.xer,.csv';
+  importInput.hidden = true;
+  const baselineBtn = el('button', 'editor-btn', actions);
+  baselineBtn.textContent = 'Set baseline';
+  baselineBtn.title = 'Copy every current date into its baseline';
+  const saveBtn = el('button', 'editor-btn primary', actions);
+  saveBtn.textContent = 'Save schedule.json';
+  const closeBtn = el('button', 'editor-btn', actions);
+  closeBtn.textContent = 'Close';
+
+  const problemsEl = el('ul', 'editor-problems', rootEl);
+  const tableWrap = el('div', 'editor-table', rootEl);
+  const table = el('table', null, tableWrap);
+  const headRow = el('tr', null, el('thead', null, table));
+  ['#', 'Member', ...Object.values(EVENT_FIELDS), ''].forEach(text => { el('th', null, headRow).textContent = text; });
+  const tbody = el('tbody', null, table);
+  const importPanel = createImportPanel(el('div', 'schedule-import', rootEl), {
+    onImport: (imported) => {
+      if (members.length && !window.confirm(`Replace the ${members.length} current members with ${imported.length} imported ones?`)) return;
+      members = imported;
+      dirty = true;
+      render();
+    }
+  });
+
+  let members = [];
+  let modelFiles = null;
+  let dirty = false;
+
+  function validate() {
+    const problems = validateScheduleMembers(members, { modelFiles });
+    problemsEl.innerHTML = '';
+    problems.forEach(problem => {
+      const li = el('li', problem.level, problemsEl);
+      li.textContent = formatProblem(problem, members);
+    });
+    tbody.querySelectorAll('.invalid').forEach(node => node.classList.remove('invalid'));
+    problems.filter(p => p.level === 'error').forEach(problem => {
+      const row = tbody.children[problem.index];
+      const field = row && (row.querySelector(`[data-field="${problem.field}"]`) ||
+        row.querySelector(`[data-field^="${problem.field.split('.')[0]}"]`));
+      if (field) field.classList.add('invalid');
+    });
+    const errors = problems.filter(p => p.level === 'error').length;
+    saveBtn.disabled = errors > 0;
+    saveBtn.title = errors ? `Fix ${errors} error${errors === 1 ? '' : 's'} before saving` : '';
+    return problems;
+  }
+
+  function changed() {
+    dirty = true;
+    validate();
+  }
+
+  function dateInput(parent, ev, key, field, title) {
+    const input = el('input', null, parent);
+    input.type = 'date';
+    input.title = title;
+    input.dataset.field = field;
+    input.value = toInputDate(ev[key]);
+    // Keep unparseable originals visible until they are replaced
+    if (ev[key] && !input.value) input.placeholder = ev[key];
+    input.addEventListener('change', () => {
+      if (input.value) ev[key] = toScheduleDate(parseDate(input.value));
+      else if (key === 'date') ev.date = '';
+      else delete ev[key];
+      changed();
+    });
+    return input;
+  }
+
+  function fileSelect(parent, ev, field) {
+    const select = el('select', null, parent);
+    select.dataset.field = field;
+    select.title = 'Linked GLB (models.json)';
+    const options = ['', ...(modelFiles || [])];
+    if (ev.file && !options.includes(ev.file)) options.push(ev.file);
+    options.forEach(name => {
+      const option = el('option', null, select);
+      option.value = name;
+      option.textContent = !name ? '— no file —' : modelFiles && !modelFiles.includes(name) ? `${name} (missing)` : name;
+    });
+    select.value = ev.file || '';
+    select.addEventListener('change', () => {
+      if (select.value) ev.file = select.value;
+      else delete ev.file;
+      changed();
+    });
+  }
+
+  function renderEventCell(tr, item, key) {
+    const td = el('td', 'editor-event', tr);
+    if (!item[key] || typeof item[key] !== 'object') item[key] = { date: '', note: '' };
+    const ev = item[key];
+    const dates = el('div', 'editor-dates', td);
+    dateInput(dates, ev, 'date', `${key}.date`, 'Scheduled date');
+    dateInput(dates, ev, 'actual', `${key}.actual`, 'Actual completion (leave empty while open)');
+    if (modelFiles) fileSelect(td, ev, `${key}.file`);
+    const note = el('input', 'editor-note', td);
+    note.placeholder = 'Note';
+    note.value = ev.note || '';
+    note.addEventListener('input', () => {
+      ev.note = note.value;
+      changed();
+    });
+  }
+
+  function move(index, delta) {
+    const target = index + delta;
+    if (target < 0 || target >= members.length) return;
+    [members[index], members[target]] = [members[target], members[index]];
+    dirty = true;
+    render();
+  }
+
+  function render() {
+    tbody.innerHTML = '';
+    members.forEach((item, index) => {
+      const tr = el('tr', null, tbody);
+      el('td', 'editor-index', tr).textContent = String(index + 1);
+      const nameTd = el('td', null, tr);
+      const name = el('input', 'editor-name', nameTd);
+      name.dataset.field = 'member';
+      name.value = item.member || '';
+      name.addEventListener('input', () => {
+        item.member = name.value;
+        changed();
+      });
+      Object.keys(EVENT_FIELDS).forEach(key => renderEventCell(tr, item, key));
+      const rowActions = el('td', 'editor-row-actions', tr);
+      [['↑', 'Move up', () => move(index, -1)], ['↓', 'Move down', () => move(index, 1)], ['✕', 'Remove member', () => {
+        if (!window.confirm(`Remove "${item.member || `row ${index + 1}`}"?`)) return;
+        members.splice(index, 1);
+        dirty = true;
+        render();
+      }]].forEach(([text, title, handler]) => {
+        const btn = el('button', 'editor-btn small', rowActions);
+        btn.textContent = text;
+        btn.title = title;
+        btn.addEventListener('click', handler);
+      });
+    });
+    validate();
+  }
+
+  function close() {
+    if (dirty && !window.confirm('Discard your schedule changes?')) return;
+    rootEl.classList.remove('visible');
+  }
+
+  addBtn.addEventListener('click', () => {
+    members.push(emptyMember());
+    dirty = true;
+    render();
+    const names = tbody.querySelectorAll('.editor-name');
+    names[names.length - 1].focus();
+  });
+  importBtn.addEventListener('click', () => importInput.click());
+  importInput.addEventListener('change', async () => {
+    const file = importInput.files[0];
+    importInput.value = '';
+    if (!file) return;
+    try {
+      importPanel.open(file.name, await file.text());
+    } catch (err) {
+      alert(`Could not import ${file.name}: ${err.message}`);
+    }
+  });
+  baselineBtn.addEventListener('click', () => {
+    if (!window.confirm('Replace every baseline with the current scheduled dates?')) return;
+    members.forEach(item => Object.keys(EVENT_FIELDS).forEach(key => {
+      if (item[key] && item[key].date) item[key].baseline = item[key].date;
+    }));
+    changed();
+  });
+  saveBtn.addEventListener('click', () => {
+    if (validate().some(p => p.level === 'error')) return;
+    onSave(JSON.parse(JSON.stringify(members)));
+    dirty = false;
+    rootEl.classList.remove('visible');
+  });
+  closeBtn.addEventListener('click', close);
+
+  return {
+    /**
+     * @param {object[]} scheduleMembers  copied, never modified
+     * @param {string[]|null} files  GLB names offered for linking; null hides the file pickers
+     */
+    open(scheduleMembers, files) {
+      members = JSON.parse(JSON.stringify(scheduleMembers));
+      modelFiles = files;
+      dirty = false;
+      render();
+      rootEl.classList.add('visible');
+    },
+    isOpen: () => rootEl.classList.contains('visible'),
+    close
+  };
+}
@@ -0,0 +1,128 @@
+import {
+  IMPORT_FORMAT_LABELS, detectImportFormat, parseActivities,
+  listActivityCodes, suggestMapping, buildScheduleFromActivities
+} from '../shared/schedule-import.mjs';
+
+// Mapping step of a schedule import: lists the activity codes found in the
+// file, lets the user mark each as fabrication, erection or ignored, and
+// previews the members that would be created.
+
+const ROLES = [['', 'Ignore'], ['fabrication', 'Fabrication'], ['erection', 'Erection']];
+
+function el(tag, className, parent) {
+  const node = document.createElement(tag);
+  if (className) node.className = className;
+  if (parent) parent.appendChild(node);
+  return node;
+}
+
+/**
+ * @param {HTMLElement} rootEl  emptied and filled with the panel; shown with the `visible` class
+ * @param {{ onImport: (members: object[]) => void }} options
+ */
+export function createImportPanel(rootEl, { onImport }) {
+  rootEl.innerHTML = '';
+  const header = el('div', 'editor-header', rootEl);
+  const title = el('h2', null, header);
+  const actions = el('div', 'editor-actions', header);
+  const memberSelect = el('select', null, actions);
+  memberSelect.title = 'Name members by';
+  const importBtn = el('button', 'editor-btn primary', actions);
+  const cancelBtn = el('button', 'editor-btn', actions);
+  cancelBtn.textContent = 'Cancel';
+
+  const summaryEl = el('ul', 'editor-problems', rootEl);
+  const tableWrap = el('div', 'editor-table', rootEl);
+  const table = el('table', null, tableWrap);
+  const headRow = el('tr', null, el('thead', null, table));
+  ['Code', 'Activities', 'Counts as'].forEach(text => { el('th', null, headRow).textContent = text; });
+  const tbody = el('tbody', null, table);
+
+  let activities = [];
+  let roles = new Map();
+  let result = null;
+
+  function currentMapping() {
+    const mapping = { fabrication: [], erection: [] };
+    roles.forEach((role, code) => { if (role) mapping[role].push(code); });
+    if (memberSelect.value) mapping.member = memberSelect.value;
+    return mapping;
+  }
+
+  function preview() {
+    summaryEl.innerHTML = '';
+    const mapping = currentMapping();
+    result = null;
+    if (mapping.fabrication.length || mapping.erection.length) result = buildScheduleFromActivities(activities, mapping);
+    const lines = result
+      ? [[`${result.members.length} members from ${activities.length - result.skipped.length} of ${activities.length} activities`, ''],
+        ...result.warnings.map(w => [w, 'warning'])]
+      : [['Mark at least one code as fabrication or erection', 'warning']];
+    lines.forEach(([text, level]) => {
+      const li = el('li', level, summaryEl);
+      li.textContent = text;
+    });
+    importBtn.disabled = !result || !result.members.length;
+    importBtn.textContent = result ? `Import ${result.members.length} members` : 'Import';
+  }
+
+  function render(codes) {
+    tbody.innerHTML = '';
+    codes.forEach(({ code, count, description }) => {
+      const tr = el('tr', null, tbody);
+      const codeTd = el('td', null, tr);
+      codeTd.textContent = code;
+      if (description) codeTd.title = description;
+      el('td', null, tr).textContent = String(count);
+      const select = el('select', null, el('td', null, tr));
+      ROLES.forEach(([value, label]) => {
+        const option = el('option', null, select);
+        option.value = value;
+        option.textContent = label;
+      });
+      select.value = roles.get(code) || '';
+      select.addEventListener('change', () => {
+        roles.set(code, select.value);
+        preview();
+      });
+    });
+  }
+
+  importBtn.addEventListener('click', () => {
+    if (!result) return;
+    rootEl.classList.remove('visible');
+    onImport(result.members);
+  });
+  cancelBtn.addEventListener('click', () => rootEl.classList.remove('visible'));
+  memberSelect.addEventListener('change', preview);
+
+  return {
+    /**
+     * Parse a planning export and show the mapping step. Throws when the file cannot be read.
+     * @param {string} filename
+     * @param {string} text
+     */
+    open(filename, text) {
+      const format = detectImportFormat(filename, text);
+      activities = parseActivities(text, format);
+      const codes = listActivityCodes(activities);
+      const suggested = suggestMapping(codes);
+      roles = new Map(codes.map(({ code }) => [code,
+        suggested.fabrication.includes(code) ? 'fabrication' : suggested.erection.includes(code) ? 'erection' : '']));
+      title.textContent = `Import ${IMPORT_FORMAT_LABELS[format]}: ${filename}`;
+
+      memberSelect.innerHTML = '';
+      const types = [...new Set(activities.flatMap(a => a.codes.map(c => c.type)).filter(t => t && t !== 'ID'))];
+      [['', format === 'csv' ? 'Member column' : 'WBS / summary task'], ...types.map(t => [`code:${t}`, `Code: ${t}`])]
+        .forEach(([value, label]) => {
+          const option = el('option', null, memberSelect);
+          option.value = value;
+          option.textContent = label;
+        });
+
+      render(codes);
+      preview();
+      rootEl.classList.add('visible');
+    }
+  };
+}
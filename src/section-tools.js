@@ -0,0 +1,376 @@
+import * as THREE from 'three';
+import { isDiffGhost } from './snapshot-diff.js';
+
+// Section planes on the X/Y/Z axes and a six-sided clipping box.
+//
+// Planes are defined in the frame of `parent` (the group holding every
+// snapshot), so cuts turn with the model during auto-rotate and apply to
+// whichever snapshot is shown. Cut faces are capped with the stencil technique
+// from three.js' webgl_clipping_stencil example: per plane, the shown model is
+// drawn into the stencil buffer (clipped by that plane only) and a cap quad is
+// drawn where the count is odd, clipped by the other planes.
+
+export const SECTION_AXES = ['x', 'y', 'z'];
+
+const CAP_COLOR = 0x94a3b8;
+const HANDLE_COLOR = 0xf97316;
+const BOX_COLOR = 0xf97316;
+// Smallest clipping-box side, as a fraction of the model size
+const MIN_BOX_FRACTION = 0.01;
+
+const AXIS_VECTORS = {
+  x: new THREE.Vector3(1, 0, 0),
+  y: new THREE.Vector3(0, 1, 0),
+  z: new THREE.Vector3(0, 0, 1)
+};
+
+function isShown(object) {
+  for (let node = object; node; node = node.parent) {
+    if (!node.visible) return false;
+  }
+  return true;
+}
+
+function forEachMaterial(mesh, fn) {
+  if (Array.isArray(mesh.material)) mesh.material.forEach(fn);
+  else if (mesh.material) fn(mesh.material);
+}
+
+/**
+ * @param {object} options
+ * @param {THREE.Object3D} options.parent  group holding the snapshots
+ * @param {THREE.Camera} options.camera
+ * @param {{ enabled: boolean }} options.controls  disabled while a box handle is dragged
+ * @param {HTMLElement} options.domElement  the WebGL canvas
+ * @param {() => void} [options.onChange]  called after any clip state change
+ */
+export function createSectionTools({ parent, camera, controls, domElement, onChange = () => {} }) {
+  const bounds = new THREE.Box3(new THREE.Vector3(-1, -1, -1), new THREE.Vector3(1, 1, 1));
+  const sections = {};
+  SECTION_AXES.forEach(axis => { sections[axis] = { enabled: false, offset: 0.5, flip: false }; });
+  const box = { enabled: false, min: bounds.min.clone(), max: bounds.max.clone() };
+  let capsEnabled = true;
+
+  // Active planes: local definitions and their world-space copies (shared with materials)
+  let active = []; // { id, local: THREE.Plane, world: THREE.Plane }
+  const clippingPlanes = [];
+
+  const helpers = new THREE.Group();
+  helpers.name = '__section_helpers';
+  parent.add(helpers);
+  const capGroup = new THREE.Group();
+  capGroup.name = '__section_caps';
+  parent.add(capGroup);
+
+  let stencilModel = null;
+  let stencilPairs = []; // [stencilMesh, sourceMesh]
+  let caps = [];
+
+  const boxLines = new THREE.LineSegments(
+    new THREE.EdgesGeometry(new THREE.BoxGeometry(1, 1, 1)),
+    new THREE.LineBasicMaterial({ color: BOX_COLOR, depthTest: false, transparent: true })
+  );
+  boxLines.renderOrder = 3;
+  boxLines.visible = false;
+  helpers.add(boxLines);
+
+  const handleMaterial = new THREE.MeshBasicMaterial({ color: HANDLE_COLOR, depthTest: false, transparent: true });
+  const handleGeometry = new THREE.SphereGeometry(1, 16, 12);
+  // One handle per box face: axis plus which side (min or max) it moves
+  const handles = [];
+  SECTION_AXES.forEach(axis => {
+    ['min', 'max'].forEach(side => {
+      const handle = new THREE.Mesh(handleGeometry, handleMaterial);
+      handle.renderOrder = 4;
+      handle.userData.boxFace = { axis, side };
+      handle.visible = false;
+      helpers.add(handle);
+      handles.push(handle);
+    });
+  });
+
+  function getSectionValue(axis) {
+    const s = sections[axis];
+    return THREE.MathUtils.lerp(bounds.min[axis], bounds.max[axis], s.offset);
+  }
+
+  // Planes keep the side where normal · p + constant >= 0
+  function buildLocalPlanes() {
+    const planes = [];
+    SECTION_AXES.forEach(axis => {
+      const s = sections[axis];
+      if (!s.enabled) return;
+      const value = getSectionValue(axis);
+      const normal = AXIS_VECTORS[axis].clone().multiplyScalar(s.flip ? 1 : -1);
+      planes.push({ id: `section-${axis}`, local: new THREE.Plane(normal, s.flip ? -value : value) });
+    });
+    if (box.enabled) {
+      SECTION_AXES.forEach(axis => {
+        planes.push({ id: `box-${axis}-min`, local: new THREE.Plane(AXIS_VECTORS[axis].clone(), -box.min[axis]) });
+        planes.push({ id: `box-${axis}-max`, local: new THREE.Plane(AXIS_VECTORS[axis].clone().negate(), box.max[axis]) });
+      });
+    }
+    return planes;
+  }
+
+  function updateWorldPlanes() {
+    parent.updateMatrixWorld();
+    active.forEach(p => p.world.copy(p.local).applyMatrix4(parent.matrixWorld));
+  }
+
+  function disposeStencil() {
+    stencilPairs.forEach(([stencil]) => stencil.parent && stencil.parent.remove(stencil));
+    stencilPairs = [];
+    if (caps.length) caps[0].mesh.geometry.dispose();
+    caps.forEach(cap => {
+      capGroup.remove(cap.mesh);
+      cap.mesh.material.dispose();
+      cap.stencilMaterial.dispose();
+    });
+    caps = [];
+  }
+
+  function positionCap(cap) {
+    const normal = cap.plane.local.normal;
+    cap.mesh.quaternion.setFromUnitVectors(new THREE.Vector3(0, 0, 1), normal);
+    cap.mesh.position.copy(normal).multiplyScalar(-cap.plane.local.constant);
+  }
+
+  // Stencil copies of `stencilModel` and one cap quad per active plane
+  function buildStencil() {
+    disposeStencil();
+    if (!stencilModel || !capsEnabled || !active.length) return;
+    const size = bounds.getSize(new THREE.Vector3()).length() * 2;
+    const capGeometry = new THREE.PlaneGeometry(size, size);
+    parent.updateMatrixWorld(true);
+    const toParent = parent.matrixWorld.clone().invert();
+    const sources = [];
+    stencilModel.traverse(child => {
+      if (child.isMesh && !isDiffGhost(child)) sources.push(child);
+    });
+
+    active.forEach((plane, i) => {
+      const stencilMaterial = new THREE.MeshBasicMaterial({
+        depthWrite: false,
+        depthTest: false,
+        colorWrite: false,
+        side: THREE.DoubleSide,
+        stencilWrite: true,
+        stencilFunc: THREE.AlwaysStencilFunc,
+        stencilFail: THREE.InvertStencilOp,
+        stencilZFail: THREE.InvertStencilOp,
+        stencilZPass: THREE.InvertStencilOp,
+        clippingPlanes: [plane.world]
+      });
+      sources.forEach(source => {
+        const stencil = new THREE.Mesh(source.geometry, stencilMaterial);
+        stencil.matrixAutoUpdate = false;
+        stencil.matrix.multiplyMatrices(toParent, source.matrixWorld);
+        stencil.renderOrder = i * 2 + 1;
+        stencil.raycast = () => {};
+        stencil.visible = isShown(source);
+        capGroup.add(stencil);
+        stencilPairs.push([stencil, source]);
+      });
+
+      const capMaterial = new THREE.MeshStandardMaterial({
+        color: CAP_COLOR,
+        roughness: 0.8,
+        metalness: 0.1,
+        side: THREE.DoubleSide,
+        stencilWrite: true,
+        stencilRef: 0,
+        stencilFunc: THREE.NotEqualStencilFunc,
+        stencilFail: THREE.ReplaceStencilOp,
+        stencilZFail: THREE.ReplaceStencilOp,
+        stencilZPass: THREE.ReplaceStencilOp,
+        clippingPlanes: active.filter(other => other !== plane).map(other => other.world)
+      });
+      const mesh = new THREE.Mesh(capGeometry, capMaterial);
+      mesh.renderOrder = i * 2 + 2;
+      mesh.raycast = () => {};
+      capGroup.add(mesh);
+      const cap = { plane, mesh, stencilMaterial };
+      positionCap(cap);
+      caps.push(cap);
+    });
+  }
+
+  function updateBoxHelpers() {
+    const center = box.min.clone().add(box.max).multiplyScalar(0.5);
+    boxLines.position.copy(center);
+    boxLines.scale.copy(box.max.clone().sub(box.min));
+    boxLines.visible = box.enabled;
+    const radius = bounds.getSize(new THREE.Vector3()).length() * 0.012;
+    handles.forEach(handle => {
+      const { axis, side } = handle.userData.boxFace;
+      handle.position.copy(center);
+      handle.position[axis] = box[side][axis];
+      handle.scale.setScalar(radius);
+      handle.visible = box.enabled;
+    });
+  }
+
+  // Rebuild planes after a change. Moving an existing plane only updates it in
+  // place; enabling or disabling one rebuilds the stencil copies.
+  function refresh() {
+    const next = buildLocalPlanes();
+    const sameSet = next.length === active.length && next.every((p, i) => p.id === active[i].id);
+    if (sameSet) {
+      next.forEach((p, i) => active[i].local.copy(p.local));
+      caps.forEach(positionCap);
+    } else {
+      active = next.map(p => ({ ...p, world: new THREE.Plane() }));
+      clippingPlanes.length = 0;
+      active.forEach(p => clippingPlanes.push(p.world));
+    }
+    updateWorldPlanes();
+    if (!sameSet) buildStencil();
+    updateBoxHelpers();
+    onChange();
+  }
+
+  // === Box handle dragging ===
+  const raycaster = new THREE.Raycaster();
+  const pointer = new THREE.Vector2();
+  let drag = null; // { axis, side }
+
+  function setRay(event) {
+    const rect = domElement.getBoundingClientRect();
+    pointer.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
+    pointer.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
+    raycaster.setFromCamera(pointer, camera);
+  }
+
+  // Local coordinate along `axis` of the point on the axis line nearest the pointer ray
+  function axisValueFromRay(axis) {
+    const origin = parent.localToWorld(box.min.clone().add(box.max).multiplyScalar(0.5));
+    const dir = AXIS_VECTORS[axis].clone().transformDirection(parent.matrixWorld);
+    const ray = raycaster.ray;
+    const w = origin.clone().sub(ray.origin);
+    const b = dir.dot(ray.direction);
+    const denom = 1 - b * b;
+    if (Math.abs(denom) < 1e-6) return null;
+    const s = (b * ray.direction.dot(w) - dir.dot(w)) / denom;
+    return parent.worldToLocal(origin.addScaledVector(dir, s))[axis];
+  }
+
+  function onPointerDown(event) {
+    if (!box.enabled || event.button !== 0) return;
+    setRay(event);
+    const hit = raycaster.intersectObjects(handles, false)[0];
+    if (!hit) return;
+    // Keep OrbitControls and element picking from seeing this press
+    event.stopImmediatePropagation();
+    drag = hit.object.userData.boxFace;
+    controls.enabled = false;
+    domElement.setPointerCapture(event.pointerId);
+  }
+
+  function onPointerMove(event) {
+    if (!drag) return;
+    setRay(event);
+    const value = axisValueFromRay(drag.axis);
+    if (value === null) return;
+    const { axis, side } = drag;
+    const gap = (bounds.max[axis] - bounds.min[axis]) * MIN_BOX_FRACTION;
+    box[side][axis] = side === 'min'
+      ? THREE.MathUtils.clamp(value, bounds.min[axis] - gap, box.max[axis] - gap)
+      : THREE.MathUtils.clamp(value, box.min[axis] + gap, bounds.max[axis] + gap);
+    refresh();
+  }
+
+  function onPointerUp(event) {
+    if (!drag) return;
+    drag = null;
+    controls.enabled = true;
+    if (domElement.hasPointerCapture(event.pointerId)) domElement.releasePointerCapture(event.pointerId);
+  }
+
+  domElement.addEventListener('pointerdown', onPointerDown, { capture: true });
+  domElement.addEventListener('pointermove', onPointerMove);
+  domElement.addEventListener('pointerup', onPointerUp);
+
+  return {
+    // Shared array of world-space planes; the same instance is set on every clipped material
+    getClippingPlanes: () => clippingPlanes,
+    isActive: () => active.length > 0,
+    isDragging: () => !!drag,
+
+    // Fit section sliders and the box to a model's bounds (in `parent`'s frame)
+    setBounds(nextBounds) {
+      bounds.copy(nextBounds);
+      box.min.copy(nextBounds.min);
+      box.max.copy(nextBounds.max);
+      refresh();
+    },
+
+    setSection(axis, changes) {
+      Object.assign(sections[axis], changes);
+      refresh();
+    },
+    getSection: (axis) => ({ ...sections[axis] }),
+
+    setBoxEnabled(enabled) {
+      box.enabled = enabled;
+      refresh();
+    },
+    resetBox() {
+      box.min.copy(bounds.min);
+      box.max.copy(bounds.max);
+      refresh();
+    },
+
+    setCapsEnabled(enabled) {
+      capsEnabled = enabled;
+      buildStencil();
+      onChange();
+    },
+
+    // Plain-object clip state, e.g. for saved viewpoints
+    getState() {
+      return {
+        sections: Object.fromEntries(SECTION_AXES.map(axis => [axis, { ...sections[axis] }])),
+        box: { enabled: box.enabled, min: box.min.toArray(), max: box.max.toArray() },
+        caps: capsEnabled
+      };
+    },
+    setState(state) {
+      if (!state) return;
+      SECTION_AXES.forEach(axis => {
+        if (state.sections && state.sections[axis]) Object.assign(sections[axis], state.sections[axis]);
+      });
+      if (state.box) {
+        box.enabled = !!state.box.enabled;
+        if (Array.isArray(state.box.min)) box.min.fromArray(state.box.min);
+        if (Array.isArray(state.box.max)) box.max.fromArray(state.box.max);
+      }
+      if (typeof state.caps === 'boolean') capsEnabled = state.caps;
+      active = [];
+      refresh();
+    },
+
+    // Point the materials of `model` at the shared plane array
+    applyTo(model) {
+      model.traverse(child => {
+        if (!child.isMesh) return;
+        forEachMaterial(child, material => { material.clippingPlanes = clippingPlanes; });
+      });
+    },
+
+    // The snapshot on screen: its meshes feed the stencil caps
+    setActiveModel(model) {
+      if (model !== stencilModel) {
+        stencilModel = model;
+        buildStencil();
+      } else {
+        stencilPairs.forEach(([stencil, source]) => { stencil.visible = isShown(source); });
+      }
+    },
+
+    // Per frame: follow the parent's rotation
+    update() {
+      if (active.length) updateWorldPlanes();
+    }
+  };
+}
@@ -0,0 +1,129 @@
+// Size-bounded LRU cache for loaded snapshot scenes.
+// Entries are kept in insertion order inside a Map; touching an entry re-inserts
+// it so the first key is always the least recently used one.
+
+// Rough GPU footprint of an object: vertex/index buffers plus RGBA textures.
+export function estimateObjectBytes(root) {
+  let bytes = 0;
+  const seenGeometries = new Set();
+  const seenTextures = new Set();
+  root.traverse((child) => {
+    const geometry = child.geometry;
+    if (geometry && !seenGeometries.has(geometry)) {
+      seenGeometries.add(geometry);
+      Object.values(geometry.attributes || {}).forEach(attr => {
+        if (attr && attr.array) bytes += attr.array.byteLength;
+      });
+      if (geometry.index && geometry.index.array) bytes += geometry.index.array.byteLength;
+    }
+    const mats = child.material ? (Array.isArray(child.material) ? child.material : [child.material]) : [];
+    mats.forEach(mat => {
+      Object.values(mat).forEach(value => {
+        if (!value || !value.isTexture || seenTextures.has(value)) return;
+        seenTextures.add(value);
+        const image = value.image;
+        if (image && image.width && image.height) bytes += image.width * image.height * 4;
+      });
+    });
+  });
+  return bytes;
+}
+
+// Release geometries, materials and textures owned by an object tree.
+export function disposeObject(root) {
+  root.traverse((child) => {
+    if (child.geometry) child.geometry.dispose();
+    const mats = child.material ? (Array.isArray(child.material) ? child.material : [child.material]) : [];
+    mats.forEach(mat => {
+      Object.values(mat).forEach(value => {
+        if (value && value.isTexture) value.dispose();
+      });
+      mat.dispose();
+    });
+  });
+}
+
+export class SnapshotCache {
+  /**
+   * @param {object} options
+   * @param {number} options.maxBytes  memory budget for all cached snapshots
+   * @param {(key: string, model: object) => void} [options.onEvict]  called after an entry is dropped
+   */
+  constructor({ maxBytes, onEvict } = {}) {
+    this.maxBytes = maxBytes;
+    this.onEvict = onEvict || null;
+    this.entries = new Map();
+    this.pinned = new Set();
+    this.totalBytes = 0;
+  }
+
+  has(key) {
+    return this.entries.has(key);
+  }
+
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return undefined;
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry.model;
+  }
+
+  /**
+   * Cache a model. An unpinned model that does not fit next to the pinned ones
+   * would be evicted straight away, so it is refused; the caller keeps it.
+   * @returns {boolean} whether the model was cached
+   */
+  set(key, model, bytes = estimateObjectBytes(model)) {
+    if (this.entries.has(key)) this.delete(key);
+    if (!this.pinned.has(key) && !this.hasRoomFor(bytes)) return false;
+    this.entries.set(key, { model, bytes });
+    this.totalBytes += bytes;
+    this.evict(key);
+    return true;
+  }
+
+  bytesOf(key) {
+    const entry = this.entries.get(key);
+    return entry ? entry.bytes : 0;
+  }
+
+  // Whether `bytes` more fit in the budget next to the pinned entries
+  hasRoomFor(bytes) {
+    let pinnedBytes = 0;
+    this.pinned.forEach(key => { pinnedBytes += this.bytesOf(key); });
+    return pinnedBytes + bytes <= this.maxBytes;
+  }
+
+  delete(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return false;
+    this.entries.delete(key);
+    this.totalBytes -= entry.bytes;
+    if (this.onEvict) this.onEvict(key, entry.model);
+    return true;
+  }
+
+  // Pinned keys (the snapshot on screen) are never evicted.
+  setPinned(keys) {
+    this.pinned = new Set(keys);
+  }
+
+  // `keep` is the entry just inserted, which is never the one to go
+  evict(keep = null) {
+    for (const key of [...this.entries.keys()]) {
+      if (this.totalBytes <= this.maxBytes) break;
+      if (this.pinned.has(key) || key === keep) continue;
+      this.delete(key);
+    }
+  }
+
+  clear() {
+    [...this.entries.keys()].forEach(key => this.delete(key));
+    this.pinned.clear();
+  }
+
+  values() {
+    return [...this.entries.values()].map(entry => entry.model);
+  }
+}
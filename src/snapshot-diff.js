@@ -0,0 +1,177 @@
+import * as THREE from 'three';
+
+// Element-level comparison between two snapshot scenes.
+// Elements are matched by the GUID Tekla/IFC writes into glTF `extras`
+// (exposed by GLTFLoader as `userData`), falling back to the node name.
+
+const GHOST_GROUP_NAME = '__diff_ghosts';
+const GUID_KEYS = ['GUID', 'guid', 'Guid', 'IfcGUID', 'ifcGuid', 'GlobalId', 'globalId'];
+
+export const DIFF_COLORS = {
+  added: 0x22c55e,
+  removed: 0xef4444,
+  changed: 0xf59e0b
+};
+
+export function getElementGuid(node) {
+  const data = node && node.userData;
+  if (!data) return null;
+  for (const key of GUID_KEYS) {
+    if (data[key]) return String(data[key]);
+  }
+  return null;
+}
+
+// Removed-element ghosts drawn by applyDiffStyling are not part of the snapshot
+export function isDiffGhost(object) {
+  return !!object.parent && object.parent.name === GHOST_GROUP_NAME;
+}
+
+// Map of element key -> { key, node, meshes, box, vertexCount }.
+// Boxes are expressed in the snapshot's own glTF frame so that per-snapshot
+// centering offsets do not register as movement.
+export function collectElements(model) {
+  model.updateMatrixWorld(true);
+  const toModelFrame = model.matrixWorld.clone().invert();
+  const elements = new Map();
+  const nameCounts = new Map();
+
+  model.traverse((child) => {
+    if (!child.isMesh || isDiffGhost(child)) return;
+    let owner = child;
+    let guid = null;
+    for (let node = child; node && node !== model; node = node.parent) {
+      guid = getElementGuid(node);
+      if (guid) { owner = node; break; }
+    }
+
+    let key;
+    if (guid) {
+      key = `guid:${guid}`;
+    } else {
+      const name = child.name || (child.parent && child.parent !== model ? child.parent.name : '') || 'unnamed';
+      const seen = (nameCounts.get(name) || 0) + 1;
+      nameCounts.set(name, seen);
+      key = seen > 1 ? `name:${name}#${seen}` : `name:${name}`;
+    }
+
+    const meshBox = new THREE.Box3().setFromObject(child).applyMatrix4(toModelFrame);
+    const position = child.geometry && child.geometry.attributes.position;
+    let element = elements.get(key);
+    if (!element) {
+      element = { key, node: owner, meshes: [], box: new THREE.Box3(), vertexCount: 0 };
+      elements.set(key, element);
+    }
+    element.meshes.push(child);
+    element.box.union(meshBox);
+    element.vertexCount += position ? position.count : 0;
+  });
+
+  return elements;
+}
+
+function boxesDiffer(a, b, tolerance) {
+  return Math.abs(a.min.x - b.min.x) > tolerance || Math.abs(a.min.y - b.min.y) > tolerance ||
+    Math.abs(a.min.z - b.min.z) > tolerance || Math.abs(a.max.x - b.max.x) > tolerance ||
+    Math.abs(a.max.y - b.max.y) > tolerance || Math.abs(a.max.z - b.max.z) > tolerance;
+}
+
+/**
+ * Compare two snapshots.
+ * @param {THREE.Object3D} previousModel
+ * @param {THREE.Object3D} currentModel
+ * @returns {{ added: object[], removed: object[], changed: object[], unchangedCount: number }}
+ */
+export function diffSnapshots(previousModel, currentModel) {
+  const before = collectElements(previousModel);
+  const after = collectElements(currentModel);
+
+  // Movement smaller than 0.01% of the model extent is export noise
+  const extent = new THREE.Box3();
+  after.forEach(el => extent.union(el.box));
+  const size = extent.isEmpty() ? 0 : extent.getSize(new THREE.Vector3()).length();
+  const tolerance = Math.max(size * 1e-4, 1e-6);
+
+  const added = [];
+  const changed = [];
+  let unchangedCount = 0;
+  after.forEach((el, key) => {
+    const prev = before.get(key);
+    if (!prev) added.push(el);
+    else if (prev.vertexCount !== el.vertexCount || boxesDiffer(prev.box, el.box, tolerance)) changed.push(el);
+    else unchangedCount++;
+  });
+  const removed = [];
+  before.forEach((el, key) => {
+    if (!after.has(key)) removed.push(el);
+  });
+
+  return { added, removed, changed, unchangedCount };
+}
+
+// Summary pieces, each with the diff kind it counts, e.g. for coloured markup
+export function getDiffSummaryParts(diff) {
+  const parts = [
+    { kind: 'added', text: `+${diff.added.length} members` },
+    { kind: 'removed', text: `-${diff.removed.length}` }
+  ];
+  if (diff.changed.length) parts.push({ kind: 'changed', text: `~${diff.changed.length} changed` });
+  return parts;
+}
+
+export function formatDiffSummary(diff) {
+  return getDiffSummaryParts(diff).map(part => part.text).join(', ');
+}
+
+const tintMaterials = new Map();
+function getTintMaterial(kind) {
+  if (!tintMaterials.has(kind)) {
+    const ghost = kind === 'removed';
+    tintMaterials.set(kind, new THREE.MeshStandardMaterial({
+      color: DIFF_COLORS[kind],
+      roughness: 0.7,
+      metalness: 0.1,
+      transparent: ghost,
+      opacity: ghost ? 0.3 : 1,
+      depthWrite: !ghost
+    }));
+  }
+  return tintMaterials.get(kind);
+}
+
+/**
+ * Tint added/changed elements of `currentModel` and draw removed elements of
+ * `previousModel` as ghosts inside it. Returns a function that undoes everything.
+ * Ghosts share geometry with `previousModel`, so it must stay loaded until undone.
+ */
+export function applyDiffStyling(diff, currentModel, previousModel) {
+  const restored = [];
+  const tint = (el, kind) => {
+    el.meshes.forEach(mesh => {
+      restored.push([mesh, mesh.material]);
+      mesh.material = getTintMaterial(kind);
+    });
+  };
+  diff.added.forEach(el => tint(el, 'added'));
+  diff.changed.forEach(el => tint(el, 'changed'));
+
+  const ghosts = new THREE.Group();
+  ghosts.name = GHOST_GROUP_NAME;
+  previousModel.updateMatrixWorld(true);
+  const toPreviousFrame = previousModel.matrixWorld.clone().invert();
+  diff.removed.forEach(el => {
+    el.meshes.forEach(mesh => {
+      const ghost = new THREE.Mesh(mesh.geometry, getTintMaterial('removed'));
+      ghost.matrixAutoUpdate = false;
+      ghost.matrix.multiplyMatrices(toPreviousFrame, mesh.matrixWorld);
+      ghost.renderOrder = 1;
+      ghosts.add(ghost);
+    });
+  });
+  currentModel.add(ghosts);
+
+  return () => {
+    restored.forEach(([mesh, material]) => { mesh.material = material; });
+    currentModel.remove(ghosts);
+  };
+}
@@ -0,0 +1,97 @@
+import { formatDate } from '../shared/dates.mjs';
+
+// Calendar-proportional timeline axis.
+// Positions are fractions (0..1) of the range between the earliest and latest
+// project date, so ticks and event markers line up by date, not by array slot.
+// Times are day values from shared/dates.mjs (UTC midnight), hence the UTC getters.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Aim for roughly this many labelled ticks across the bar
+const TARGET_TICKS = 12;
+
+export const GRANULARITY = {
+  DAY: 'day',
+  WEEK: 'week',
+  MONTH: 'month',
+  QUARTER: 'quarter'
+};
+
+function startOfDay(time) {
+  const d = new Date(time);
+  return Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate());
+}
+
+// Range covering every finite timestamp, padded so end markers are not clipped.
+// Returns null when there are no usable dates.
+export function computeTimelineRange(times) {
+  const finite = times.filter(Number.isFinite);
+  if (!finite.length) return null;
+  let start = startOfDay(Math.min(...finite));
+  let end = startOfDay(Math.max(...finite));
+  if (start === end) {
+    start -= DAY_MS;
+    end += DAY_MS;
+  }
+  const pad = Math.max(DAY_MS, Math.round((end - start) * 0.02));
+  return { start: start - pad, end: end + pad };
+}
+
+export function chooseGranularity(range, targetTicks = TARGET_TICKS) {
+  const spanDays = (range.end - range.start) / DAY_MS;
+  if (spanDays / 1 <= targetTicks) return GRANULARITY.DAY;
+  if (spanDays / 7 <= targetTicks) return GRANULARITY.WEEK;
+  if (spanDays / 30 <= targetTicks) return GRANULARITY.MONTH;
+  return GRANULARITY.QUARTER;
+}
+
+export function positionForTime(time, range) {
+  if (!range || range.end <= range.start) return 0;
+  return Math.min(1, Math.max(0, (time - range.start) / (range.end - range.start)));
+}
+
+// First tick boundary at or after `time` for the given granularity
+function firstBoundary(time, granularity) {
+  const d = new Date(startOfDay(time));
+  if (granularity === GRANULARITY.WEEK) {
+    // Weeks start on Monday
+    const offset = (8 - d.getUTCDay()) % 7;
+    d.setUTCDate(d.getUTCDate() + offset);
+  } else if (granularity === GRANULARITY.MONTH || granularity === GRANULARITY.QUARTER) {
+    if (d.getUTCDate() !== 1) d.setUTCMonth(d.getUTCMonth() + 1, 1);
+    if (granularity === GRANULARITY.QUARTER) {
+      while (d.getUTCMonth() % 3 !== 0) d.setUTCMonth(d.getUTCMonth() + 1, 1);
+    }
+  }
+  return d;
+}
+
+function nextBoundary(d, granularity) {
+  const next = new Date(d.getTime());
+  if (granularity === GRANULARITY.DAY) next.setUTCDate(next.getUTCDate() + 1);
+  else if (granularity === GRANULARITY.WEEK) next.setUTCDate(next.getUTCDate() + 7);
+  else if (granularity === GRANULARITY.MONTH) next.setUTCMonth(next.getUTCMonth() + 1, 1);
+  else next.setUTCMonth(next.getUTCMonth() + 3, 1);
+  return next;
+}
+
+/**
+ * Ticks for a range at an automatically chosen granularity.
+ * @param {{start: number, end: number}} range
+ * @param {(time: number, granularity: string) => string} formatLabel
+ * @param {number} [targetTicks]  roughly how many ticks fit; more for wider (zoomed) axes
+ * @returns {{ granularity: string, ticks: { time: number, position: number, label: string }[] }}
+ */
+export function buildAxisTicks(range, formatLabel, targetTicks = TARGET_TICKS) {
+  const granularity = chooseGranularity(range, targetTicks);
+  const ticks = [];
+  for (let d = firstBoundary(range.start, granularity); d.getTime() <= range.end; d = nextBoundary(d, granularity)) {
+    const time = d.getTime();
+    ticks.push({ time, position: positionForTime(time, range), label: formatLabel(time, granularity) });
+  }
+  return { granularity, ticks };
+}
+
+export function defaultTickLabel(time, granularity) {
+  if (granularity === GRANULARITY.DAY || granularity === GRANULARITY.WEEK) return formatDate(time, 'monthDay');
+  return formatDate(time, 'month');
+}
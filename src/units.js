@@ -0,0 +1,56 @@
+// Length display in the units a project is detailed in.
+// Lengths come in as metres (the glTF unit); `getModelUnitScale()` corrects
+// exports that were written in millimetres.
+
+export const LENGTH_UNITS = {
+  mm: 'Millimetres',
+  m: 'Metres',
+  'ft-in': 'Feet-inches'
+};
+
+const METRES_PER_INCH = 0.0254;
+// Inches are shown to the nearest 1/16"
+const INCH_DENOMINATOR = 16;
+
+function gcd(a, b) {
+  return b ? gcd(b, a % b) : a;
+}
+
+function formatFeetInches(metres) {
+  const sign = metres < 0 ? '-' : '';
+  let sixteenths = Math.round((Math.abs(metres) / METRES_PER_INCH) * INCH_DENOMINATOR);
+  const feet = Math.floor(sixteenths / (12 * INCH_DENOMINATOR));
+  sixteenths -= feet * 12 * INCH_DENOMINATOR;
+  const inches = Math.floor(sixteenths / INCH_DENOMINATOR);
+  const fraction = sixteenths % INCH_DENOMINATOR;
+  let inchText = String(inches);
+  if (fraction) {
+    const d = gcd(fraction, INCH_DENOMINATOR);
+    inchText += ` ${fraction / d}/${INCH_DENOMINATOR / d}`;
+  }
+  return `${sign}${feet}'-${inchText}"`;
+}
+
+/**
+ * @param {number} metres
+ * @param {'mm'|'m'|'ft-in'} units
+ */
+export function formatLength(metres, units = 'mm') {
+  if (!Number.isFinite(metres)) return '';
+  if (units === 'm') return `${metres.toFixed(3)} m`;
+  if (units === 'ft-in') return formatFeetInches(metres);
+  return `${Math.round(metres * 1000)} mm`;
+}
+
+export function formatAngle(radians) {
+  return `${((radians * 180) / Math.PI).toFixed(1)}°`;
+}
+
+/**
+ * Metres per model unit. glTF is metres by definition, but some Tekla exports
+ * keep millimetre coordinates; a structure larger than a kilometre is taken as such.
+ * @param {number} maxDimension  largest bounding-box side of the model, in model units
+ */
+export function getModelUnitScale(maxDimension) {
+  return maxDimension > 1000 ? 0.001 : 1;
+}
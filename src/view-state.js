@@ -0,0 +1,86 @@
+import { parseDate, toIsoDay } from '../shared/dates.mjs';
+
+// Viewer state <-> URL query string.
+//
+//   viewer.html?project=BSGS&date=2027-03-14&step=42&event=7
+//              &cam=12.5,8,12.5&target=0,0,0&filters=diff&sel=guid:2O2Fr...
+//
+// `date` is what people share ("look at this on 03/14"); `step` pins the exact
+// snapshot when several share a date. Unknown keys are left untouched so other
+// query parameters (e.g. ?locale=) survive.
+
+const STATE_KEYS = ['step', 'date', 'event', 'cam', 'target', 'filters', 'sel'];
+
+function formatVector(v) {
+  return [v.x, v.y, v.z].map(n => Number(n.toFixed(3))).join(',');
+}
+
+function parseVector(text) {
+  if (!text) return null;
+  const parts = text.split(',').map(Number);
+  if (parts.length !== 3 || !parts.every(Number.isFinite)) return null;
+  return { x: parts[0], y: parts[1], z: parts[2] };
+}
+
+/**
+ * Write `state` into a copy of `search` (a query string or URLSearchParams).
+ * @param {{ step?: number, date?: number|null, event?: number, camera?: object, target?: object,
+ *           filters?: string[], selected?: string|null }} state
+ * @returns {URLSearchParams}
+ */
+export function encodeViewState(state, search = '') {
+  const params = new URLSearchParams(search);
+  STATE_KEYS.forEach(key => params.delete(key));
+  if (Number.isFinite(state.step)) params.set('step', String(state.step));
+  if (Number.isFinite(state.date)) params.set('date', toIsoDay(state.date));
+  if (Number.isFinite(state.event)) params.set('event', String(state.event));
+  if (state.camera) params.set('cam', formatVector(state.camera));
+  if (state.target) params.set('target', formatVector(state.target));
+  if (state.filters && state.filters.length) params.set('filters', state.filters.join(','));
+  if (state.selected) params.set('sel', state.selected);
+  return params;
+}
+
+/**
+ * Read the state keys back; malformed values are dropped rather than guessed at.
+ */
+export function decodeViewState(search) {
+  const params = new URLSearchParams(search);
+  const step = params.has('step') ? parseInt(params.get('step'), 10) : Number.NaN;
+  const event = params.has('event') ? parseInt(params.get('event'), 10) : Number.NaN;
+  let date = Number.NaN;
+  if (params.has('date')) {
+    try {
+      date = parseDate(params.get('date'));
+    } catch (err) {
+      console.warn(`[Link] ${err.message}`);
+    }
+  }
+  return {
+    step: Number.isFinite(step) ? step : null,
+    date: Number.isFinite(date) ? date : null,
+    event: Number.isFinite(event) ? event : null,
+    camera: parseVector(params.get('cam')),
+    target: parseVector(params.get('target')),
+    filters: (params.get('filters') || '').split(',').map(f => f.trim()).filter(Boolean),
+    selected: params.get('sel') || null
+  };
+}
+
+/**
+ * Slider step for a shared link: `step` when it falls on `date` (or no date was
+ * given), else the last step dated on or before `date`.
+ * @param {{ step: number|null, date: number|null }} state
+ * @param {number[]} stepDays day value per step (NaN when unknown)
+ */
+export function resolveStep(state, stepDays) {
+  const count = stepDays.length;
+  const validStep = Number.isInteger(state.step) && state.step >= 0 && state.step < count;
+  if (state.date == null) return validStep ? state.step : null;
+  if (validStep && stepDays[state.step] === state.date) return state.step;
+  let best = null;
+  stepDays.forEach((day, i) => {
+    if (Number.isFinite(day) && day <= state.date && (best === null || day >= stepDays[best])) best = i;
+  });
+  return best;
+}
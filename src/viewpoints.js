@@ -0,0 +1,102 @@
+// Named camera bookmarks, kept per project in localStorage and shareable as JSON.
+//
+//   {
+//     "format": "4d-voyager-viewpoints",
+//     "version": 1,
+//     "project": "WRC",
+//     "viewpoints": [
+//       {
+//         "name": "North elevation",
+//         "camera": [0, 12, 80], "target": [0, 12, 0],
+//         "clip": { "sections": {...}, "box": {...}, "caps": true },
+//         "layers": ["diff"],
+//         "startup": false
+//       }
+//     ]
+//   }
+//
+// `layers` uses the same names as the ?filters= URL parameter.
+
+export const VIEWPOINTS_FORMAT = '4d-voyager-viewpoints';
+export const VIEWPOINTS_VERSION = 1;
+
+const STORAGE_PREFIX = 'voyager.viewpoints.';
+
+function isVector(value) {
+  return Array.isArray(value) && value.length === 3 && value.every(Number.isFinite);
+}
+
+// Validated copy of one viewpoint; throws naming the offending entry
+function normalizeViewpoint(raw, i) {
+  const label = raw && raw.name ? `"${raw.name}"` : `#${i + 1}`;
+  if (!raw || typeof raw !== 'object') throw new Error(`Viewpoint ${label} is not an object`);
+  if (typeof raw.name !== 'string' || !raw.name.trim()) throw new Error(`Viewpoint ${label} has no name`);
+  if (!isVector(raw.camera) || !isVector(raw.target)) {
+    throw new Error(`Viewpoint ${label} needs "camera" and "target" as [x, y, z]`);
+  }
+  return {
+    name: raw.name.trim(),
+    camera: raw.camera.slice(),
+    target: raw.target.slice(),
+    clip: raw.clip && typeof raw.clip === 'object' ? raw.clip : null,
+    layers: Array.isArray(raw.layers) ? raw.layers.map(String) : [],
+    startup: !!raw.startup
+  };
+}
+
+export function loadViewpoints(projectCode) {
+  try {
+    const raw = JSON.parse(window.localStorage.getItem(STORAGE_PREFIX + projectCode) || '[]');
+    return Array.isArray(raw) ? raw.map(normalizeViewpoint) : [];
+  } catch (err) {
+    console.warn(`[Viewpoints] Ignoring stored viewpoints for ${projectCode}: ${err.message}`);
+    return [];
+  }
+}
+
+export function saveViewpoints(projectCode, viewpoints) {
+  window.localStorage.setItem(STORAGE_PREFIX + projectCode, JSON.stringify(viewpoints));
+}
+
+/**
+ * Add or replace (by name, case-insensitive) viewpoints in `existing`.
+ * Only one viewpoint keeps `startup`; an incoming one wins.
+ * @returns {object[]} a new list, sorted by name
+ */
+export function mergeViewpoints(existing, incoming) {
+  const byName = new Map(existing.map(vp => [vp.name.toLowerCase(), vp]));
+  const incomingStartup = incoming.some(vp => vp.startup);
+  if (incomingStartup) byName.forEach(vp => { vp.startup = false; });
+  incoming.forEach(vp => byName.set(vp.name.toLowerCase(), vp));
+  return [...byName.values()].sort((a, b) => a.name.localeCompare(b.name));
+}
+
+export function exportViewpoints(projectCode, viewpoints) {
+  return JSON.stringify({
+    format: VIEWPOINTS_FORMAT,
+    version: VIEWPOINTS_VERSION,
+    project: projectCode,
+    viewpoints
+  }, null, 2);
+}
+
+/**
+ * Parse an exported file. A bare array of viewpoints is accepted as well.
+ * @returns {{ project: string|null, viewpoints: object[] }}
+ */
+export function parseViewpointsFile(text) {
+  let raw;
+  try {
+    raw = JSON.parse(text);
+  } catch (err) {
+    throw new Error(`Not a JSON file: ${err.message}`);
+  }
+  if (Array.isArray(raw)) return { project: null, viewpoints: raw.map(normalizeViewpoint) };
+  if (!raw || raw.format !== VIEWPOINTS_FORMAT || !Array.isArray(raw.viewpoints)) {
+    throw new Error('Not a viewpoints file (expected "format": "4d-voyager-viewpoints")');
+  }
+  if (raw.version > VIEWPOINTS_VERSION) {
+    throw new Error(`Viewpoints file version ${raw.version} is newer than this viewer supports`);
+  }
+  return { project: raw.project || null, viewpoints: raw.viewpoints.map(normalizeViewpoint) };
+}
@@ -0,0 +1,111 @@
+// Minimal WebM (Matroska) muxer for one video track of WebCodecs chunks.
+// Writes: EBML header, Segment > Info, Tracks, then one Cluster per keyframe
+// holding SimpleBlocks. Timecodes are in milliseconds.
+
+const CLUSTER_MAX_MS = 30000; // SimpleBlock timecodes are signed 16-bit, relative to the cluster
+
+function concat(parts) {
+  const length = parts.reduce((sum, p) => sum + p.length, 0);
+  const out = new Uint8Array(length);
+  let offset = 0;
+  parts.forEach(p => {
+    out.set(p, offset);
+    offset += p.length;
+  });
+  return out;
+}
+
+function idBytes(id) {
+  const bytes = [];
+  for (let v = id; v > 0; v = Math.floor(v / 256)) bytes.unshift(v & 0xff);
+  return Uint8Array.from(bytes);
+}
+
+// 8-byte data size: 0x01 marker followed by 7 bytes
+function sizeBytes(size) {
+  const out = new Uint8Array(8);
+  out[0] = 0x01;
+  for (let i = 7, v = size; i > 0; i--, v = Math.floor(v / 256)) out[i] = v & 0xff;
+  return out;
+}
+
+function element(id, payload) {
+  return concat([idBytes(id), sizeBytes(payload.length), payload]);
+}
+
+function uint(id, value) {
+  const bytes = [];
+  for (let v = value; v > 0; v = Math.floor(v / 256)) bytes.unshift(v & 0xff);
+  return element(id, Uint8Array.from(bytes.length ? bytes : [0]));
+}
+
+function float(id, value) {
+  const view = new DataView(new ArrayBuffer(8));
+  view.setFloat64(0, value);
+  return element(id, new Uint8Array(view.buffer));
+}
+
+function string(id, value) {
+  return element(id, new TextEncoder().encode(value));
+}
+
+function simpleBlock(frame, clusterTime) {
+  const header = new Uint8Array(4);
+  header[0] = 0x81; // track number 1
+  new DataView(header.buffer).setInt16(1, frame.timeMs - clusterTime);
+  header[3] = frame.key ? 0x80 : 0x00;
+  return element(0xa3, concat([header, frame.data]));
+}
+
+/**
+ * @param {{ codecId: string, width: number, height: number, durationMs: number,
+ *           frames: { data: Uint8Array, timeMs: number, key: boolean }[] }} options
+ *   `codecId` is the Matroska name, e.g. "V_VP9" or "V_VP8"
+ * @returns {Blob} video/webm
+ */
+export function buildWebm({ codecId, width, height, durationMs, frames }) {
+  const header = element(0x1a45dfa3, concat([
+    uint(0x4286, 1), // EBMLVersion
+    uint(0x42f7, 1), // EBMLReadVersion
+    uint(0x42f2, 4), // EBMLMaxIDLength
+    uint(0x42f3, 8), // EBMLMaxSizeLength
+    string(0x4282, 'webm'),
+    uint(0x4287, 4), // DocTypeVersion
+    uint(0x4285, 2) // DocTypeReadVersion
+  ]));
+
+  const info = element(0x1549a966, concat([
+    uint(0x2ad7b1, 1000000), // TimecodeScale: 1 ms
+    string(0x4d80, '4D Voyager'),
+    string(0x5741, '4D Voyager'),
+    float(0x4489, durationMs)
+  ]));
+
+  const tracks = element(0x1654ae6b, element(0xae, concat([
+    uint(0xd7, 1), // TrackNumber
+    uint(0x73c5, 1), // TrackUID
+    uint(0x83, 1), // TrackType: video
+    string(0x86, codecId),
+    element(0xe0, concat([uint(0xb0, width), uint(0xba, height)]))
+  ])));
+
+  const clusters = [];
+  let current = null;
+  frames.forEach(frame => {
+    if (!current || frame.key || frame.timeMs - current.time > CLUSTER_MAX_MS) {
+      current = { time: frame.timeMs, blocks: [] };
+      clusters.push(current);
+    }
+    current.blocks.push(simpleBlock(frame, current.time));
+  });
+
+  // Clusters and the segment are handed to the Blob as parts, not copied into one buffer
+  const byteLength = (parts) => parts.reduce((sum, p) => sum + p.length, 0);
+  const clusterParts = clusters.flatMap(c => {
+    const body = [uint(0xe7, c.time), ...c.blocks];
+    return [idBytes(0x1f43b675), sizeBytes(byteLength(body)), ...body];
+  });
+  const segmentBody = [info, tracks, ...clusterParts];
+
+  return new Blob([header, idBytes(0x18538067), sizeBytes(byteLength(segmentBody)), ...segmentBody], { type: 'video/webm' });
+}
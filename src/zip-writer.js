@@ -0,0 +1,136 @@
+// Minimal streaming ZIP writer (stored, no compression) for bundling exported files.
+// PNG data is already compressed, so storing keeps this small and fast.
+// Entries get a fixed timestamp so the same input always gives the same archive.
+// Each entry is passed to the sink as it is added; only the central directory
+// records are kept until close(). There is no ZIP64 support, so the writer
+// refuses entries past the ZIP32 limits instead of writing a broken archive.
+
+export const ZIP_MAX_ENTRIES = 0xffff;
+export const ZIP_MAX_BYTES = 0xffffffff;
+
+const LOCAL_HEADER_SIZE = 30;
+const CENTRAL_HEADER_SIZE = 46;
+const END_RECORD_SIZE = 22;
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32(data) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < data.length; i++) crc = CRC_TABLE[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// 1980-01-01 00:00, the earliest DOS date
+const DOS_TIME = 0;
+const DOS_DATE = (0 << 9) | (1 << 5) | 1;
+
+const encoder = new TextEncoder();
+
+/**
+ * Bytes an entry adds to the archive: local header, data and central directory record.
+ * @param {string} name
+ * @param {number} dataLength
+ */
+export function zipEntrySize(name, dataLength) {
+  const nameLength = encoder.encode(name).length;
+  return LOCAL_HEADER_SIZE + CENTRAL_HEADER_SIZE + nameLength * 2 + dataLength;
+}
+
+/** Bytes of an archive holding the given entry sizes (from zipEntrySize). */
+export function zipArchiveSize(entryBytes) {
+  return entryBytes + END_RECORD_SIZE;
+}
+
+/**
+ * @param {{ write: (data: Uint8Array) => (Promise<void>|void) }} sink  receives the archive in order
+ * @param {object} [options]
+ * @param {number} [options.maxBytes]  archive size limit, at most ZIP_MAX_BYTES
+ * @returns {{ add: (name: string, data: Uint8Array) => Promise<void>, close: () => Promise<number> }}
+ *   close() writes the central directory and resolves to the archive size
+ */
+export function createZipWriter(sink, { maxBytes = ZIP_MAX_BYTES } = {}) {
+  const limit = Math.min(maxBytes, ZIP_MAX_BYTES);
+  const central = [];
+  let centralSize = 0;
+  let offset = 0;
+  let closed = false;
+
+  async function add(name, data) {
+    if (closed) throw new Error('ZIP archive is already closed');
+    if (central.length >= ZIP_MAX_ENTRIES) {
+      throw new Error(`A ZIP archive holds at most ${ZIP_MAX_ENTRIES} files`);
+    }
+    const nameBytes = encoder.encode(name);
+    const localSize = LOCAL_HEADER_SIZE + nameBytes.length + data.length;
+    const headerSize = CENTRAL_HEADER_SIZE + nameBytes.length;
+    if (offset + localSize + centralSize + headerSize + END_RECORD_SIZE > limit) {
+      throw new Error(`The archive would pass its ${formatBytes(limit)} limit at ${name}`);
+    }
+    const crc = crc32(data);
+
+    const local = new DataView(new ArrayBuffer(LOCAL_HEADER_SIZE));
+    local.setUint32(0, 0x04034b50, true);
+    local.setUint16(4, 20, true); // version needed
+    local.setUint16(6, 0x0800, true); // UTF-8 names
+    local.setUint16(8, 0, true); // stored
+    local.setUint16(10, DOS_TIME, true);
+    local.setUint16(12, DOS_DATE, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, data.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, nameBytes.length, true);
+    local.setUint16(28, 0, true);
+    await sink.write(new Uint8Array(local.buffer));
+    await sink.write(nameBytes);
+    await sink.write(data);
+
+    const header = new DataView(new ArrayBuffer(CENTRAL_HEADER_SIZE));
+    header.setUint32(0, 0x02014b50, true);
+    header.setUint16(4, 20, true); // version made by
+    header.setUint16(6, 20, true);
+    header.setUint16(8, 0x0800, true);
+    header.setUint16(10, 0, true);
+    header.setUint16(12, DOS_TIME, true);
+    header.setUint16(14, DOS_DATE, true);
+    header.setUint32(16, crc, true);
+    header.setUint32(20, data.length, true);
+    header.setUint32(24, data.length, true);
+    header.setUint16(28, nameBytes.length, true);
+    header.setUint32(42, offset, true);
+    central.push(new Uint8Array(header.buffer), nameBytes);
+    centralSize += headerSize;
+    offset += localSize;
+  }
+
+  async function close() {
+    if (closed) throw new Error('ZIP archive is already closed');
+    closed = true;
+    const count = central.length / 2;
+    const end = new DataView(new ArrayBuffer(END_RECORD_SIZE));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, count, true);
+    end.setUint16(10, count, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+    for (const part of central) await sink.write(part);
+    await sink.write(new Uint8Array(end.buffer));
+    central.length = 0;
+    return offset + centralSize + END_RECORD_SIZE;
+  }
+
+  return { add, close };
+}
+
+export function formatBytes(bytes) {
+  if (bytes >= 1024 ** 3) return `${(bytes / 1024 ** 3).toFixed(1)} GB`;
+  if (bytes >= 1024 ** 2) return `${Math.round(bytes / 1024 ** 2)} MB`;
+  return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+}
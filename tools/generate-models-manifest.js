@@ -1,24 +1,231 @@
+/**
+ * Generate models.json from a folder of Tekla GLB exports
+ *
+ * Finds the .glb files of a project, reads each snapshot date from its name
+ * (e.g. FromTeklaStructures08-02-2026.glb), sorts them by date and writes the
+ * `{ "name", "date" }` entries the viewer loads.
+ *
+ * Usage:
+ *   node tools/generate-models-manifest.js <project-code|folder> [options]
+ *
+ * Options:
+ *   --dir <path>        where the GLBs are (default: the project's public folder)
+ *   --pattern <regex>   filename date pattern with named groups month, day and optional year;
+ *                       repeat to try several in order (default: the built-in Tekla patterns)
+ *   --year <yyyy>       year for names without one (default: current year)
+ *   --merge             keep existing entries and their dates; only add new GLBs
+ *   --prune             with --merge, drop entries whose GLB is no longer in the folder
+ *   --check             compare models.json with the folder and exit 1 on problems; writes nothing
+ *   --dry-run           print the result instead of writing it
+ *
+ * Examples:
+ *   node tools/generate-models-manifest.js WRC --dir "D:/Exports/WRC" --merge
+ *   node tools/generate-models-manifest.js LORRY --pattern "MODEL(?<month>\d{2})-(?<day>\d{2})" --year 2026
+ *   node tools/generate-models-manifest.js BSGS --check
+ */
+
 const fs = require('fs');
 const path = require('path');
+const { loadProjects, findProject } = require('../scripts/project-registry');
+const {
+  DEFAULT_FILENAME_DATE_PATTERNS, extractDateFromName, tryParseDate, toManifestDate, toIsoDay
+} = require('../shared/dates.mjs');
+
+const PUBLIC_DIR = path.join(__dirname, '..', 'public');
+const VALUE_OPTIONS = new Set(['--dir', '--year']);
+const FLAGS = new Set(['--merge', '--prune', '--check', '--dry-run']);
+
+function parseArgs(argv) {
+  const args = { target: null, patterns: [], flags: new Set() };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--pattern') {
+      if (i + 1 >= argv.length) throw new Error('--pattern needs a value');
+      args.patterns.push(argv[++i]);
+    } else if (VALUE_OPTIONS.has(arg)) {
+      if (i + 1 >= argv.length) throw new Error(`${arg} needs a value`);
+      args[arg.slice(2)] = argv[++i];
+    } else if (FLAGS.has(arg)) {
+      args.flags.add(arg);
+    } else if (arg.startsWith('-')) {
+      throw new Error(`Unknown option "${arg}"`);
+    } else if (!args.target) {
+      args.target = arg;
+    } else {
+      throw new Error(`Unexpected argument "${arg}"`);
+    }
+  }
+  if (args.flags.has('--prune') && !args.flags.has('--merge')) throw new Error('--prune only works with --merge');
+  if (args.flags.has('--check') && (args.flags.has('--merge') || args.flags.has('--dry-run'))) {
+    throw new Error('--check writes nothing; it cannot be combined with --merge or --dry-run');
+  }
+  return args;
+}
+
+function compilePatterns(sources) {
+  if (!sources.length) return DEFAULT_FILENAME_DATE_PATTERNS;
+  return sources.map(source => {
+    const pattern = new RegExp(source, 'i');
+    if (!/\(\?<month>/.test(source) || !/\(\?<day>/.test(source)) {
+      throw new Error(`Pattern "${source}" needs named groups (?<month>..) and (?<day>..)`);
+    }
+    return pattern;
+  });
+}
 
-// Change this to the public folder path relative to repo root
-const modelsFolderRelative = 'public/3D MODEL(step1)';
-const outFilename = 'models.json';
+/**
+ * Resolve a project code (via public/projects.json) or a folder path
+ * @returns {{ manifestPath: string, label: string }}
+ */
+function resolveTarget(target) {
+  const project = findProject(loadProjects(), target);
+  if (project) return { manifestPath: path.join(PUBLIC_DIR, project.folder, 'models.json'), label: project.code };
+  const folder = path.resolve(target);
+  if (fs.existsSync(folder) && fs.statSync(folder).isDirectory()) {
+    return { manifestPath: path.join(folder, 'models.json'), label: path.basename(folder) };
+  }
+  throw new Error(`"${target}" is neither a project code in public/projects.json nor a folder`);
+}
+
+function listGlbs(dir) {
+  if (!fs.existsSync(dir)) throw new Error(`Folder not found: ${dir}`);
+  return fs.readdirSync(dir).filter(f => f.toLowerCase().endsWith('.glb'));
+}
+
+function readManifest(manifestPath) {
+  if (!fs.existsSync(manifestPath)) return null;
+  const raw = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+  if (!Array.isArray(raw)) throw new Error(`${manifestPath} is not an array`);
+  // Older manifests are bare filename strings
+  return raw.map(entry => (typeof entry === 'string' ? { name: entry, date: null } : entry))
+    .filter(entry => entry && entry.name);
+}
+
+// Date order, undated snapshots last, ties by name with numeric parts compared as numbers
+function sortEntries(entries) {
+  const time = (e) => {
+    const t = tryParseDate(e.date);
+    return Number.isFinite(t) ? t : Infinity;
+  };
+  return entries.sort((a, b) => (time(a) - time(b)) || a.name.localeCompare(b.name, undefined, { numeric: true }));
+}
 
-function generate() {
-  const folder = path.resolve(__dirname, '..', modelsFolderRelative);
-  if (!fs.existsSync(folder)) {
-    console.error(`Folder not found: ${folder}`);
+function entryFromName(name, options) {
+  const day = extractDateFromName(name, options);
+  return { name, date: day === null ? null : toManifestDate(day) };
+}
+
+/**
+ * List differences between models.json and the GLBs on disk
+ * @param {string[]|null} files  null when the GLBs are not available locally; only dates are checked
+ * @returns {{ problems: string[], notes: string[] }} problems, empty when the manifest is in order;
+ *   notes on manually set dates, which --merge keeps and are not problems
+ */
+function checkManifest(existing, files, options) {
+  const problems = [];
+  const notes = [];
+  const onDisk = files && new Set(files.map(f => f.toLowerCase()));
+  const listed = new Set(existing.map(e => e.name.toLowerCase()));
+  if (files) files.filter(f => !listed.has(f.toLowerCase())).forEach(f => problems.push(`Not in models.json: ${f}`));
+  existing.forEach(entry => {
+    if (onDisk && !onDisk.has(entry.name.toLowerCase())) problems.push(`No GLB for entry: ${entry.name}`);
+    if (!entry.date) {
+      problems.push(`No date: ${entry.name}`);
+      return;
+    }
+    const day = tryParseDate(entry.date);
+    if (!Number.isFinite(day)) {
+      problems.push(`Unreadable date "${entry.date}": ${entry.name}`);
+      return;
+    }
+    // Names without a year are compared on month and day only
+    const fromName = extractDateFromName(entry.name, { ...options, defaultYear: new Date(day).getUTCFullYear() });
+    if (fromName !== null && fromName !== day) {
+      // Manually set dates are allowed to differ; noted so typos stand out
+      notes.push(`Date ${entry.date} differs from the name (${toManifestDate(fromName)}): ${entry.name}`);
+    }
+  });
+  const sorted = sortEntries([...existing]);
+  if (sorted.some((entry, i) => entry !== existing[i])) problems.push('Entries are not in date order');
+  return { problems, notes };
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (!args.target) {
+    console.error('Usage: node tools/generate-models-manifest.js <project-code|folder> [--dir <path>] [--pattern <regex>] [--year <yyyy>] [--merge [--prune]|--check] [--dry-run]');
     process.exit(1);
   }
+  const { manifestPath, label } = resolveTarget(args.target);
+  const dir = args.dir ? path.resolve(args.dir) : path.dirname(manifestPath);
+  const year = args.year ? Number(args.year) : new Date().getFullYear();
+  if (!Number.isInteger(year)) throw new Error(`--year must be a year, got "${args.year}"`);
+  const options = { patterns: compilePatterns(args.patterns), defaultYear: year };
 
-  const files = fs.readdirSync(folder)
-    .filter(f => f.toLowerCase().endsWith('.ifc'))
-    .sort((a,b) => a.localeCompare(b, undefined, { numeric: true }));
+  const files = listGlbs(dir);
+  const existing = readManifest(manifestPath);
+  console.log(`📂 ${label}: ${files.length} GLB files in ${dir}`);
+
+  if (args.flags.has('--check')) {
+    if (!existing) throw new Error(`${manifestPath} does not exist`);
+    if (!files.length) console.log('   No GLBs here (pass --dir with the export folder); checking dates and order only');
+    const { problems, notes } = checkManifest(existing, files.length ? files : null, options);
+    notes.forEach(n => console.log(`  ℹ️  ${n}`));
+    problems.forEach(p => console.log(`  ⚠️  ${p}`));
+    if (problems.length) {
+      console.log(`✗ ${problems.length} problem(s) in ${path.relative(process.cwd(), manifestPath)}`);
+      process.exit(1);
+    }
+    console.log(files.length
+      ? `✅ models.json matches the folder (${existing.length} entries)`
+      : `✅ models.json dates and order are fine (${existing.length} entries); GLB files not checked`);
+    return;
+  }
+
+  // Projects whose GLBs are in remote storage have none in their public folder;
+  // a manifest built from it would drop every snapshot
+  if (!files.length) {
+    throw new Error(`No GLBs in ${dir}; pass --dir with the export folder. ${path.basename(manifestPath)} was not changed`);
+  }
 
-  const outPath = path.join(folder, outFilename);
-  fs.writeFileSync(outPath, JSON.stringify(files, null, 2));
-  console.log(`Wrote ${files.length} entries to ${outPath}`);
+  let entries;
+  if (args.flags.has('--merge') && existing) {
+    const onDisk = new Set(files.map(f => f.toLowerCase()));
+    const listed = new Set(existing.map(e => e.name.toLowerCase()));
+    const kept = args.flags.has('--prune') ? existing.filter(e => onDisk.has(e.name.toLowerCase())) : existing;
+    const added = files.filter(f => !listed.has(f.toLowerCase())).map(f => entryFromName(f, options));
+    if (kept.length < existing.length) console.log(`   Dropped ${existing.length - kept.length} entries without a GLB`);
+    console.log(`   Kept ${kept.length} existing entries, added ${added.length}`);
+    // Undated legacy entries get a date from their name; set dates are never touched
+    entries = [...kept.map(e => (e.date ? e : { ...e, ...entryFromName(e.name, options) })), ...added];
+  } else {
+    entries = files.map(f => entryFromName(f, options));
+  }
+  sortEntries(entries);
+
+  entries.filter(e => !e.date).forEach(e => console.log(`  ⚠️  No date found in name, listed last: ${e.name}`));
+  if (entries.length) {
+    const dated = entries.filter(e => e.date).map(e => tryParseDate(e.date));
+    if (dated.length) console.log(`   ${toIsoDay(Math.min(...dated))} … ${toIsoDay(Math.max(...dated))}`);
+  }
+
+  const json = `${JSON.stringify(entries, null, 2)}\n`;
+  if (args.flags.has('--dry-run')) {
+    process.stdout.write(json);
+    return;
+  }
+  if (existing) {
+    const backupPath = manifestPath.replace(/\.json$/, '.backup.json');
+    fs.copyFileSync(manifestPath, backupPath);
+    console.log(`   Created backup: ${path.basename(backupPath)}`);
+  }
+  fs.writeFileSync(manifestPath, json, 'utf8');
+  console.log(`✅ Wrote ${entries.length} entries to ${manifestPath}`);
 }
 
-generate();
+try {
+  main();
+} catch (err) {
+  console.error(`✗ ${err.message}`);
+  process.exit(1);
+}
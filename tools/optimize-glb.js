@@ -0,0 +1,284 @@
+/**
+ * Optimize a project's Tekla GLB exports before they are published
+ *
+ * Raw exports repeat the same bolt and plate geometry thousands of times and
+ * give every part its own copy of the same material. For each GLB this
+ * merges identical meshes and materials, welds vertices, drops attributes no
+ * material uses and compresses the geometry, then prints sizes, triangles and
+ * draw calls before and after. Files that are already compressed are skipped.
+ *
+ * GPU instancing of repeated parts is opt-in: it replaces the parts' nodes
+ * with one batch node, and the viewer has no per-instance handling yet, so a
+ * batch is picked and outlined as a whole, and comparing an instanced snapshot
+ * with one that is not reports the parts as removed and the batch as added.
+ * "safe" only instances parts without a GUID, which elements are matched by
+ * between snapshots, with the 4D schedule and in the inspector (see
+ * src/snapshot-diff.js).
+ *
+ * Usage:
+ *   node tools/optimize-glb.js <project-code|folder> [options]
+ *   npm run optimize -- <project-code|folder> [options]
+ *
+ * Options:
+ *   --dir <path>            where the GLBs are (default: the project's public folder)
+ *   --out <path>            where the optimized GLBs go (default: the project's public folder);
+ *                           files in the same folder are replaced
+ *   --compression <type>    meshopt (default) | draco | quantize (smaller vertices, no decoder needed)
+ *   --instance <mode>       off (default) | safe: only parts without a GUID | all
+ *   --force                 also process GLBs that are already compressed
+ *   --dry-run               optimize in memory and print the report; writes nothing
+ *
+ * Examples:
+ *   node tools/optimize-glb.js WRC --dir "D:/Exports/WRC"
+ *   node tools/optimize-glb.js BSGS --compression draco --dry-run
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { NodeIO, Logger } = require('@gltf-transform/core');
+const { ALL_EXTENSIONS } = require('@gltf-transform/extensions');
+const { dedup, instance, weld, prune, quantize, meshopt, draco, getGLPrimitiveCount } = require('@gltf-transform/functions');
+const { MeshoptDecoder, MeshoptEncoder } = require('meshoptimizer');
+const draco3d = require('draco3dgltf');
+const { loadProjects, findProject } = require('../scripts/project-registry');
+const { formatSize } = require('./storage');
+const { readGlbJson, describeCompression } = require('../shared/gltf-compression.mjs');
+
+const PUBLIC_DIR = path.join(__dirname, '..', 'public');
+const VALUE_OPTIONS = new Set(['--dir', '--out', '--compression', '--instance']);
+const FLAGS = new Set(['--force', '--dry-run']);
+const COMPRESSIONS = ['meshopt', 'draco', 'quantize'];
+const INSTANCE_MODES = ['off', 'safe', 'all'];
+// A mesh is instanced once this many parts share it; fewer is not worth a batch
+const MIN_INSTANCES = 5;
+// Same keys as src/snapshot-diff.js
+const GUID_KEYS = ['GUID', 'guid', 'Guid', 'IfcGUID', 'ifcGuid', 'GlobalId', 'globalId'];
+// Triangle modes start at TRIANGLES (4): TRIANGLE_STRIP, TRIANGLE_FAN
+const GL_TRIANGLES = 4;
+
+function parseArgs(argv) {
+  const args = { target: null, flags: new Set() };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (VALUE_OPTIONS.has(arg)) {
+      if (i + 1 >= argv.length) throw new Error(`${arg} needs a value`);
+      args[arg.slice(2)] = argv[++i];
+    } else if (FLAGS.has(arg)) {
+      args.flags.add(arg);
+    } else if (arg.startsWith('-')) {
+      throw new Error(`Unknown option "${arg}"`);
+    } else if (!args.target) {
+      args.target = arg;
+    } else {
+      throw new Error(`Unexpected argument "${arg}"`);
+    }
+  }
+  return args;
+}
+
+function resolveTarget(target) {
+  const project = findProject(loadProjects(), target);
+  if (project) return { folder: path.join(PUBLIC_DIR, project.folder), label: project.code };
+  const folder = path.resolve(target);
+  if (fs.existsSync(folder) && fs.statSync(folder).isDirectory()) return { folder, label: path.basename(folder) };
+  throw new Error(`"${target}" is neither a project code in public/projects.json nor a folder`);
+}
+
+function listGlbs(dir) {
+  if (!fs.existsSync(dir)) throw new Error(`Folder not found: ${dir}`);
+  return fs.readdirSync(dir).filter(f => f.toLowerCase().endsWith('.glb')).sort();
+}
+
+// Reads every extension the viewer can load, compressed input included
+async function createIO() {
+  await Promise.all([MeshoptDecoder.ready, MeshoptEncoder.ready]);
+  return new NodeIO()
+    .registerExtensions(ALL_EXTENSIONS)
+    .registerDependencies({
+      'draco3d.decoder': await draco3d.createDecoderModule(),
+      'draco3d.encoder': await draco3d.createEncoderModule(),
+      'meshopt.decoder': MeshoptDecoder,
+      'meshopt.encoder': MeshoptEncoder
+    });
+}
+
+function hasGuid(node) {
+  const extras = node.getExtras();
+  return !!extras && GUID_KEYS.some(key => extras[key]);
+}
+
+// A node belongs to an element when it or one of its parents has a GUID
+function isElementPart(node) {
+  for (let n = node; n; n = n.getParentNode()) {
+    if (hasGuid(n)) return true;
+  }
+  return false;
+}
+
+/**
+ * instance() for parts that are not elements: element meshes are detached
+ * while it runs, so their nodes and extras stay as they are
+ * @returns {import('@gltf-transform/core').Transform}
+ */
+function instanceAnonymousParts() {
+  const instanceAll = instance({ min: MIN_INSTANCES });
+  return async function instanceAnonymous(document, context) {
+    const kept = document.getRoot().listNodes()
+      .filter(node => node.getMesh() && isElementPart(node))
+      .map(node => [node, node.getMesh()]);
+    kept.forEach(([node]) => node.setMesh(null));
+    try {
+      await instanceAll(document, context);
+    } finally {
+      kept.forEach(([node, mesh]) => node.setMesh(mesh));
+    }
+  };
+}
+
+/**
+ * Triangles and draw calls of a document
+ * @returns {{ stored: number, drawn: number, drawCalls: number, instanced: number, batches: number }}
+ *   `stored` counts each primitive once, `drawn` every time it is drawn;
+ *   `instanced` parts are drawn in `batches` instanced draws
+ */
+function countGeometry(document) {
+  const counted = new Set();
+  const totals = { stored: 0, drawn: 0, drawCalls: 0, instanced: 0, batches: 0 };
+  document.getRoot().listScenes().forEach(scene => scene.traverse(node => {
+    const mesh = node.getMesh();
+    if (!mesh) return;
+    const batch = node.getExtension('EXT_mesh_gpu_instancing');
+    const attribute = batch && batch.listAttributes()[0];
+    const copies = attribute ? attribute.getCount() : 1;
+    if (batch) {
+      totals.instanced += copies;
+      totals.batches++;
+    }
+    mesh.listPrimitives().forEach(primitive => {
+      const triangles = primitive.getMode() >= GL_TRIANGLES ? getGLPrimitiveCount(primitive) : 0;
+      totals.drawn += triangles * copies;
+      totals.drawCalls++;
+      if (!counted.has(primitive)) {
+        counted.add(primitive);
+        totals.stored += triangles;
+      }
+    });
+  }));
+  return totals;
+}
+
+function buildPipeline(document, { compression, instanceMode }) {
+  const steps = [dedup()];
+  const hasGuids = document.getRoot().listNodes().some(hasGuid);
+  let note = null;
+  if (instanceMode === 'all') {
+    steps.push(instance({ min: MIN_INSTANCES }));
+  } else if (instanceMode === 'safe' && hasGuids) {
+    steps.push(instanceAnonymousParts());
+  } else if (instanceMode === 'safe') {
+    // Without GUIDs the viewer tells elements apart by node name
+    note = 'no GUIDs, elements are matched by name: nothing instanced (--instance all to instance anyway)';
+  }
+  // Unused attributes go with keepAttributes: false; extras keep empty element nodes
+  steps.push(weld(), prune({ keepAttributes: false, keepExtras: true }));
+  if (compression === 'meshopt') steps.push(meshopt({ encoder: MeshoptEncoder }));
+  else if (compression === 'draco') steps.push(draco());
+  else steps.push(quantize());
+  return { steps, note };
+}
+
+function percentChange(before, after) {
+  if (!before) return '';
+  const change = Math.round((after - before) / before * 100);
+  return ` (${change > 0 ? '+' : ''}${change}%)`;
+}
+
+const count = (n) => n.toLocaleString('en-US');
+
+async function optimizeFile(io, sourcePath, outPath, options) {
+  const name = path.basename(sourcePath);
+  const data = fs.readFileSync(sourcePath);
+  const { compressions, summary } = describeCompression(readGlbJson(data));
+  if (compressions.some(c => c.kind === 'geometry') && !options.force) {
+    if (outPath !== sourcePath && !options.dryRun) fs.copyFileSync(sourcePath, outPath);
+    console.log(`  ⏭️  ${name}: already compressed (${summary}), ${outPath !== sourcePath ? 'copied unchanged' : 'skipped'}`);
+    return { before: data.length, after: data.length, skipped: true };
+  }
+
+  const document = await io.readBinary(new Uint8Array(data.buffer, data.byteOffset, data.byteLength));
+  document.setLogger(new Logger(Logger.Verbosity.WARN));
+  const before = countGeometry(document);
+  const { steps, note } = buildPipeline(document, options);
+  await document.transform(...steps);
+  const after = countGeometry(document);
+  const output = await io.writeBinary(document);
+
+  if (!options.dryRun) {
+    // Written next to the target first so a failed run never leaves half a GLB
+    const tempPath = `${outPath}.tmp`;
+    fs.writeFileSync(tempPath, output);
+    fs.renameSync(tempPath, outPath);
+  }
+
+  console.log(`  ✓ ${name}`);
+  console.log(`      size        ${formatSize(data.length)} → ${formatSize(output.length)}${percentChange(data.length, output.length)}`);
+  console.log(`      triangles   ${count(before.stored)} → ${count(after.stored)} stored${percentChange(before.stored, after.stored)}, ` +
+    `${count(before.drawn)} → ${count(after.drawn)} drawn`);
+  console.log(`      draw calls  ${count(before.drawCalls)} → ${count(after.drawCalls)}${percentChange(before.drawCalls, after.drawCalls)}` +
+    (after.instanced ? `, ${count(after.instanced)} parts in ${count(after.batches)} instanced batches` : ''));
+  console.log(`      ${describeCompression(readGlbJson(output)).summary}${note ? `; ${note}` : ''}`);
+  if (after.drawn !== before.drawn) {
+    console.log(`  ⚠️  ${name}: ${count(Math.abs(after.drawn - before.drawn))} drawn triangles ${after.drawn < before.drawn ? 'fewer' : 'more'} than the export`);
+  }
+  return { before: data.length, after: output.length };
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (!args.target) {
+    console.error('Usage: node tools/optimize-glb.js <project-code|folder> [--dir <path>] [--out <path>] [--compression meshopt|draco|quantize] [--instance off|safe|all] [--force] [--dry-run]');
+    process.exit(1);
+  }
+  const compression = args.compression || 'meshopt';
+  const instanceMode = args.instance || 'off';
+  if (!COMPRESSIONS.includes(compression)) throw new Error(`--compression must be one of ${COMPRESSIONS.join(', ')}`);
+  if (!INSTANCE_MODES.includes(instanceMode)) throw new Error(`--instance must be one of ${INSTANCE_MODES.join(', ')}`);
+
+  const { folder, label } = resolveTarget(args.target);
+  const dir = args.dir ? path.resolve(args.dir) : folder;
+  const outDir = args.out ? path.resolve(args.out) : folder;
+  const dryRun = args.flags.has('--dry-run');
+  const files = listGlbs(dir);
+  console.log(`📂 ${label}: ${files.length} GLB files in ${dir}${outDir !== dir ? ` → ${outDir}` : ''}`);
+  if (!files.length) return;
+  if (!dryRun) fs.mkdirSync(outDir, { recursive: true });
+
+  const io = await createIO();
+  const options = { compression, instanceMode, force: args.flags.has('--force'), dryRun };
+  const totals = { before: 0, after: 0, skipped: 0 };
+  const failed = [];
+  for (const file of files) {
+    try {
+      const result = await optimizeFile(io, path.join(dir, file), path.join(outDir, file), options);
+      totals.before += result.before;
+      totals.after += result.after;
+      if (result.skipped) totals.skipped++;
+    } catch (err) {
+      failed.push(file);
+      console.log(`  ✗ ${file}: ${err.message}`);
+    }
+  }
+
+  const done = files.length - failed.length - totals.skipped;
+  console.log(`${dryRun ? '🔍 Dry run' : '✅ Optimized'}: ${done} file(s)${totals.skipped ? `, ${totals.skipped} already compressed` : ''}, ` +
+    `${formatSize(totals.before)} → ${formatSize(totals.after)}${percentChange(totals.before, totals.after)}`);
+  if (failed.length) {
+    console.log(`✗ ${failed.length} file(s) failed`);
+    process.exit(1);
+  }
+}
+
+main().catch(err => {
+  console.error(`✗ ${err.message}`);
+  process.exit(1);
+});
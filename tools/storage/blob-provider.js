@@ -0,0 +1,75 @@
+/**
+ * Vercel Blob provider
+ *
+ * Needs BLOB_READ_WRITE_TOKEN (Vercel dashboard > Storage > the Blob store >
+ * .env.local). Blobs are public and keep their pathnames ("WRC/a.glb"), so
+ * the URLs match the project's "baseUrl". Public blobs are served to any
+ * origin and cannot be signed, so `cors` and `sign` do not apply.
+ */
+
+const fs = require('fs');
+
+/**
+ * @param {{ baseUrl?: string }} options  the store URL, used for public URLs
+ * @returns {import('./index').StorageProvider}
+ */
+function createBlobProvider({ baseUrl = null }) {
+  let blob = null;
+
+  function getClient() {
+    if (!blob) {
+      if (!process.env.BLOB_READ_WRITE_TOKEN) throw new Error('BLOB_READ_WRITE_TOKEN is not set');
+      // Loaded on first use, like the GCS client
+      blob = require('@vercel/blob');
+    }
+    return blob;
+  }
+
+  return {
+    name: baseUrl ? `blob:${new URL(baseUrl).hostname.split('.')[0]}` : 'blob',
+
+    async check() {
+      await getClient().list({ limit: 1 });
+      return baseUrl ? `Blob store ${baseUrl}` : 'Blob store';
+    },
+
+    async list(prefix) {
+      const entries = [];
+      let cursor;
+      do {
+        const page = await getClient().list({ prefix: prefix.replace(/\/*$/, '/'), cursor });
+        page.blobs.forEach(item => entries.push({ key: item.pathname, size: item.size }));
+        cursor = page.hasMore ? page.cursor : undefined;
+      } while (cursor);
+      return entries;
+    },
+
+    async upload(localPath, key, { contentType, cacheControl }) {
+      const maxAge = /max-age=(\d+)/.exec(cacheControl || '');
+      await getClient().put(key, fs.createReadStream(localPath), {
+        access: 'public',
+        addRandomSuffix: false,
+        allowOverwrite: true,
+        contentType,
+        // Blob's minimum is a minute
+        cacheControlMaxAge: maxAge ? Math.max(60, Number(maxAge[1])) : undefined,
+        multipart: fs.statSync(localPath).size > 50 * 1024 * 1024
+      });
+    },
+
+    async remove(key) {
+      await getClient().del(key);
+    },
+
+    publicUrl(key) {
+      if (!baseUrl) throw new Error('Blob storage needs a "baseUrl" in projects.json');
+      return `${baseUrl.replace(/\/+$/, '')}/${key.split('/').map(encodeURIComponent).join('/')}`;
+    },
+
+    getCors: null,
+    setCors: null,
+    sign: null
+  };
+}
+
+module.exports = { createBlobProvider };
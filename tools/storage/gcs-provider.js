@@ -0,0 +1,81 @@
+/**
+ * Google Cloud Storage provider
+ *
+ * Credentials: GCS_SERVICE_ACCOUNT_KEY (path to a key file), else
+ * service-account-key.json in the repository root, else Application Default
+ * Credentials (`gcloud auth application-default login` or
+ * GOOGLE_APPLICATION_CREDENTIALS). Signing URLs needs a service account key.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_KEY_FILE = path.join(__dirname, '..', '..', 'service-account-key.json');
+
+/**
+ * @param {{ bucket: string }} options
+ * @returns {import('./index').StorageProvider}
+ */
+function createGcsProvider({ bucket: bucketName }) {
+  if (!bucketName) throw new Error('GCS storage needs a bucket: set "bucket" in projects.json, pass --bucket or set GCS_BUCKET_NAME');
+  let bucket = null;
+
+  function getBucket() {
+    if (!bucket) {
+      // Loaded on first use so dry runs and other providers work without credentials
+      const { Storage } = require('@google-cloud/storage');
+      const keyFilename = process.env.GCS_SERVICE_ACCOUNT_KEY || (fs.existsSync(DEFAULT_KEY_FILE) ? DEFAULT_KEY_FILE : null);
+      bucket = new Storage(keyFilename ? { keyFilename } : {}).bucket(bucketName);
+    }
+    return bucket;
+  }
+
+  return {
+    name: `gcs:${bucketName}`,
+
+    async check() {
+      const [exists] = await getBucket().exists();
+      if (!exists) throw new Error(`Bucket "${bucketName}" does not exist`);
+      const [metadata] = await getBucket().getMetadata();
+      return `bucket ${bucketName} (${metadata.location}, ${metadata.storageClass})`;
+    },
+
+    async list(prefix) {
+      const [files] = await getBucket().getFiles({ prefix: prefix.replace(/\/*$/, '/') });
+      return files.map(file => ({ key: file.name, size: Number(file.metadata.size) }));
+    },
+
+    async upload(localPath, key, { contentType, cacheControl }) {
+      await getBucket().upload(localPath, {
+        destination: key,
+        metadata: { contentType, cacheControl },
+        resumable: false
+      });
+    },
+
+    async remove(key) {
+      await getBucket().file(key).delete({ ignoreNotFound: true });
+    },
+
+    publicUrl(key) {
+      return `https://storage.googleapis.com/${bucketName}/${key.split('/').map(encodeURIComponent).join('/')}`;
+    },
+
+    async getCors() {
+      const [metadata] = await getBucket().getMetadata();
+      return metadata.cors || [];
+    },
+
+    async setCors(rules) {
+      await getBucket().setCorsConfiguration(rules);
+    },
+
+    async sign(key, ttlSeconds) {
+      const expiresAt = Date.now() + ttlSeconds * 1000;
+      const [url] = await getBucket().file(key).getSignedUrl({ version: 'v4', action: 'read', expires: expiresAt });
+      return { url, expiresAt };
+    }
+  };
+}
+
+module.exports = { createGcsProvider };
@@ -0,0 +1,87 @@
+/**
+ * Storage providers for tools/voyager-storage.js
+ *
+ * Every backend the GLBs can live in sits behind the same interface, so the
+ * CLI commands are written once. Which provider a project uses follows its
+ * "storage" in public/projects.json (see shared/asset-resolver.mjs) unless
+ * the command line overrides it.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createGcsProvider } = require('./gcs-provider');
+const { createBlobProvider } = require('./blob-provider');
+const { createLocalProvider } = require('./local-provider');
+
+const PUBLIC_DIR = path.join(__dirname, '..', '..', 'public');
+const PROVIDER_TYPES = ['gcs', 'blob', 'local'];
+
+// Projects' storage types and the provider that holds their files
+const PROVIDER_FOR_STORAGE = {
+  local: 'local',
+  blob: 'blob',
+  gcs: 'gcs',
+  'gcs-signed': 'gcs',
+  signer: 'gcs'
+};
+
+/**
+ * @typedef {object} StorageProvider
+ * @property {string} name  e.g. "gcs:4dvoyager", used in messages
+ * @property {() => Promise<string>} check  describes the storage; throws when it cannot be reached
+ * @property {(prefix: string) => Promise<{ key: string, size: number }[]>} list  objects under a folder
+ * @property {(localPath: string, key: string, meta: { contentType: string, cacheControl: string }) => Promise<void>} upload
+ * @property {(key: string) => Promise<void>} remove
+ * @property {(key: string) => string} publicUrl
+ * @property {(() => Promise<object[]>)|null} getCors  null when the backend has no CORS settings
+ * @property {((rules: object[]) => Promise<void>)|null} setCors
+ * @property {((key: string, ttlSeconds: number) => Promise<{ url: string, expiresAt: number }>)|null} sign
+ *   null when the backend cannot sign URLs
+ */
+
+/**
+ * Provider for a project
+ * @param {object} project  from public/projects.json
+ * @param {{ provider?: string, bucket?: string, root?: string }} [overrides]  command line options
+ * @returns {StorageProvider}
+ */
+function createProvider(project, overrides = {}) {
+  const { storage } = project;
+  const type = overrides.provider || PROVIDER_FOR_STORAGE[storage.type];
+  if (!type) throw new Error(`${project.code}: "${storage.type}" storage has no provider; pass --provider ${PROVIDER_TYPES.join('|')}`);
+  if (!PROVIDER_TYPES.includes(type)) throw new Error(`Unknown provider "${type}" (${PROVIDER_TYPES.join(', ')})`);
+  // Settings from projects.json only apply to the project's own kind of storage
+  const own = PROVIDER_FOR_STORAGE[storage.type] === type ? storage : {};
+
+  if (type === 'gcs') return createGcsProvider({ bucket: overrides.bucket || own.bucket || process.env.GCS_BUCKET_NAME });
+  if (type === 'blob') return createBlobProvider({ baseUrl: own.baseUrl });
+  return createLocalProvider({ root: overrides.root || PUBLIC_DIR, baseUrl: overrides.root ? null : own.baseUrl });
+}
+
+function formatSize(bytes) {
+  if (bytes >= 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+  return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+}
+
+/**
+ * Wrap a provider so nothing is written: reads go through, writes are logged
+ * @param {StorageProvider} provider
+ * @param {(message: string) => void} log
+ * @returns {StorageProvider}
+ */
+function withDryRun(provider, log) {
+  return {
+    ...provider,
+    async upload(localPath, key) {
+      log(`would upload ${key} (${formatSize(fs.statSync(localPath).size)})`);
+    },
+    async remove(key) {
+      log(`would delete ${key}`);
+    },
+    setCors: provider.setCors && (async (rules) => {
+      log(`would set ${rules.length} CORS rule(s) on ${provider.name}`);
+    })
+  };
+}
+
+module.exports = { PUBLIC_DIR, PROVIDER_TYPES, createProvider, withDryRun, formatSize };
@@ -0,0 +1,90 @@
+/**
+ * Local directory storage provider
+ *
+ * Stores objects as files under a root directory ("WRC/a.glb" ->
+ * <root>/WRC/a.glb). With the default root, public/, that is where the viewer
+ * reads "local" storage from; any other root lets the whole pipeline run
+ * offline. CORS rules are kept in <root>/.cors.json so `cors` and `verify`
+ * behave like they do against a bucket.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const { createFakeSigner, getFakeSecret } = require('../../api/_lib/url-signers');
+
+const CORS_FILE = '.cors.json';
+
+/**
+ * @param {{ root: string, baseUrl?: string }} options
+ *   `baseUrl` is the URL the root is served at (default: "" for public/, a file URL otherwise)
+ * @returns {import('./index').StorageProvider}
+ */
+function createLocalProvider({ root, baseUrl = null }) {
+  const rootDir = path.resolve(root);
+  const publicDir = path.resolve(__dirname, '..', '..', 'public');
+  const servedAt = baseUrl != null ? baseUrl.replace(/\/+$/, '') : rootDir === publicDir ? '' : pathToFileURL(rootDir).href;
+
+  function fileFor(key) {
+    const filePath = path.resolve(rootDir, key);
+    if (!filePath.startsWith(rootDir + path.sep)) throw new Error(`"${key}" is outside ${rootDir}`);
+    return filePath;
+  }
+
+  function walk(dir, prefix, out) {
+    if (!fs.existsSync(dir)) return out;
+    fs.readdirSync(dir, { withFileTypes: true }).forEach(entry => {
+      const key = prefix ? `${prefix}/${entry.name}` : entry.name;
+      if (entry.isDirectory()) walk(path.join(dir, entry.name), key, out);
+      else if (entry.isFile() && entry.name !== CORS_FILE) out.push({ key, size: fs.statSync(path.join(dir, entry.name)).size });
+    });
+    return out;
+  }
+
+  return {
+    name: `local:${rootDir}`,
+
+    async check() {
+      if (!fs.existsSync(rootDir)) throw new Error(`${rootDir} does not exist`);
+      return `directory ${rootDir}`;
+    },
+
+    async list(prefix) {
+      const folder = prefix.replace(/\/+$/, '');
+      return walk(fileFor(folder), folder, []);
+    },
+
+    async upload(localPath, key) {
+      const target = fileFor(key);
+      // Uploading public/ into itself: the file already is in place
+      if (path.resolve(localPath) === target) return;
+      fs.mkdirSync(path.dirname(target), { recursive: true });
+      fs.copyFileSync(localPath, target);
+    },
+
+    async remove(key) {
+      fs.rmSync(fileFor(key), { force: true });
+    },
+
+    publicUrl(key) {
+      return `${servedAt}/${key.split('/').map(encodeURIComponent).join('/')}`;
+    },
+
+    async getCors() {
+      const corsPath = path.join(rootDir, CORS_FILE);
+      return fs.existsSync(corsPath) ? JSON.parse(fs.readFileSync(corsPath, 'utf8')) : [];
+    },
+
+    async setCors(rules) {
+      fs.mkdirSync(rootDir, { recursive: true });
+      fs.writeFileSync(path.join(rootDir, CORS_FILE), JSON.stringify(rules, null, 2), 'utf8');
+    },
+
+    // Fake signed URLs, served by `npm run dev` with URL_SIGNER=fake and the same FAKE_SIGNER_SECRET
+    async sign(key, ttlSeconds) {
+      return createFakeSigner({ secret: getFakeSecret(), ttlSeconds }).sign(key);
+    }
+  };
+}
+
+module.exports = { createLocalProvider };
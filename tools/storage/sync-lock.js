@@ -0,0 +1,65 @@
+/**
+ * Lock file for `voyager-storage sync`
+ *
+ * Records, per storage target, the SHA-256 of every file that was uploaded
+ * and the key it was stored under, so a sync only uploads new or changed
+ * files. Commit it: whoever syncs next starts from the same state.
+ *
+ *   {
+ *     "version": 1,
+ *     "targets": {
+ *       "gcs:4dvoyager": {
+ *         "WRC/Model08-03.glb": { "sha256": "…", "size": 123, "storedAs": "WRC/Model08-03.3f9a1c2b7d4e.glb", "uploadedAt": "…" }
+ *       }
+ *     }
+ *   }
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const LOCK_VERSION = 1;
+const DEFAULT_LOCK_PATH = path.join(__dirname, '..', '..', 'storage.lock.json');
+// Hex digits of the hash kept in content-addressed names
+const NAME_HASH_LENGTH = 12;
+
+/**
+ * SHA-256 of a file, hex
+ * @returns {Promise<string>}
+ */
+function hashFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+      .on('data', chunk => hash.update(chunk))
+      .on('error', reject)
+      .on('end', () => resolve(hash.digest('hex')));
+  });
+}
+
+/**
+ * Content-addressed key: "WRC/Model08-03.glb" -> "WRC/Model08-03.3f9a1c2b7d4e.glb"
+ */
+function contentAddressedKey(key, sha256) {
+  const ext = path.posix.extname(key);
+  return `${key.slice(0, key.length - ext.length)}.${sha256.slice(0, NAME_HASH_LENGTH)}${ext}`;
+}
+
+function readLock(lockPath = DEFAULT_LOCK_PATH) {
+  if (!fs.existsSync(lockPath)) return { version: LOCK_VERSION, targets: {} };
+  const lock = JSON.parse(fs.readFileSync(lockPath, 'utf8'));
+  if (!lock || lock.version !== LOCK_VERSION || typeof lock.targets !== 'object') {
+    throw new Error(`${lockPath} is not a version ${LOCK_VERSION} storage lock file`);
+  }
+  return lock;
+}
+
+// Keys are sorted so the file diffs cleanly
+function writeLock(lock, lockPath = DEFAULT_LOCK_PATH) {
+  const sorted = (obj) => Object.fromEntries(Object.keys(obj).sort().map(key => [key, obj[key]]));
+  const targets = Object.fromEntries(Object.keys(lock.targets).sort().map(name => [name, sorted(lock.targets[name])]));
+  fs.writeFileSync(lockPath, JSON.stringify({ version: LOCK_VERSION, targets }, null, 2) + '\n', 'utf8');
+}
+
+module.exports = { DEFAULT_LOCK_PATH, hashFile, contentAddressedKey, readLock, writeLock };
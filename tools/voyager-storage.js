@@ -0,0 +1,537 @@
+#!/usr/bin/env node
+/**
+ * voyager-storage: move project files to and from model storage
+ *
+ * Each project's files go to the storage named in public/projects.json
+ * ("storage", see shared/asset-resolver.mjs): Vercel Blob, a GCS bucket or a
+ * local directory. The providers are in tools/storage/.
+ *
+ * Usage:
+ *   node tools/voyager-storage.js <command> [options]
+ *   npm run storage -- <command> [options]
+ *
+ * Commands:
+ *   upload              upload every GLB, models.json and schedule.json of the projects
+ *   sync                upload only new or changed files, by SHA-256 against the lock file
+ *                       (storage.lock.json, or --lock <path>); --delete also removes stored
+ *                       GLBs that neither a local file nor models.json refers to
+ *                       upload and sync take --hashed: store GLBs under content-addressed
+ *                       names (Model08-03.3f9a1c2b7d4e.glb), recorded in models.json as
+ *                       "storedAs" and cached for a year; plain names are revalidated
+ *   cors                apply scripts/cors.json (or --file <path>) to the storage
+ *   rewrite-manifests   replace the names in models.json with storage URLs (backup in
+ *                       models.backup.json); --restore puts the backups back
+ *   verify              check access, CORS and that every models.json entry is stored
+ *   sign                write signed URLs for the "gcs-signed" projects to their
+ *                       signed URL file (default public/signed-urls.json); --days <n> (default 7)
+ *
+ * Options (every command):
+ *   --project <code>    only this project; repeat for several (default: all projects)
+ *   --dry-run           show what would change without writing anything
+ *   --provider <type>   gcs | blob | local instead of the projects' own storage
+ *   --bucket <name>     GCS bucket (default: the project's "bucket", then GCS_BUCKET_NAME)
+ *   --root <dir>        directory of the local provider (default: public/)
+ *   --source <dir>      folder holding the project folders and signed URL file (default: public/)
+ *
+ * Examples:
+ *   npm run storage -- sync --project WRC --dry-run
+ *   npm run storage -- sync --hashed --delete
+ *   npm run storage -- upload --provider local --root ./.storage-test
+ *   npm run storage -- verify
+ *   npm run storage -- sign --provider gcs --bucket 4dvoyager --project BSGS
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadProjects, findProject } = require('../scripts/project-registry');
+const { PUBLIC_DIR, createProvider, withDryRun, formatSize } = require('./storage');
+const { DEFAULT_LOCK_PATH, hashFile, contentAddressedKey, readLock, writeLock } = require('./storage/sync-lock');
+
+const CORS_FILE = path.join(__dirname, '..', 'scripts', 'cors.json');
+const DEFAULT_SIGNED_URLS = '/signed-urls.json';
+const DATA_FILES = ['models.json', 'schedule.json'];
+// A GLB can be overwritten under its plain name, so caches revalidate it;
+// content-addressed names never change and are cached for a year
+const GLB_META = { contentType: 'model/gltf-binary', cacheControl: 'no-cache' };
+const HASHED_GLB_META = { contentType: 'model/gltf-binary', cacheControl: 'public, max-age=31536000, immutable' };
+const JSON_META = { contentType: 'application/json', cacheControl: 'no-cache' };
+
+const COMMANDS = {
+  upload: { run: upload, flags: ['--hashed'], values: ['--lock'] },
+  sync: { run: sync, flags: ['--hashed', '--delete'], values: ['--lock'] },
+  cors: { run: cors, values: ['--file'] },
+  'rewrite-manifests': { run: rewriteManifests, flags: ['--restore'] },
+  verify: { run: verify },
+  sign: { run: sign, values: ['--days'] }
+};
+const COMMON_FLAGS = ['--dry-run'];
+const COMMON_VALUES = ['--provider', '--bucket', '--root', '--source'];
+
+function parseArgs(argv) {
+  const [command, ...rest] = argv;
+  if (!command || command === '--help' || command === 'help') return { command: null };
+  const spec = COMMANDS[command];
+  if (!spec) throw new Error(`Unknown command "${command}" (${Object.keys(COMMANDS).join(', ')})`);
+  const values = new Set([...COMMON_VALUES, ...(spec.values || [])]);
+  const flags = new Set([...COMMON_FLAGS, ...(spec.flags || [])]);
+
+  const args = { command, projects: [], flags: new Set() };
+  for (let i = 0; i < rest.length; i++) {
+    const arg = rest[i];
+    if (arg === '--project') {
+      if (i + 1 >= rest.length) throw new Error('--project needs a value');
+      args.projects.push(...rest[++i].split(',').filter(Boolean));
+    } else if (values.has(arg)) {
+      if (i + 1 >= rest.length) throw new Error(`${arg} needs a value`);
+      args[arg.slice(2)] = rest[++i];
+    } else if (flags.has(arg)) {
+      args.flags.add(arg);
+    } else {
+      throw new Error(`Unknown option "${arg}" for ${command}`);
+    }
+  }
+  return args;
+}
+
+// ============= SHARED =============
+
+function createContext(args) {
+  const projects = loadProjects();
+  const selected = args.projects.map(code => {
+    const project = findProject(projects, code);
+    if (!project) throw new Error(`Project "${code}" is not in public/projects.json`);
+    return project;
+  });
+  const dryRun = args.flags.has('--dry-run');
+  const sourceDir = path.resolve(args.source || PUBLIC_DIR);
+  const providers = new Map();
+
+  return {
+    args,
+    dryRun,
+    sourceDir,
+    // The projects named with --project, or all of them
+    projects: selected.length ? selected : projects,
+    explicitProjects: selected.length > 0,
+    // One provider per storage, shared by the projects that use it
+    providerFor(project) {
+      const provider = createProvider(project, { provider: args.provider, bucket: args.bucket, root: args.root });
+      if (!providers.has(provider.name)) {
+        providers.set(provider.name, dryRun ? withDryRun(provider, msg => console.log(`   ↪ ${msg}`)) : provider);
+      }
+      return providers.get(provider.name);
+    }
+  };
+}
+
+/**
+ * GLBs and data files of a project folder, as { localPath, key, size, isGlb }
+ */
+function localFiles(ctx, project) {
+  const dir = path.join(ctx.sourceDir, project.folder);
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .filter(name => /\.glb$/i.test(name) || DATA_FILES.includes(name))
+    .sort()
+    .map(name => ({
+      localPath: path.join(dir, name),
+      key: `${project.folder}/${name}`,
+      size: fs.statSync(path.join(dir, name)).size,
+      isGlb: /\.glb$/i.test(name)
+    }));
+}
+
+function readManifest(ctx, project) {
+  const manifestPath = path.join(ctx.sourceDir, project.folder, 'models.json');
+  if (!fs.existsSync(manifestPath)) return null;
+  const models = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+  if (!Array.isArray(models)) throw new Error(`${project.folder}/models.json is not an array`);
+  return models;
+}
+
+// Paths inside the repository are shown relative to it
+function displayPath(filePath) {
+  const relative = path.relative(process.cwd(), filePath);
+  return relative.startsWith('..') ? filePath : relative;
+}
+
+const entryName = (entry) => (typeof entry === 'string' ? entry : entry && entry.name);
+// Name the GLB is stored under: the content-addressed name written by sync --hashed, else the name
+const storedName = (entry) => (entry && typeof entry === 'object' && entry.storedAs) || entryName(entry);
+const isAbsoluteUrl = (name) => /^(https?|file):\/\//i.test(String(name));
+
+/**
+ * Upload a file unless the lock file says the same content is stored already.
+ * Sets `file.storedAs` to the key it is stored under once it is.
+ */
+async function sendFile(ctx, provider, locked, stored, file, hashed, totals) {
+  const sha256 = await hashFile(file.localPath);
+  const key = hashed ? contentAddressedKey(file.key, sha256) : file.key;
+  const previous = locked[file.key];
+  const remote = stored && stored.get(key);
+  if (previous && previous.sha256 === sha256 && previous.storedAs === key && remote && remote.size === file.size) {
+    file.storedAs = key;
+    totals.current++;
+    return;
+  }
+  const meta = !file.isGlb ? JSON_META : hashed ? HASHED_GLB_META : GLB_META;
+  try {
+    await provider.upload(file.localPath, key, meta);
+    locked[file.key] = { sha256, size: file.size, storedAs: key, uploadedAt: new Date().toISOString() };
+    file.storedAs = key;
+    totals.done++;
+    // Dry runs log the upload instead
+    if (!ctx.dryRun) console.log(`   ✓ ${key} (${formatSize(file.size)})`);
+  } catch (err) {
+    totals.failed++;
+    console.error(`   ✗ ${key}: ${err.message}`);
+  }
+}
+
+/**
+ * Record in models.json the names the GLBs are stored under ("storedAs"),
+ * or drop them where that is the plain name
+ */
+function updateStoredNames(ctx, project, glbs) {
+  const models = readManifest(ctx, project);
+  if (!models) return;
+  const storedAs = new Map(glbs.filter(file => file.storedAs)
+    .map(file => [path.posix.basename(file.key).toLowerCase(), path.posix.basename(file.storedAs)]));
+
+  let changed = 0;
+  const updated = models.map(entry => {
+    const name = entryName(entry);
+    const target = name && !isAbsoluteUrl(name) ? storedAs.get(path.basename(name).toLowerCase()) : undefined;
+    if (target === undefined) return entry;
+    const wanted = target === path.basename(name) ? undefined : target;
+    if ((typeof entry === 'object' ? entry.storedAs : undefined) === wanted) return entry;
+    changed++;
+    const next = typeof entry === 'string' ? { name: entry } : { ...entry };
+    if (wanted) next.storedAs = wanted;
+    else delete next.storedAs;
+    return next;
+  });
+  if (!changed) return;
+  if (ctx.dryRun) {
+    console.log(`   ↪ would update the stored names of ${changed} models.json entries`);
+    return;
+  }
+  fs.writeFileSync(path.join(ctx.sourceDir, project.folder, 'models.json'), `${JSON.stringify(updated, null, 2)}\n`, 'utf8');
+  console.log(`   📝 models.json: stored names of ${changed} entries updated`);
+}
+
+/**
+ * Delete stored GLBs that neither a local file nor models.json refers to
+ */
+async function removeUnused(ctx, provider, locked, stored, project, files, totals) {
+  const keep = new Set();
+  files.forEach(file => {
+    // A failed upload keeps whatever is stored for the file now
+    keep.add(file.storedAs || (locked[file.key] && locked[file.key].storedAs) || file.key);
+  });
+  (readManifest(ctx, project) || []).forEach(entry => {
+    const name = storedName(entry);
+    if (name && !isAbsoluteUrl(name)) keep.add(`${project.folder}/${path.basename(name)}`);
+  });
+  for (const key of stored.keys()) {
+    if (!/\.glb$/i.test(key) || keep.has(key)) continue;
+    await provider.remove(key);
+    totals.deleted++;
+    if (!ctx.dryRun) console.log(`   🗑️  ${key}`);
+  }
+  const local = new Set(files.map(file => file.key));
+  Object.keys(locked)
+    .filter(key => key.startsWith(`${project.folder}/`) && !local.has(key))
+    .forEach(key => delete locked[key]);
+}
+
+// ============= COMMANDS =============
+
+/**
+ * upload and sync: send each project's files to its storage and record them
+ * in the lock file; sync skips files the lock file lists with the same hash
+ */
+async function transfer(ctx, { force }) {
+  const hashed = ctx.args.flags.has('--hashed');
+  const lockPath = path.resolve(ctx.args.lock || DEFAULT_LOCK_PATH);
+  const lock = readLock(lockPath);
+  const totals = { done: 0, failed: 0, current: 0, deleted: 0 };
+
+  for (const project of ctx.projects) {
+    const provider = ctx.providerFor(project);
+    if (!lock.targets[provider.name]) lock.targets[provider.name] = {};
+    const locked = lock.targets[provider.name];
+    const files = localFiles(ctx, project);
+    const stored = force ? null : new Map((await provider.list(project.folder)).map(item => [item.key, item]));
+    console.log(`\n📁 ${project.code} → ${provider.name} (${files.length} files${hashed ? ', content-addressed GLB names' : ''})`);
+
+    // GLBs first: models.json records their stored names and is uploaded after
+    const glbs = files.filter(file => file.isGlb);
+    for (const file of glbs) await sendFile(ctx, provider, locked, stored, file, hashed, totals);
+    updateStoredNames(ctx, project, glbs);
+    for (const file of files.filter(f => !f.isGlb)) {
+      file.size = fs.statSync(file.localPath).size;
+      await sendFile(ctx, provider, locked, stored, file, false, totals);
+    }
+
+    if (ctx.args.flags.has('--delete')) await removeUnused(ctx, provider, locked, stored, project, files, totals);
+  }
+
+  if (!ctx.dryRun) writeLock(lock, lockPath);
+  const summary = `${totals.current} up to date, ${totals.deleted} ${ctx.dryRun ? 'to delete' : 'deleted'}, ${totals.failed} failed`;
+  console.log(`\n${ctx.dryRun ? `🔍 ${totals.done} to upload` : `✅ ${totals.done} uploaded`}, ${force ? `${totals.failed} failed` : summary}`);
+  if (!ctx.dryRun) console.log(`🔒 ${displayPath(lockPath)} updated`);
+  return totals.failed === 0;
+}
+
+function upload(ctx) {
+  return transfer(ctx, { force: true });
+}
+
+function sync(ctx) {
+  return transfer(ctx, { force: false });
+}
+
+async function cors(ctx) {
+  const rulesPath = path.resolve(ctx.args.file || CORS_FILE);
+  const rules = JSON.parse(fs.readFileSync(rulesPath, 'utf8'));
+  if (!Array.isArray(rules)) throw new Error(`${rulesPath} must contain an array of CORS rules`);
+
+  const seen = new Set();
+  for (const project of ctx.projects) {
+    const provider = ctx.providerFor(project);
+    if (seen.has(provider.name)) continue;
+    seen.add(provider.name);
+    if (!provider.setCors) {
+      console.log(`ℹ️  ${provider.name}: no CORS settings (served to every origin)`);
+      continue;
+    }
+    await provider.setCors(rules);
+    if (ctx.dryRun) continue;
+    const active = await provider.getCors();
+    console.log(`✅ ${provider.name}: ${active.length} CORS rule(s) active`);
+  }
+  return true;
+}
+
+async function rewriteManifests(ctx) {
+  const restore = ctx.args.flags.has('--restore');
+  let failed = 0;
+  for (const project of ctx.projects) {
+    const manifestPath = path.join(ctx.sourceDir, project.folder, 'models.json');
+    const backupPath = manifestPath.replace(/\.json$/, '.backup.json');
+
+    if (restore) {
+      if (!fs.existsSync(backupPath)) {
+        console.log(`⚠️  ${project.code}: no models.backup.json`);
+        continue;
+      }
+      if (!ctx.dryRun) fs.copyFileSync(backupPath, manifestPath);
+      console.log(`✓ ${project.code}: ${ctx.dryRun ? 'would restore' : 'restored'} models.json from backup`);
+      continue;
+    }
+
+    let models;
+    try {
+      models = readManifest(ctx, project);
+    } catch (err) {
+      console.error(`✗ ${project.code}: ${err.message}`);
+      failed++;
+      continue;
+    }
+    if (!models) {
+      console.log(`⚠️  ${project.code}: no models.json`);
+      continue;
+    }
+    const provider = ctx.providerFor(project);
+    // Dated entries keep their date; names that already are URLs stay as they are
+    const toUrl = (name) => (isAbsoluteUrl(name) ? name : provider.publicUrl(`${project.folder}/${path.basename(name)}`));
+    const rewritten = models.map(entry => {
+      if (typeof entry === 'string') return toUrl(entry);
+      // The URL already points at the stored copy
+      const { storedAs, ...rest } = entry;
+      return { ...rest, name: toUrl(storedName(entry)) };
+    });
+    const count = rewritten.filter((entry, i) => entryName(entry) !== entryName(models[i])).length;
+
+    if (ctx.dryRun) {
+      console.log(`🔍 ${project.code}: would rewrite ${count} of ${models.length} entries, e.g. ${entryName(rewritten[0]) || '-'}`);
+      continue;
+    }
+    if (count === 0) {
+      console.log(`✓ ${project.code}: models.json already lists URLs`);
+      continue;
+    }
+    fs.copyFileSync(manifestPath, backupPath);
+    fs.writeFileSync(manifestPath, JSON.stringify(rewritten, null, 2), 'utf8');
+    console.log(`✓ ${project.code}: rewrote ${count} entries to ${provider.name} URLs (backup: models.backup.json)`);
+  }
+  if (!restore && !ctx.dryRun) console.log('\n📝 Undo with: npm run storage -- rewrite-manifests --restore');
+  return failed === 0;
+}
+
+async function verify(ctx) {
+  let issues = 0;
+  let warnings = 0;
+  const checked = new Map();
+
+  for (const project of ctx.projects) {
+    const provider = ctx.providerFor(project);
+    console.log(`\n📁 ${project.code} (${provider.name})`);
+
+    if (!checked.has(provider.name)) {
+      const result = { ok: false };
+      try {
+        console.log(`   ✓ ${await provider.check()}`);
+        result.ok = true;
+        if (provider.getCors) {
+          const rules = await provider.getCors();
+          if (rules.length) {
+            console.log(`   ✓ CORS: ${rules.length} rule(s)`);
+          } else {
+            console.log('   ⚠️  No CORS rules; run: npm run storage -- cors');
+            warnings++;
+          }
+        }
+      } catch (err) {
+        console.log(`   ✗ ${err.message}`);
+        issues++;
+      }
+      checked.set(provider.name, result);
+    }
+    if (!checked.get(provider.name).ok) continue;
+
+    let models;
+    try {
+      models = readManifest(ctx, project);
+    } catch (err) {
+      console.log(`   ✗ ${err.message}`);
+      issues++;
+      continue;
+    }
+    if (!models) {
+      console.log('   ⚠️  No models.json');
+      warnings++;
+      continue;
+    }
+
+    const stored = new Map((await provider.list(project.folder)).map(item => [item.key, item]));
+    // Local files have the plain name; the stored copy may have a content-addressed one
+    const checks = models
+      .filter(entry => entryName(entry) && !isAbsoluteUrl(entryName(entry)))
+      .map(entry => ({ name: path.basename(entryName(entry)), key: `${project.folder}/${path.basename(storedName(entry))}` }));
+    const names = checks.map(check => check.name);
+    const missing = checks.filter(check => !stored.has(check.key)).map(check => path.posix.basename(check.key));
+    const differing = checks.filter(check => {
+      const localPath = path.join(ctx.sourceDir, project.folder, check.name);
+      const item = stored.get(check.key);
+      return item && fs.existsSync(localPath) && fs.statSync(localPath).size !== item.size;
+    }).map(check => check.name);
+
+    if (missing.length) {
+      console.log(`   ✗ ${missing.length} of ${names.length} models.json entries not in storage: ${missing.slice(0, 3).join(', ')}${missing.length > 3 ? ', …' : ''}`);
+      console.log('     Upload them: npm run storage -- sync --project ' + project.code);
+      issues++;
+    } else {
+      console.log(`   ✓ All ${names.length} models.json entries are stored`);
+    }
+    if (differing.length) {
+      console.log(`   ⚠️  ${differing.length} stored GLB(s) differ in size from public/${project.folder}: ${differing.slice(0, 3).join(', ')}`);
+      warnings++;
+    }
+    if (names.length < models.length) console.log(`   ℹ️  ${models.length - names.length} entries are full URLs and were not checked`);
+  }
+
+  console.log(`\n${issues ? '❌' : warnings ? '⚠️ ' : '✅'} ${issues} issue(s), ${warnings} warning(s)`);
+  return issues === 0;
+}
+
+async function sign(ctx) {
+  const days = Number(ctx.args.days || 7);
+  if (!(days > 0 && days <= 7)) throw new Error('--days must be more than 0 and at most 7 (the GCS limit)');
+  const ttlSeconds = Math.round(days * 24 * 60 * 60);
+
+  const projects = ctx.explicitProjects ? ctx.projects : ctx.projects.filter(p => p.storage.type === 'gcs-signed');
+  if (!projects.length) {
+    console.log('ℹ️  No project uses "gcs-signed" storage; name one with --project');
+    return true;
+  }
+
+  // Projects can share a signed URL file; each file is rewritten once
+  const byFile = new Map();
+  projects.forEach(project => {
+    const file = project.storage.signedUrls || DEFAULT_SIGNED_URLS;
+    if (isAbsoluteUrl(file)) throw new Error(`${project.code}: signed URLs are read from ${file}, which cannot be written here`);
+    if (!byFile.has(file)) byFile.set(file, []);
+    byFile.get(file).push(project);
+  });
+
+  let failed = 0;
+  for (const [file, fileProjects] of byFile) {
+    const outputPath = path.join(ctx.sourceDir, file);
+    const previous = fs.existsSync(outputPath) ? JSON.parse(fs.readFileSync(outputPath, 'utf8')) : null;
+    const urls = { ...(previous && previous.urls) };
+    const expiresAt = Date.now() + ttlSeconds * 1000;
+
+    for (const project of fileProjects) {
+      const provider = ctx.providerFor(project);
+      if (!provider.sign) throw new Error(`${project.code}: ${provider.name} cannot sign URLs; pass --provider gcs`);
+      const models = readManifest(ctx, project) || [];
+      console.log(`\n📁 ${project.code} → ${provider.name} (${models.length} models)`);
+      if (ctx.dryRun) continue;
+
+      // One URL per models.json entry, in the same order; null where signing failed
+      urls[project.folder] = [];
+      for (const entry of models) {
+        const name = path.basename(String(storedName(entry)));
+        try {
+          const signed = await provider.sign(`${project.folder}/${name}`, ttlSeconds);
+          urls[project.folder].push(signed.url);
+          console.log(`   ✓ ${name}`);
+        } catch (err) {
+          urls[project.folder].push(null);
+          failed++;
+          console.error(`   ✗ ${name}: ${err.message}`);
+        }
+      }
+    }
+
+    if (ctx.dryRun) {
+      console.log(`\n🔍 Would write ${displayPath(outputPath)}`);
+      continue;
+    }
+    // URLs kept from the previous run expire when they did before
+    const keptOthers = previous && Object.keys(urls).some(folder => !fileProjects.some(p => p.folder === folder));
+    const previousExpiry = keptOthers ? Date.parse(previous.expiresAt) : NaN;
+    const fileExpiresAt = Number.isFinite(previousExpiry) ? Math.min(previousExpiry, expiresAt) : expiresAt;
+    const output = {
+      generatedAt: new Date().toISOString(),
+      expiresAt: new Date(fileExpiresAt).toISOString(),
+      validityDays: days,
+      urls
+    };
+    fs.writeFileSync(outputPath, JSON.stringify(output, null, 2), 'utf8');
+    console.log(`\n✅ Signed URLs saved to ${displayPath(outputPath)}, expiring ${output.expiresAt}`);
+  }
+  return failed === 0;
+}
+
+// ============= MAIN =============
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (!args.command) {
+    const header = fs.readFileSync(__filename, 'utf8').match(/\/\*\*([\s\S]*?)\*\//)[1];
+    console.log(header.replace(/^ \* ?/gm, '').trim());
+    return;
+  }
+  const ctx = createContext(args);
+  if (ctx.dryRun) console.log('🔍 Dry run: nothing is written');
+  const ok = await COMMANDS[args.command].run(ctx);
+  if (!ok) process.exit(1);
+}
+
+main().catch(err => {
+  console.error(`✗ ${err.message}`);
+  process.exit(1);
+});
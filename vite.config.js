@@ -1,8 +1,80 @@
 import { defineConfig } from 'vite';
 import { resolve } from 'path';
+import fs from 'fs';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+
+// Serves /api/sign-url during `npm run dev`, and with URL_SIGNER=fake also the
+// /fake-storage/ URLs it hands out: files come from public/, expired or
+// tampered URLs get a 403 like GCS would return.
+function signedUrlDevServer() {
+  return {
+    name: 'signed-url-dev-server',
+    configureServer(server) {
+      const signUrl = require('./api/sign-url.js');
+      const { FAKE_STORAGE_PREFIX, verifyFakeUrl, getFakeSecret } = require('./api/_lib/url-signers.js');
+      server.middlewares.use('/api/sign-url', (req, res) => {
+        // Connect strips the mount path; the handler only reads the query
+        req.url = `/api/sign-url${req.url}`;
+        signUrl(req, res);
+      });
+      if (process.env.URL_SIGNER !== 'fake') return;
+      server.middlewares.use(FAKE_STORAGE_PREFIX, (req, res) => {
+        const check = verifyFakeUrl(`${FAKE_STORAGE_PREFIX}${req.url}`, { secret: getFakeSecret() });
+        if (!check.ok) {
+          res.statusCode = 403;
+          res.end(check.reason);
+          return;
+        }
+        const filePath = resolve(__dirname, 'public', check.objectPath);
+        if (!filePath.startsWith(resolve(__dirname, 'public')) || !fs.existsSync(filePath)) {
+          res.statusCode = 404;
+          res.end('Not found');
+          return;
+        }
+        res.setHeader('Content-Type', 'model/gltf-binary');
+        fs.createReadStream(filePath).pipe(res);
+      });
+    }
+  };
+}
+
+// The glTF decoders that ship with three, served from /decoders/ in dev and
+// copied into the build, so models load without a third-party CDN
+const DECODER_DIRS = {
+  draco: 'node_modules/three/examples/jsm/libs/draco/gltf',
+  basis: 'node_modules/three/examples/jsm/libs/basis'
+};
+
+function threeDecoders() {
+  const decoderFiles = (dir) => fs.readdirSync(resolve(__dirname, dir)).filter(file => /\.(js|wasm)$/.test(file) && !file.includes('encoder'));
+  return {
+    name: 'three-decoders',
+    configureServer(server) {
+      Object.entries(DECODER_DIRS).forEach(([name, dir]) => {
+        const files = new Set(decoderFiles(dir));
+        server.middlewares.use(`/decoders/${name}`, (req, res, next) => {
+          const file = req.url.split('?')[0].replace(/^\/+/, '');
+          if (!files.has(file)) return next();
+          res.setHeader('Content-Type', file.endsWith('.wasm') ? 'application/wasm' : 'text/javascript');
+          fs.createReadStream(resolve(__dirname, dir, file)).pipe(res);
+        });
+      });
+    },
+    generateBundle() {
+      Object.entries(DECODER_DIRS).forEach(([name, dir]) => {
+        decoderFiles(dir).forEach(file => {
+          this.emitFile({ type: 'asset', fileName: `decoders/${name}/${file}`, source: fs.readFileSync(resolve(__dirname, dir, file)) });
+        });
+      });
+    }
+  };
+}
 
 // Ensure both index.html (landing) and viewer.html (viewer) are built and deployed
 export default defineConfig({
+  plugins: [signedUrlDevServer(), threeDecoders()],
   build: {
     rollupOptions: {
       input: {